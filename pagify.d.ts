@@ -2,6 +2,290 @@
  * Pagify SDK TypeScript Definitions
  */
 
+/** An iframe runtime library: a URL, `{ url }`, or inline `{ source }` (no network needed) */
+export type PagifyAsset = string | { url: string } | { source: string };
+
+export interface PagifyAssets {
+  /** Paged.js polyfill (paged.polyfill.js) */
+  pagedjs?: PagifyAsset;
+
+  /** html2pdf bundle (html2pdf.bundle.min.js), used by the raster engine */
+  html2pdf?: PagifyAsset;
+
+  /** jsPDF UMD build (jspdf.umd.min.js), used by the vector engine */
+  jspdf?: PagifyAsset;
+}
+
+/**
+ * PDF output backend: 'raster' renders pages to JPEGs with html2canvas,
+ * 'vector' redraws them as selectable text, lines and images with jsPDF
+ */
+export type PagifyEngine = 'raster' | 'vector';
+
+/** Stage a render reached: waiting on fonts/assets, Paged.js pagination, or PDF generation */
+export type PagifyStage = 'fonts' | 'pagination' | 'pdf';
+
+/** Stage reported to onProgress: fonts loaded, pages laid out, pages drawn into the PDF, PDF finished */
+export type PagifyProgressStage = 'fonts' | 'pagination' | 'rendering' | 'assembled';
+
+/** Progress of a render, passed to onProgress, handle.on('progress') and the renderProgress window event */
+export interface PagifyProgress {
+  jobId: string;
+  stage: PagifyProgressStage;
+  /** Pages done in this stage (null for 'fonts') */
+  page: number | null;
+  /** Page count, or null while pagination is still running */
+  total: number | null;
+}
+
+/** Viewer zoom: fit the page width or the whole page into the container, or a percentage from 10 to 400 (number or "125%") */
+export type PagifyZoom = 'fit-width' | 'fit-page' | number | `${number}%`;
+
+/** Options for the container viewer */
+export interface PagifyViewerOptions {
+  /** Initial zoom (default 'fit-width') */
+  zoom?: PagifyZoom;
+  /** Show the thumbnail sidebar (default true) */
+  thumbnails?: boolean;
+}
+
+/** Current page of a viewer, passed to handle.on('pagechange') */
+export interface PagifyPageChange {
+  jobId: string;
+  /** 1-based page in view */
+  page: number;
+  totalPages: number;
+}
+
+export interface PagifyViewerState {
+  page: number;
+  totalPages: number;
+  /** Zoom as set: a preset or a percentage */
+  zoom: 'fit-width' | 'fit-page' | number;
+  /** Zoom in effect, as a percentage */
+  scale: number;
+  thumbnails: boolean;
+}
+
+/** What went wrong in a failed render (see PagifyError) */
+export type PagifyErrorCode =
+  | 'INVALID_OPTIONS'
+  | 'TEMPLATE'
+  | 'ASSET_LOAD'
+  | 'PAGINATION'
+  | 'EMPTY_CONTENT'
+  | 'CANVAS'
+  | 'PDF_GENERATION'
+  | 'HOOK'
+  | 'TIMEOUT';
+
+/** Error passed to onPdfError / onPreviewReady and rejected from handle.done */
+export class PagifyError extends Error {
+  name: 'PagifyError' | 'TemplateError';
+  code: PagifyErrorCode;
+  /** Where the job was; 'setup' means before its iframe was built */
+  stage: 'setup' | PagifyStage | null;
+  /** Job the error belongs to */
+  jobId: string | null;
+  /** Underlying error, when there is one */
+  cause?: unknown;
+  /** 1-based page that failed, when known */
+  page: number | null;
+  /** Short description of the offending element, e.g. 'div#page-3.pagedjs_page' */
+  element: string | null;
+}
+
+/** Error passed to onPdfError / onPreviewReady when a render exceeds timeoutMs */
+export interface PagifyTimeoutError extends PagifyError {
+  code: 'TIMEOUT';
+  stage: PagifyStage;
+}
+
+export interface PagifyConfig {
+  /** Default render timeout in milliseconds (unset or 0 = no timeout) */
+  timeoutMs?: number;
+
+  /** Default PDF output backend (default: 'raster') */
+  engine?: PagifyEngine;
+
+  /** Template partials available to every render */
+  partials?: Record<string, string>;
+
+  /** Plugins every render runs (default: the built-ins and use()d plugins) */
+  plugins?: PagifyPluginSelection;
+
+  /** Directory serving paged.polyfill.js, html2pdf.bundle.min.js and jspdf.umd.min.js */
+  assetBaseUrl?: string;
+
+  /** Per-asset overrides; wins over assetBaseUrl */
+  assets?: PagifyAssets;
+
+  /** Keep a warm worker iframe for headless renders (default false); configure({ worker: false }) removes it */
+  worker?: boolean;
+}
+
+/** Templates for each part of the document, replacing the matching `<part>_html` option */
+export interface PagifyTemplateParts {
+  body?: string;
+  header?: string;
+  footer?: string;
+  head?: string;
+  first_page_header?: string;
+  first_page_footer?: string;
+  last_page_header?: string;
+  last_page_footer?: string;
+  left_page_header?: string;
+  left_page_footer?: string;
+  right_page_header?: string;
+  right_page_footer?: string;
+}
+
+/** PDF document info */
+export interface PagifyMetadata {
+  title?: string;
+  author?: string;
+  subject?: string;
+  keywords?: string | string[];
+  creator?: string;
+  creationDate?: Date | string;
+  /** Language tag, e.g. "en-US" */
+  language?: string;
+}
+
+/** TrueType fonts embedded by the archival profile: URL, { url } or base64 { source } */
+export interface PagifyArchivalFonts {
+  normal?: string | { url: string } | { source: string };
+  bold?: string | { url: string } | { source: string };
+  italic?: string | { url: string } | { source: string };
+  bolditalic?: string | { url: string } | { source: string };
+}
+
+/** Permission granted to users who open a protected PDF with the user password */
+export type PagifyPermission = 'print' | 'copy' | 'modify' | 'annot-forms';
+
+/** Password protection (40-bit RC4 standard security handler) */
+export interface PagifySecurity {
+  /** Password needed to open the PDF (default "", opens without one) */
+  userPassword?: string;
+  /** Password that lifts the permission flags (random when omitted) */
+  ownerPassword?: string;
+  /** Permissions granted to users (default: all) */
+  permissions?: PagifyPermission[];
+}
+
+/** A hook function, or several run in order */
+export type PagifyHook<Args extends unknown[]> = ((...args: Args) => void | Promise<void>) | Array<(...args: Args) => void | Promise<void>>;
+
+/**
+ * Functions run inside the render iframe. They are serialized, so they
+ * cannot use variables from the calling scope.
+ */
+export interface PagifyHooks {
+  /** Before Paged.js splits the content */
+  beforeParsed?: PagifyHook<[content: DocumentFragment]>;
+  /** After the content is parsed */
+  afterParsed?: PagifyHook<[parsed: unknown]>;
+  /** Before each page is filled (Paged.js page object) */
+  beforePageLayout?: PagifyHook<[page: unknown, contents: unknown, breakToken: unknown]>;
+  /** After each page is filled */
+  afterPageLayout?: PagifyHook<[pageElement: HTMLElement, page: unknown, breakToken: unknown]>;
+  /** After the last page is laid out (Paged.js page objects) */
+  afterRendered?: PagifyHook<[pages: unknown[]]>;
+  /** Before the PDF engine reads the pages; not run in preview mode */
+  beforePdf?: PagifyHook<[pages: HTMLElement[]]>;
+}
+
+/** Additions to the sanitize allowlists; scripting tags and on* attributes are rejected */
+export interface PagifySanitizeOptions {
+  addTags?: string[];
+  addAttributes?: string[];
+}
+
+/** Named bundle of lifecycle hooks and CSS, registered with use() or passed inline in `plugins` */
+export interface PagifyPlugin {
+  /** Letters, digits, '-' and '_', starting with a letter */
+  name: string;
+  hooks?: PagifyHooks;
+  /** CSS added to the render iframe */
+  css?: string;
+}
+
+/** Built-in plugins, enabled by default */
+export type PagifyBuiltInPlugin = 'repeatTableHeaders' | 'hideEmptyTables' | 'overflowContent';
+
+/**
+ * Plugins to run: a list of registered names and inline plugins replacing the
+ * defaults, or { name: boolean } switches over them
+ */
+export type PagifyPluginSelection =
+  | Array<PagifyBuiltInPlugin | string | PagifyPlugin>
+  | Partial<Record<PagifyBuiltInPlugin | string, boolean>>;
+
+/** Text or image stamped over paginated pages */
+export interface PagifyWatermark {
+  /** Stamp text (either text or image) */
+  text?: string;
+  /** Image URL or data URI (either text or image) */
+  image?: string;
+  /** 0 to 1 (default 0.15) */
+  opacity?: number;
+  /** Degrees clockwise (default -45) */
+  rotation?: number;
+  /** Default "center" */
+  position?: 'center' | 'top' | 'bottom' | 'left' | 'right' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+  /** Pages to stamp by 1-based position (default "all") */
+  pages?: 'all' | 'first' | 'last' | { from?: number; to?: number | null };
+  /** Text colour (default "#000000") */
+  color?: string;
+  /** Text size (default "96px") */
+  fontSize?: string;
+  /** Image width relative to the page (default "60%") */
+  width?: string;
+}
+
+/** Table of contents options */
+export interface PagifyTocOptions {
+  /** Elements listed (default "h1, h2, h3") */
+  selector?: string;
+
+  /** Heading above the list; "" for none (default "Contents") */
+  title?: string;
+
+  /** Element replaced by the TOC (default "[data-pagify-toc]"); the TOC opens the body when absent */
+  placeholder?: string;
+}
+
+/** Page number formats */
+export type PagifyPageNumberFormat = 'decimal' | 'lower-roman' | 'upper-roman' | 'lower-alpha' | 'upper-alpha';
+
+/** CSS page-margin box names */
+export type PagifyMarginBox =
+  | 'top-left-corner' | 'top-left' | 'top-center' | 'top-right' | 'top-right-corner'
+  | 'right-top' | 'right-middle' | 'right-bottom'
+  | 'bottom-right-corner' | 'bottom-right' | 'bottom-center' | 'bottom-left' | 'bottom-left-corner'
+  | 'left-bottom' | 'left-middle' | 'left-top';
+
+/** Page template referenced by data-pagify-page="<name>"; unset keys inherit the document's */
+export interface PagifyNamedPage {
+  /** Page size (A4, Letter, "148mm 210mm", etc.) */
+  page_size?: string;
+
+  /** Orientation of a named page size */
+  orientation?: 'portrait' | 'landscape';
+
+  /** Left page margin */
+  margin_left?: string;
+
+  /** Right page margin */
+  margin_right?: string;
+
+  /** Height reserved for header */
+  header_height?: string;
+
+  /** Height reserved for footer */
+  footer_height?: string;
+}
+
 export interface PagifyOptions {
   /** Main HTML content for the PDF body */
   body_html?: string;
@@ -17,6 +301,48 @@ export interface PagifyOptions {
   
   /** Page size (A4, Letter, etc.) */
   page_size?: string;
+
+  /** Orientation of a named page size (default "portrait") */
+  orientation?: 'portrait' | 'landscape';
+
+  /** Table of contents: true for defaults, or { selector, title, placeholder } */
+  toc?: boolean | PagifyTocOptions;
+
+  /** PDF bookmarks: true for h1-h6 and [data-pagify-outline] elements, or { selector } */
+  outline?: boolean | { selector: string };
+
+  /** Make <a href> anchors (#id, http(s), mailto, tel) clickable in the PDF (default true) */
+  links?: boolean;
+
+  /** Document info written into the PDF */
+  metadata?: PagifyMetadata;
+
+  /** File name of the result (default "document.pdf"; ".pdf" appended when missing) */
+  filename?: string;
+
+  /** PDF/A-1b style archival output; the vector engine needs fonts.normal and opaque watermarks */
+  archival?: boolean | { fonts?: PagifyArchivalFonts };
+
+  /** Password protection and permission flags; cannot be combined with archival */
+  security?: PagifySecurity | null;
+
+  /** Watermarks and stamps; a string is shorthand for { text } */
+  watermark?: string | PagifyWatermark | Array<string | PagifyWatermark> | null;
+
+  /** Functions run in the render iframe around pagination and before the PDF */
+  hooks?: PagifyHooks | null;
+
+  /**
+   * Treat the HTML as untrusted: clean every *_html option against an
+   * allowlist (after templating) and sandbox the render iframe
+   */
+  sanitize?: boolean | PagifySanitizeOptions;
+
+  /** Plugins to run (overrides the SDK-wide config) */
+  plugins?: PagifyPluginSelection | null;
+
+  /** Page templates by name, applied to elements with data-pagify-page="<name>" */
+  named_pages?: Record<string, PagifyNamedPage>;
   
   /** Left page margin */
   margin_left?: string;
@@ -30,12 +356,51 @@ export interface PagifyOptions {
   /** Height reserved for footer */
   footer_height?: string;
   
-  /** CSS selector for page numbering */
+  /** Elements that get the page_number_template label prepended */
   page_number_selector?: string;
+
+  /** Format of .pageNumber / .totalPages (default "decimal") */
+  page_number_format?: PagifyPageNumberFormat;
+
+  /** Label for .pageLabel placeholders, with {page} and {total} (default "Page {page} of {total}") */
+  page_number_template?: string;
+
+  /** Number of the first page (default 1) */
+  page_number_start?: number;
+
+  /** Total shown by .totalPages instead of the counted one, for documents that continue another (default null) */
+  page_number_total?: number | null;
   
-  /** Show footer only on last page */
+  /** Show footer only on last page (same as last_page_footer_html = footer_html) */
   footer_only_on_last_page?: boolean;
+
+  /** Header for page 1 only; null (default) falls back to header_html, "" leaves it empty */
+  first_page_header_html?: string | null;
+
+  /** Footer for page 1 only */
+  first_page_footer_html?: string | null;
+
+  /** Header for the last page only (wins over the first-page variant on one-page documents) */
+  last_page_header_html?: string | null;
+
+  /** Footer for the last page only */
+  last_page_footer_html?: string | null;
+
+  /** Header for left (even) pages */
+  left_page_header_html?: string | null;
+
+  /** Footer for left (even) pages */
+  left_page_footer_html?: string | null;
+
+  /** Header for right (odd) pages */
+  right_page_header_html?: string | null;
+
+  /** Footer for right (odd) pages */
+  right_page_footer_html?: string | null;
   
+  /** HTML per page-margin box, on every page; "top-center"/"bottom-center" replace header_html/footer_html */
+  margin_boxes?: Partial<Record<PagifyMarginBox, string>>;
+
   /** Top padding for page content */
   page_padding_top?: string;
   
@@ -46,10 +411,58 @@ export interface PagifyOptions {
   onPdfReady?: (blobUrl: string) => void;
   
   /** Callback when PDF generation fails (receives error) */
-  onPdfError?: (error: string) => void;
+  onPdfError?: (error: PagifyError) => void;
+
+  /** If true, only render the preview without generating a PDF */
+  isViewOnlySkipMakingPDF?: boolean;
+
+  /** Zoom, page navigation and a thumbnail sidebar for the container preview, driven through the handle (needs containerSelector) */
+  viewer?: boolean | PagifyViewerOptions;
+
+  /** Callback when preview-only rendering completes */
+  onPreviewReady?: (result: { success: boolean; error?: PagifyError }) => void;
+
+  /** Called as the render moves through its stages */
+  onProgress?: (progress: PagifyProgress) => void;
+
+  /** Tear the job down with a TIMEOUT error if it has not finished in time (0 disables) */
+  timeoutMs?: number;
+
+  /** PDF output backend (overrides the SDK-wide config) */
+  engine?: PagifyEngine;
+
+  /**
+   * Template for the body, or templates per part; each part replaces the
+   * matching *_html option. Compiled in the host before the iframe is built.
+   */
+  template?: string | PagifyTemplateParts;
+
+  /** Data the template is rendered with */
+  data?: Record<string, unknown>;
+
+  /** Template partials by name, merged over the SDK-wide partials */
+  partials?: Record<string, string>;
+
+  /** Apply bullet point fixes to list items (default: true) */
+  beautifyListItems?: boolean;
+
+  /** Cancels the render when aborted, same as handle.cancel() */
+  signal?: AbortSignal;
   
   /** CSS selector for container element (optional) */
   containerSelector?: string;
+
+  /** Self-hosted directory for the iframe libraries (overrides the SDK-wide config) */
+  assetBaseUrl?: string;
+
+  /** Per-asset overrides for the iframe libraries (overrides the SDK-wide config) */
+  assets?: PagifyAssets;
+
+  /**
+   * Render in the warm worker iframe (overrides the SDK-wide config). Applies without containerSelector
+   * and sanitize; a render started while the worker is busy gets a fresh iframe
+   */
+  worker?: boolean;
 }
 
 export interface PagificationResult {
@@ -57,22 +470,230 @@ export interface PagificationResult {
   total: number;
 }
 
+/** Template syntax or render error (code 'TEMPLATE') */
+export class TemplateError extends PagifyError {
+  /** Template part or partial name the error is in */
+  template: string;
+
+  /** 1-based line in that template */
+  line: number;
+
+  /** 1-based column in that template */
+  column: number;
+}
+
+export interface PagifyRenderResult {
+  /** Generated PDF (a File named `filename`), or null for preview-only renders */
+  blob: Blob | null;
+
+  /** Object URL for the blob, created in the host page (null for preview-only renders) */
+  blobUrl: string | null;
+
+  /** Number of pages produced */
+  totalPages: number;
+
+  /** Time from render() to completion */
+  durationMs: number;
+
+  /** File name of the PDF */
+  filename: string;
+}
+
+export interface PagifyRenderHandle {
+  /** Unique job id */
+  id: string;
+
+  /**
+   * Settles when the job finishes; rejects on failure, or with an AbortError
+   * when the job is cancelled or cleaned up first
+   */
+  done: Promise<PagifyRenderResult>;
+
+  /** Stop the job and remove its iframe; returns false if it already finished */
+  cancel(reason?: string): boolean;
+
+  /** Remove the job's iframe (container-mounted jobs are never removed automatically) */
+  cleanup(): void;
+
+  /** Whether the job's iframe is still mounted */
+  isAlive(): boolean;
+
+  /** Listen for the job's progress */
+  on(event: 'progress', listener: (progress: PagifyProgress) => void): this;
+
+  /** Listen for the viewer's page changes (once when it starts, then on every new page) */
+  on(event: 'pagechange', listener: (change: PagifyPageChange) => void): this;
+
+  /** Remove a listener added with on() */
+  off(event: 'progress', listener: (progress: PagifyProgress) => void): this;
+  off(event: 'pagechange', listener: (change: PagifyPageChange) => void): this;
+
+  /**
+   * Viewer controls (viewer option). Each returns false when the job has no viewer or is gone;
+   * calls made before the viewer starts run once it does.
+   */
+  zoom(level: PagifyZoom): boolean;
+  goToPage(page: number): boolean;
+  nextPage(): boolean;
+  previousPage(): boolean;
+  /** Show or hide the thumbnail sidebar; toggles it without an argument */
+  toggleThumbnails(show?: boolean): boolean;
+
+  /** The viewer's last reported state, or null until it starts */
+  getViewerState(): PagifyViewerState | null;
+}
+
+/** Options for renderBatch */
+export interface PagifyBatchOptions {
+  /** Documents rendered at once, i.e. the size of the reused iframe pool (default 3) */
+  concurrency?: number;
+  /** Called after each item settles */
+  onProgress?: (progress: PagifyBatchProgress) => void | Promise<void>;
+  /** Combine the successful PDFs into one ZIP or one merged PDF */
+  combine?: 'zip' | 'pdf' | null;
+  /** Name of the combined file (default "documents.zip" / "documents.pdf") */
+  filename?: string;
+  /** Cancels running items and skips the rest */
+  signal?: AbortSignal;
+}
+
+export interface PagifyBatchProgress {
+  /** Position of the item in the batch */
+  index: number;
+  /** Items settled so far */
+  completed: number;
+  total: number;
+  status: 'fulfilled' | 'rejected';
+  result?: PagifyRenderResult;
+  error?: Error;
+}
+
+export interface PagifyBatchResult {
+  /**
+   * One entry per item, in order, shaped like Promise.allSettled. Revoke each
+   * result's blobUrl with URL.revokeObjectURL() when done; with `combine`, the
+   * combined items' blobUrls are already revoked and null
+   */
+  results: PromiseSettledResult<PagifyRenderResult>[];
+  succeeded: number;
+  failed: number;
+  /** Combined ZIP or PDF, or null without `combine` (or when every item failed) */
+  blob: Blob | null;
+  filename: string | null;
+}
+
+/** An existing PDF to append with merge() */
+export type PagifyPdfSource = Blob | ArrayBuffer | Uint8Array;
+
+/** A merge() part: render options, an existing PDF, or an existing PDF with a bookmark title */
+export type PagifyMergePart =
+  | (PagifyOptions & { bookmark?: string })
+  | PagifyPdfSource
+  | { pdf: PagifyPdfSource; bookmark?: string };
+
+export interface PagifyMergeOptions {
+  /** Number pages across parts, with .totalPages showing the packet's total (default false) */
+  continuousPageNumbers?: boolean;
+  /** One bookmark per part, with each part's own bookmarks nested under it (default true) */
+  bookmarks?: boolean;
+  /** Name of the merged PDF (default "document.pdf") */
+  filename?: string;
+  /** Parts rendered at once (default 3) */
+  concurrency?: number;
+  /** Cancels the renders still running */
+  signal?: AbortSignal;
+}
+
+export interface PagifyMergeResult extends PagifyRenderResult {
+  blob: File;
+  /** Object URL of the merged PDF; no job owns it, so revoke it with URL.revokeObjectURL() when done */
+  blobUrl: string;
+  /** Where each part landed in the merged PDF */
+  parts: { bookmark: string; startPage: number; pageCount: number }[];
+}
+
+/** Options for createLivePreview: render() options for the preview, plus its own settings */
+export interface PagifyLivePreviewOptions extends Omit<PagifyOptions, 'containerSelector' | 'isViewOnlySkipMakingPDF' | 'sanitize' | 'viewer'> {
+  /** Quiet time after the last update() before re-paginating, in ms (default 250) */
+  debounceMs?: number;
+  /** Called each time a new pagination is shown */
+  onUpdate?: (update: PagifyLivePreviewUpdate) => void;
+  /** Called when an update fails (the previous pagination stays on show), or with what onUpdate throws */
+  onError?: (error: PagifyError | Error) => void;
+}
+
+export interface PagifyLivePreviewUpdate {
+  totalPages: number;
+  durationMs: number;
+}
+
+export interface PagifyLivePreview {
+  /** Settles with the first pagination */
+  readonly ready: Promise<PagifyLivePreviewUpdate>;
+  /** The iframe on show, or null before the first pagination */
+  readonly iframe: HTMLIFrameElement | null;
+  /** Page count of the pagination on show */
+  readonly totalPages: number;
+
+  /** Merge options into the preview and re-paginate once updates pause; settles with the pagination that includes them */
+  update(partialOptions: Partial<PagifyLivePreviewOptions>): Promise<PagifyLivePreviewUpdate>;
+
+  /** Stop the preview and remove its iframes; pending updates reject with an AbortError */
+  destroy(): void;
+}
+
 export class PagifySDK {
-  constructor();
+  constructor(config?: PagifyConfig);
+
+  /**
+   * Set SDK-wide defaults used by every subsequent render
+   * @returns The same instance, for chaining
+   */
+  configure(config: PagifyConfig): this;
+
+  /**
+   * Register a plugin; it runs in every render unless `enabled` is false
+   * @returns The same instance, for chaining
+   */
+  use(plugin: PagifyPlugin, options?: { enabled?: boolean }): this;
   
   /**
    * Render HTML content as a paginated PDF
    * @param options Configuration options for PDF rendering
-   * @returns Promise that resolves when rendering starts
+   * @returns Promise that resolves with the job handle once rendering starts
    */
-  render(options: PagifyOptions): Promise<void>;
+  render(options: PagifyOptions): Promise<PagifyRenderHandle>;
   
   /**
-   * Direct PDF generation without iframe (for Node.js environments)
+   * Render headlessly and resolve with the PDF blob (browser only; in Node.js use
+   * generatePDF from "@eka-care/pagify-sdk/node")
    * @param options Same options as render method
    * @returns Promise that resolves with PDF blob
    */
   generatePDF(options: PagifyOptions): Promise<Blob>;
+
+  /**
+   * Create a live preview that re-paginates in place as the document is edited
+   * @param container Element, or selector of the element, the preview fills
+   * @throws Error when the container cannot be found
+   */
+  createLivePreview(container: string | Element, options?: PagifyLivePreviewOptions): PagifyLivePreview;
+
+  /**
+   * Render many documents headlessly through a pool of `concurrency` reused iframes
+   * @param items render() options per document (containerSelector is ignored)
+   * @returns Per-item outcomes, plus the combined file when `combine` is set
+   */
+  renderBatch(items: PagifyOptions[], options?: PagifyBatchOptions): Promise<PagifyBatchResult>;
+
+  /**
+   * Render documents and append existing PDFs into one PDF
+   * @param parts Render options (with an optional bookmark title) or existing PDFs, in order
+   */
+  merge(parts: PagifyMergePart[], options?: PagifyMergeOptions): Promise<PagifyMergeResult>;
+
+  /** Remove the warm worker iframe; one still rendering is removed when its render ends */
+  closeWorker(): void;
 }
 
 declare const pagify: PagifySDK;
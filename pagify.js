@@ -12,19 +12,183 @@
 
 import { Previewer } from 'pagedjs';
 import html2pdf from 'html2pdf.js';
+import { resolveAssets, buildAssetScriptTag, inlineJson } from './src/assets.js';
+import { getVectorEngineScript } from './src/vectorEngine.js';
+import { renderTemplate, TemplateError } from './src/template.js';
+import { getPageNumberingScript, validatePageNumbering, DEFAULT_PAGE_NUMBER_TEMPLATE } from './src/pageNumbering.js';
+import { resolveTocOptions, insertToc, getTocCSS, getTocScript } from './src/toc.js';
+import { getPdfLinksScript } from './src/pdfLinks.js';
+import { resolveOutlineSelector, getPdfOutlineScript } from './src/pdfOutline.js';
+import { normalizeMetadata, normalizeFilename, resolveArchivalOptions, getPdfMetadataScript, DEFAULT_FILENAME } from './src/pdfMetadata.js';
+import { resolveSecurityOptions } from './src/pdfSecurity.js';
+import { resolveWatermarks, getWatermarkCSS, getWatermarkScript } from './src/watermark.js';
+import { readBytes } from './src/bytes.js';
+import { createZip } from './src/zip.js';
+import { mergePdfs, countPdfPages } from './src/pdfMerge.js';
+import { PagifyError, toPagifyError, reviveError, createAbortError, getErrorScript } from './src/errors.js';
+import { resolveHooks, mergeHooks, getHooksScript, PAGED_HOOKS } from './src/hooks.js';
+import { BUILT_IN_PLUGINS, normalizePlugin, selectPlugins } from './src/plugins.js';
+import { resolveSanitizeOptions, sanitizeHtml } from './src/sanitize.js';
+import { WORKER_LOAD, createWorker, sameAssets, getWorkerScript } from './src/worker.js';
+import { createLivePreview } from './src/livePreview.js';
+import { VIEWER_COMMAND, resolveViewerOptions, resolveZoom, getViewerCSS, getViewerScript } from './src/viewer.js';
+
+// Output backends available inside the iframe (see getPdfGenerationScript),
+// mapped to the runtime asset each one needs
+const PDF_ENGINE_LIBRARIES = {
+    raster: "html2pdf",
+    vector: "jspdf",
+};
+const PDF_ENGINES = Object.keys(PDF_ENGINE_LIBRARIES);
+
+// Page types that get their own running header/footer, mapped to the @page
+// selector they use. Paged.js ranks :first above :left/:right; there is no
+// :last selector, so last-page variants are swapped in after pagination.
+const PAGE_VARIANT_SELECTORS = {
+    left: ":left",
+    right: ":right",
+    first: ":first",
+    last: null,
+};
+const PAGE_VARIANT_AREAS = { header: "top-center", footer: "bottom-center" };
+
+// The 16 CSS page-margin boxes, clockwise from the top-left corner
+const MARGIN_BOXES = [
+    "top-left-corner", "top-left", "top-center", "top-right", "top-right-corner",
+    "right-top", "right-middle", "right-bottom",
+    "bottom-right-corner", "bottom-right", "bottom-center", "bottom-left", "bottom-left-corner",
+    "left-bottom", "left-middle", "left-top",
+];
+
+// Named page templates become CSS page names, so they must be plain identifiers
+const NAMED_PAGE_PATTERN = /^[a-zA-Z][\w-]*$/;
+
+// CSS `size` value for a page size and orientation. Orientation only applies to
+// named sizes (A4, Letter...); "210mm 297mm" is already explicit.
+function pageSizeValue(page_size, orientation = "portrait") {
+    if (!["portrait", "landscape"].includes(orientation)) {
+        throw new Error(`Invalid orientation "${orientation}", expected "portrait" or "landscape"`);
+    }
+    return orientation === "landscape" ? `${page_size} landscape` : page_size;
+}
+
+// Ways renderBatch can combine its documents, by `combine` value
+const BATCH_COMBINE_TYPES = {
+    zip: async (documents) => {
+        // ZIP entry names must be unique: "invoice.pdf", "invoice (2).pdf", ...
+        const used = new Set();
+        const files = [];
+        for (const { blob, filename } of documents) {
+            let name = filename;
+            for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+                name = filename.replace(/(\.pdf)?$/i, ` (${copy})$1`);
+            }
+            used.add(name.toLowerCase());
+            files.push({ name, data: await readBytes(blob) });
+        }
+        return new Blob([createZip(files)], { type: "application/zip" });
+    },
+    pdf: async (documents) => (await mergePdfs(documents.map((item) => item.blob))).blob,
+};
+
+// Events a render handle can subscribe to with handle.on(event, listener)
+const HANDLE_EVENTS = ["progress", "pagechange"];
+
+// targetOrigin for posting into a job's iframe: its origin, or "*" when that is opaque ("null")
+function frameTargetOrigin(origin) {
+    return origin !== "null" ? origin : "*";
+}
+
+// Existing PDFs accepted by merge(), as opposed to render options
+function isPdfSource(value) {
+    return (typeof Blob !== "undefined" && value instanceof Blob) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+function validateConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Invalid concurrency "${concurrency}", expected a positive integer`);
+    }
+}
+
+/**
+ * Run task(item, index, lane) over items with at most `concurrency` tasks in flight.
+ * `lane` (0 to concurrency - 1) names the worker running the task, so tasks can share per-lane state.
+ * Resolves with Promise.allSettled-style outcomes in item order; onSettled(index, outcome)
+ * is awaited after each task, before that worker takes the next item.
+ */
+async function runQueue(items, concurrency, task, onSettled = null) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async (_, lane) => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: "fulfilled", value: await task(items[index], index, lane) };
+            } catch (reason) {
+                results[index] = { status: "rejected", reason };
+            }
+            await onSettled?.(index, results[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+}
+
+// Parts a `template` option may provide, each replacing the matching `<part>_html` option
+const TEMPLATE_PARTS = [
+    "body", "header", "footer", "head",
+    ...Object.keys(PAGE_VARIANT_SELECTORS).flatMap((variant) => [`${variant}_page_header`, `${variant}_page_footer`]),
+];
+
+/**
+ * Promise plus its settle functions; `settled` guards against double-settling
+ * when a job is finished and then torn down.
+ */
+function createDeferred() {
+    const deferred = { settled: false };
+    deferred.promise = new Promise((resolve, reject) => {
+        deferred.resolve = (value) => {
+            if (deferred.settled) return;
+            deferred.settled = true;
+            resolve(value);
+        };
+        deferred.reject = (reason) => {
+            if (deferred.settled) return;
+            deferred.settled = true;
+            reject(reason);
+        };
+    });
+    // Callers who only use the callbacks never await `done`; don't surface that as an unhandled rejection.
+    deferred.promise.catch(() => {});
+    return deferred;
+}
 
 /**
  * Pagify SDK Class
  * Handles PDF rendering with pagination using Paged.js and html2pdf.js
  */
 class PagifySDK {
-    constructor() {
+    /**
+     * @param {Object} [config] - SDK-wide defaults, see configure()
+     */
+    constructor(config = {}) {
+        // SDK-wide defaults applied to every render unless overridden per call
+        this.config = { ...config };
+
         this.callbackStorage = {};
 
         // Active render jobs indexed by unique job id
         // where each JOB is 1 pdf being generatting. PDF / view
         this.jobs = {};
 
+        // Registered plugins by name, and the ones every render runs unless told otherwise
+        this.plugins = new Map();
+        this.defaultPlugins = [];
+        BUILT_IN_PLUGINS.forEach((plugin) => this.use(plugin));
+
+        // Warm iframe reused by headless renders when the worker option is on (see src/worker.js)
+        this.worker = null;
+
         // Initialize message listener
         this.initMessageListener();
     }
@@ -40,23 +204,43 @@ class PagifySDK {
             const data = event?.data;
             if (!data?.type) return;
 
+            const job = this.jobs[data.iter];
+            if (!job) return;
+            // Only trust messages coming from this job's own iframe, from the origin
+            // it was given (opaque when sandboxed) and carrying its nonce.
+            if (event.source !== job.iframe.contentWindow || event.origin !== job.origin || data.nonce !== job.nonce) return;
+
             if (data.type === "renderpdf") {
                 this.callbackStorage[data.iter]?.();
                 delete this.callbackStorage[data.iter];
                 return;
             }
 
-            const job = this.jobs[data.iter];
-            if (!job) return;
-            // Only trust messages coming from this job's own iframe.
-            if (event.source !== job.iframe.contentWindow) return;
+            // Progress marker for the watchdog: remember where a stuck job hung.
+            if (data.type === "STAGE") {
+                job.stage = data.stage;
+                return;
+            }
+            if (data.type === "PROGRESS") {
+                this.emitProgress(data.iter, { stage: data.stage, page: data.page, total: data.total });
+                return;
+            }
+            // Viewer state, after the render has finished
+            if (data.type === "VIEWER_STATE") {
+                this.updateViewer(data.iter, data);
+                return;
+            }
+            clearTimeout(job.timeoutId);
 
             // IMPORTANT: await the caller's callback before teardown.
             // The blobUrl is created with URL.createObjectURL INSIDE the iframe,
             // so it is revoked the moment the iframe is removed. A headless
             // caller does `await fetch(blobUrl)` to read the blob — if we reap
             // the iframe synchronously we revoke the URL mid-read and the fetch
-            // fails intermittently. Draining the consumer first makes teardown
+            // fails intermittently. Draining the consumer first means teardown only
+            // happens once the caller has finished with the URL, so the read cannot race it.
+            // `done` settles after the callbacks, and regardless of whether they throw.
+            let settle;
             try {
                 switch (data.type) {
                     case "PDF_READY": {
@@ -68,35 +252,57 @@ class PagifySDK {
                         // and if callers have done, window.open or if caller does await fetch(blobUrl) or similar it'll fail mid BYTE
                         const url = data.blob ? URL.createObjectURL(data.blob) : data.blobUrl;
                         if (data.blob) job.blobUrl = url;
+                        settle = () => job.deferred.resolve(this.makeResult(job, data.blob ?? null, url, data.totalPages));
                         await job.onPdfReady?.(url);
-                        window.dispatchEvent(new CustomEvent("pdfReady", { detail: { blobUrl: url } }));
+                        window.dispatchEvent(new CustomEvent("pdfReady", { detail: { jobId: data.iter, blobUrl: url } }));
                         break;
                     }
-                    case "PDF_ERROR":
-                        console.error("PDF generation error:", data.error);
-                        await job.onPdfError?.(data.error);
-                        window.dispatchEvent(new CustomEvent("pdfError", { detail: { error: data.error } }));
+                    case "PDF_ERROR": {
+                        const error = reviveError(data.error, data.iter);
+                        console.error("PDF generation error:", error);
+                        settle = () => job.deferred.reject(error);
+                        await job.onPdfError?.(error);
+                        window.dispatchEvent(new CustomEvent("pdfError", { detail: { jobId: data.iter, error } }));
                         break;
+                    }
                     case "PREVIEW_READY":
+                        settle = () => job.deferred.resolve(this.makeResult(job, null, null, data.totalPages));
                         await job.onPreviewReady?.({ success: true });
-                        window.dispatchEvent(new CustomEvent("previewReady", { detail: { success: true } }));
+                        window.dispatchEvent(new CustomEvent("previewReady", { detail: { jobId: data.iter, success: true } }));
                         break;
-                    case "PREVIEW_ERROR":
-                        console.error("Preview error:", data.error);
-                        await job.onPreviewReady?.({ success: false, error: data.error });
-                        window.dispatchEvent(new CustomEvent("previewError", { detail: { success: false, error: data.error } }));
+                    case "PREVIEW_ERROR": {
+                        const error = reviveError(data.error, data.iter);
+                        console.error("Preview error:", error);
+                        settle = () => job.deferred.reject(error);
+                        await job.onPreviewReady?.({ success: false, error });
+                        window.dispatchEvent(new CustomEvent("previewError", { detail: { jobId: data.iter, success: false, error } }));
                         break;
+                    }
+                    default:
+                        return;
                 }
             } catch (err) {
                 console.error("Pagify callback error:", err);
             }
+            settle?.();
+
+            // A job torn down while its callback ran (cancel/cleanup) is already gone.
+            if (!this.jobs[data.iter]) return;
 
             // cleanup policy:
             // - headless worker (no caller container): the iframe was only used to
             //   produce the blob, so remove it now that the caller has drained it.
             // - container-mounted (caller owns the visible view): keep the iframe;
             //   the caller removes it via job.cleanup() on their own schedule.
-            if (job.hasContainer) {
+            // - worker (warm worker, live preview): a successful render hands the
+            //   iframe back for the next one; a failed one takes it down.
+            if (job.worker) {
+                if (data.type === "PDF_READY" || data.type === "PREVIEW_READY") {
+                    this.releaseWorker(data.iter);
+                } else {
+                    this.destroyJob(data.iter);
+                }
+            } else if (job.hasContainer) {
                 job.onPdfReady = job.onPdfError = job.onPreviewReady = null; // prevent double-fire
             } else {
                 this.destroyJob(data.iter);
@@ -104,10 +310,58 @@ class PagifySDK {
         }, false);
     }
 
+    /**
+     * Set SDK-wide defaults used by every subsequent render.
+     * @param {Object} config
+     * @param {string} config.assetBaseUrl - Directory serving paged.polyfill.js and html2pdf.bundle.min.js
+     * @param {Object} config.assets - Per-asset overrides: { pagedjs, html2pdf, jspdf } as URL, { url } or { source }
+     * @param {number} config.timeoutMs - Default render timeout in milliseconds (unset or 0 = no timeout)
+     * @param {string} config.engine - Default PDF output backend ("raster" or "vector")
+     * @param {Object<string, string>} config.partials - Template partials available to every render
+     * @param {Array|Object} config.plugins - Plugins every render runs: a list of names and plugins, or { name: boolean } switches
+     * @param {boolean} config.worker - Keep a warm worker iframe for headless renders (see src/worker.js); false also removes it
+     * @returns {PagifySDK} this, for chaining
+     */
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
+        if (config.worker === false) {
+            this.closeWorker();
+        }
+        return this;
+    }
+
+    /**
+     * Register a plugin: a named bundle of lifecycle hooks and CSS for the render iframe.
+     * @param {Object} plugin - { name, hooks, css }; hooks as in the render `hooks` option
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled=true] - Run it in every render; otherwise renders opt in through `plugins`
+     * @returns {PagifySDK} this, for chaining
+     * @throws {Error} on a malformed plugin or a name that is already registered
+     */
+    use(plugin, { enabled = true } = {}) {
+        const normalized = normalizePlugin(plugin);
+        if (this.plugins.has(normalized.name)) {
+            throw new Error(`Plugin "${normalized.name}" is already registered`);
+        }
+        this.plugins.set(normalized.name, normalized);
+        if (enabled) this.defaultPlugins.push(normalized);
+        return this;
+    }
+
+    /**
+     * Resolve iframe runtime assets, falling back to the SDK-wide config.
+     */
+    resolveAssets({ assetBaseUrl, assets } = {}) {
+        return resolveAssets({
+            assetBaseUrl: assetBaseUrl ?? this.config.assetBaseUrl,
+            assets: assets ?? this.config.assets,
+        });
+    }
+
     /**
      * Load html2pdf library via script tag as fallback
      */
-    loadHtml2PdfLibrary() {
+    loadHtml2PdfLibrary(asset = this.resolveAssets().html2pdf) {
         return new Promise((resolve, reject) => {
             // Check if html2pdf is already available
             if (typeof window.html2pdf === 'function') {
@@ -117,7 +371,18 @@ class PagifySDK {
 
             // Create script tag to load html2pdf
             const script = document.createElement('script');
-            script.src = 'https://unpkg.com/html2pdf.js@0.10.1/dist/html2pdf.bundle.min.js';
+            if (asset.source != null) {
+                script.textContent = asset.source;
+                document.head.appendChild(script);
+                if (typeof window.html2pdf === 'function') {
+                    resolve(window.html2pdf);
+                } else {
+                    reject(new Error('html2pdf not available after evaluating inline source'));
+                }
+                return;
+            }
+
+            script.src = asset.url;
             script.onload = () => {
                 if (typeof window.html2pdf === 'function') {
                     resolve(window.html2pdf);
@@ -125,7 +390,7 @@ class PagifySDK {
                     reject(new Error('html2pdf not available after loading script'));
                 }
             };
-            script.onerror = () => reject(new Error('Failed to load html2pdf script'));
+            script.onerror = () => reject(new Error(`Failed to load html2pdf script from ${asset.url}`));
             document.head.appendChild(script);
         });
     }
@@ -138,24 +403,79 @@ class PagifySDK {
      * @param {string} options.footer_html - HTML content for page footers
      * @param {string} options.head_html - Additional HTML for the <head> section
      * @param {string} options.page_size - Page size (A4, Letter, etc.)
+     * @param {string} options.orientation - "portrait" (default) or "landscape"
+     * @param {boolean|Object} options.toc - Table of contents: true, or { selector = "h1, h2, h3", title = "Contents", placeholder = "[data-pagify-toc]" }.
+     *   Replaces the placeholder element (or opens the body) with linked entries and their page numbers
+     * @param {boolean|Object} options.outline - PDF bookmarks: true for h1-h6 and [data-pagify-outline] elements, or { selector }
+     * @param {boolean} options.links - Turn <a href> (#anchor, http(s), mailto, tel) into clickable PDF links (default: true)
+     * @param {Object} options.metadata - Document info: { title, author, subject, keywords (string or array), creator, creationDate, language }
+     * @param {string} options.filename - File name of the result (default "document.pdf"); result.blob is a File with this name
+     * @param {boolean|Object} options.archival - PDF/A-1b style output: XMP metadata and sRGB OutputIntent.
+     *   { fonts: { normal, bold, italic, bolditalic } } gives TrueType fonts (URL, { url } or { source }) to embed; required for the vector engine,
+     *   which also rejects watermarks with opacity below 1 (PDF/A-1 has no transparency)
+     * @param {Object} options.security - Password protection: { userPassword, ownerPassword, permissions: ["print", "copy", "modify", "annot-forms"] }.
+     *   Omitted permissions grant all; an omitted ownerPassword is randomised so the flags hold
+     * @param {string|Object|Object[]} options.watermark - Stamp over pages: text shorthand, or { text | image, opacity, rotation, position, pages, color, fontSize, width }
+     *   (or a list of them). pages is "all", "first", "last" or { from, to }
+     * @param {Array|Object} options.plugins - Plugins to run: a list of registered names and plugins replacing the defaults,
+     *   or { name: boolean } to switch registered plugins on or off (default: built-ins and use()d plugins)
+     * @param {boolean|Object} options.sanitize - Treat the HTML as untrusted: clean every *_html option (after templating) against
+     *   an allowlist and sandbox the iframe. true, or { addTags, addAttributes } to extend the allowlists
+     * @param {Object} options.hooks - Functions run in the iframe: { beforeParsed, afterParsed, beforePageLayout, afterPageLayout, afterRendered, beforePdf },
+     *   each a function or a list of them. They are serialized, so they cannot use variables from the calling scope
+     * @param {Object<string, Object>} options.named_pages - Page templates by name: { page_size, orientation, margin_left, margin_right, header_height, footer_height }.
+     *   Elements with data-pagify-page="<name>" are laid out on pages of that template; unset keys inherit the document's
      * @param {string} options.margin_left - Left page margin
      * @param {string} options.margin_right - Right page margin
      * @param {string} options.header_height - Height reserved for header
      * @param {string} options.footer_height - Height reserved for footer
-     * @param {string} options.page_number_selector - CSS selector for page numbering
-     * @param {boolean} options.footer_only_on_last_page - Show footer only on last page
+     * @param {string} options.page_number_selector - Elements that get the page_number_template label prepended
+     * @param {string} options.page_number_format - "decimal" (default), "lower-roman", "upper-roman", "lower-alpha" or "upper-alpha"
+     * @param {string} options.page_number_template - Label for .pageLabel placeholders, with {page} and {total} (default "Page {page} of {total}")
+     * @param {number} options.page_number_start - Number of the first page (default 1)
+     * @param {number} options.page_number_total - Total shown by .totalPages instead of the counted one, for documents that continue
+     *   another (default null; merge() sets it for continuous numbering)
+     * @param {boolean} options.footer_only_on_last_page - Show footer only on last page (shorthand for last_page_footer_html = footer_html)
+     * @param {string} options.first_page_header_html - Header for page 1 only (replaces header_html there)
+     * @param {string} options.first_page_footer_html - Footer for page 1 only
+     * @param {string} options.last_page_header_html - Header for the last page only
+     * @param {string} options.last_page_footer_html - Footer for the last page only, e.g. a signature block
+     * @param {string} options.left_page_header_html - Header for left (even) pages
+     * @param {string} options.left_page_footer_html - Footer for left (even) pages
+     * @param {string} options.right_page_header_html - Header for right (odd) pages
+     * @param {string} options.right_page_footer_html - Footer for right (odd) pages
+     * @param {Object<string, string>} options.margin_boxes - HTML per page-margin box ("top-left", "bottom-right", ...), on every page.
+     *   "top-center" / "bottom-center" replace header_html / footer_html
      * @param {string} options.page_padding_top - Top padding for page content
      * @param {function} options.callback - Function called when rendering completes
      * @param {function} options.onPdfReady - Callback when PDF blob is ready (receives blobUrl)
-     * @param {function} options.onPdfError - Callback when PDF generation fails (receives error)
+     * @param {function} options.onPdfError - Callback when PDF generation fails (receives a PagifyError)
      * @param {string} options.containerSelector - CSS selector for container element
      * @param {boolean} options.isViewOnlySkipMakingPDF - If true, only render preview without generating PDF
-     * @param {function} options.onPreviewReady - Callback when in preview only mode, fired on iframe ready in DOM (receives {success: boolean, error?: string})
+     * @param {boolean|Object} options.viewer - Zoom, page navigation and thumbnails for the container preview: true, or
+     *   { zoom: "fit-width" | "fit-page" | percentage, thumbnails: boolean } (see src/viewer.js). Needs containerSelector
+     * @param {function} options.onPreviewReady - Callback when in preview only mode, fired on iframe ready in DOM (receives {success: boolean, error?: PagifyError})
+     * @param {function} options.onProgress - Called at each step with { jobId, stage, page, total }: stage "fonts", then "pagination" per page
+     *   laid out (total null until the last), "rendering" per page drawn, and "assembled" when the PDF is built
      * @param {boolean} options.beautifyListItems - If true, apply bullet point fixes to list items (default: true)
-     * @returns {Promise<{id: string, cleanup: function, isAlive: function}>} job handle.
+     * @param {string|Object} options.template - Template source for the body, or { body, header, footer, head } sources; replaces the matching *_html options
+     * @param {Object} options.data - Data the template is rendered with
+     * @param {Object<string, string>} options.partials - Template partials by name (merged over configure() partials)
+     * @param {string} options.engine - PDF output backend: "raster" (html2canvas images, default) or "vector" (selectable text via jsPDF drawing)
+     * @param {number} options.timeoutMs - Tear the job down with a TIMEOUT error if it has not finished in time (overrides configure(); 0 disables)
+     * @param {string} options.assetBaseUrl - Self-hosted directory for the iframe libraries (overrides configure())
+     * @param {Object} options.assets - Per-asset overrides { pagedjs, html2pdf, jspdf }: URL, { url } or inline { source }
+     * @param {boolean} options.worker - Render in the warm worker iframe when there is no container and no sanitize (overrides configure();
+     *   default false). Falls back to a fresh iframe while the worker is busy
+     * @param {AbortSignal} options.signal - Cancels the render when aborted (same as handle.cancel())
+     * @returns {Promise<{id: string, done: Promise<{blob: Blob|null, blobUrl: string|null, totalPages: number, durationMs: number, filename: string}>, cancel: function, cleanup: function, isAlive: function}>} job handle
+     *   (see makeHandle).
+     *   `done` resolves once the PDF (or preview) is ready and rejects on failure, or with an
+     *   AbortError when the job is cancelled or cleaned up before finishing.
      *   When a container is passed the iframe is the caller's view and is NOT auto-removed;
      *   call handle.cleanup() on unmount to remove it. Headless (no container) jobs self-clean
      *   once the blob is delivered.
+     * @param {Object} [target] - Internal: { worker } renders into that worker iframe (see src/worker.js), as createLivePreview does
      */
     async render({
         body_html = "",
@@ -163,56 +483,175 @@ class PagifySDK {
         footer_html = "",
         head_html = "",
         page_size = "A4",
+        orientation = "portrait",
+        named_pages = {},
+        toc = false,
+        outline = false,
+        links = true,
+        metadata = {},
+        filename = DEFAULT_FILENAME,
+        archival = false,
+        security = null,
+        watermark = null,
+        hooks = null,
+        plugins = null,
+        sanitize = false,
         margin_left = "0mm",
         margin_right = "0mm",
         header_height = "0mm",
         footer_height = "0mm",
         page_number_selector = "",
+        page_number_format = "decimal",
+        page_number_template = DEFAULT_PAGE_NUMBER_TEMPLATE,
+        page_number_start = 1,
+        page_number_total = null,
         footer_only_on_last_page = false,
+        first_page_header_html = null,
+        first_page_footer_html = null,
+        last_page_header_html = null,
+        last_page_footer_html = null,
+        left_page_header_html = null,
+        left_page_footer_html = null,
+        right_page_header_html = null,
+        right_page_footer_html = null,
+        margin_boxes = {},
         page_padding_top = "16px",
         callback = null,
         onPdfReady = null,
         onPdfError = null,
         containerSelector = null,
         isViewOnlySkipMakingPDF = false,
+        viewer = false,
         onPreviewReady = null,
+        onProgress = null,
         beautifyListItems = true,
-    }) {
+        assetBaseUrl = null,
+        assets = null,
+        worker = this.config.worker ?? false,
+        signal = null,
+        timeoutMs = this.config.timeoutMs,
+        engine = this.config.engine ?? "raster",
+        template = null,
+        data = {},
+        partials = {},
+    }, { worker: targetWorker = null } = {}) {
+        // Unique job id so that we are stable, irrespective of caller using as singleton or multiple instances
+        const instanceId = this.generateJobId();
+        const deferred = createDeferred();
+
+        if (signal?.aborted) {
+            deferred.reject(createAbortError());
+            return this.makeHandle(instanceId, deferred.promise);
+        }
+
         try {
-            // Unique job id so that we are stable, irrespective of caller using as singleton or multiple instances
-            const instanceId = this.generateJobId();
+            if (!PDF_ENGINES.includes(engine)) {
+                throw new Error(`Unknown PDF engine "${engine}", expected one of: ${PDF_ENGINES.join(", ")}`);
+            }
+
+            // Compile templates in the host so syntax errors surface before any iframe exists
+            const templated = template != null
+                ? this.renderTemplates(template, data, { ...this.config.partials, ...partials })
+                : {};
 
             // Store callback for later execution
             this.callbackStorage[instanceId] = callback;
 
-            // Generate page numbering CSS if selector is provided
-            const pageNumberCSS = page_number_selector
-                ? `${page_number_selector}::before {
-                    content: "Page " counter(page) " of " counter(pages) " ";
-                }`
-                : "";
+            const pageNumbering = {
+                format: page_number_format,
+                template: page_number_template,
+                start: page_number_start,
+                total: page_number_total,
+                selector: page_number_selector,
+            };
+            validatePageNumbering(pageNumbering);
+
+            // The TOC is part of the body before pagination, so its length is laid out like any content
+            const tocOptions = resolveTocOptions(toc);
+            const outlineSelector = resolveOutlineSelector(outline);
+            const pdfMetadata = normalizeMetadata(metadata);
+            const archivalOptions = resolveArchivalOptions(archival, engine);
+            const pdfFilename = normalizeFilename(filename);
+            const encryption = resolveSecurityOptions(security);
+            if (encryption && archivalOptions) {
+                throw new Error("archival and security cannot be combined: PDF/A does not allow encryption");
+            }
+            const watermarks = resolveWatermarks(watermark);
+            // The raster engine flattens watermarks into its page images; the vector engine draws them with alpha
+            if (archivalOptions && engine === "vector" && watermarks.some((stamp) => stamp.opacity < 1)) {
+                throw new Error("archival cannot be combined with a semi-transparent watermark in the vector engine: PDF/A-1 does not allow transparency; use opacity 1");
+            }
+            const viewerOptions = resolveViewerOptions(viewer);
+            if (viewerOptions && !containerSelector) {
+                throw new Error("viewer needs a containerSelector: it controls the preview shown in that container");
+            }
+            // Plugin hooks run before the render's own, in plugin order
+            const activePlugins = selectPlugins(plugins, selectPlugins(this.config.plugins, this.defaultPlugins, this.plugins), this.plugins);
+            const resolvedHooks = mergeHooks([...activePlugins.map((plugin) => plugin.hooks), resolveHooks(hooks)]);
+
+            // Untrusted markup is cleaned after templating, so data substituted into templates is covered too
+            const sanitizePolicy = resolveSanitizeOptions(sanitize);
+            const clean = (html) => (sanitizePolicy ? sanitizeHtml(html, sanitizePolicy.body) : html);
+            const bodyHtml = clean(templated.body_html ?? body_html);
+            const nonce = this.generateNonce();
+            const hostOrigin = window.location.origin;
+            const resolvedAssets = this.resolveAssets({ assetBaseUrl, assets });
+            // A sandboxed iframe cannot be handed documents, and a caller's container keeps its own
+            const warmWorker = targetWorker ?? (worker && !containerSelector && !sanitizePolicy ? this.takeWorker() : null);
+            if (warmWorker) {
+                if (sanitizePolicy) {
+                    throw new Error("sanitize cannot be used in a live preview: its iframe is sandboxed");
+                }
+                this.prepareWorker(warmWorker, resolvedAssets);
+            }
 
             // Build complete HTML document for the iframe
             const iframeHTML = this.buildIframeHTML({
                 instanceId,
-                body_html,
-                header_html,
-                footer_html,
-                head_html,
+                nonce,
+                hostOrigin: frameTargetOrigin(hostOrigin),
+                body_html: tocOptions ? insertToc(bodyHtml, tocOptions) : bodyHtml,
+                header_html: clean(templated.header_html ?? header_html),
+                footer_html: clean(templated.footer_html ?? footer_html),
+                head_html: sanitizePolicy ? sanitizeHtml(templated.head_html ?? head_html, sanitizePolicy.head) : templated.head_html ?? head_html,
                 page_size,
+                orientation,
+                named_pages,
                 margin_left,
                 margin_right,
                 header_height,
                 footer_height,
                 footer_only_on_last_page,
+                pageVariants: {
+                    first: { header: clean(templated.first_page_header_html ?? first_page_header_html), footer: clean(templated.first_page_footer_html ?? first_page_footer_html) },
+                    last: { header: clean(templated.last_page_header_html ?? last_page_header_html), footer: clean(templated.last_page_footer_html ?? last_page_footer_html) },
+                    left: { header: clean(templated.left_page_header_html ?? left_page_header_html), footer: clean(templated.left_page_footer_html ?? left_page_footer_html) },
+                    right: { header: clean(templated.right_page_header_html ?? right_page_header_html), footer: clean(templated.right_page_footer_html ?? right_page_footer_html) },
+                },
+                margin_boxes: sanitizePolicy
+                    ? Object.fromEntries(Object.entries(margin_boxes).map(([box, html]) => [box, clean(html)]))
+                    : margin_boxes,
                 page_padding_top,
-                pageNumberCSS,
+                pageNumbering,
+                watermarks,
+                hooks: resolvedHooks,
+                pluginCss: activePlugins.map((plugin) => plugin.css).filter(Boolean).join("\n"),
                 isViewOnlySkipMakingPDF,
+                viewer: viewerOptions,
                 beautifyListItems,
+                links,
+                outlineSelector,
+                pdfMetadata,
+                archivalOptions,
+                encryption,
+                filename: pdfFilename,
+                engine,
+                assets: resolvedAssets,
+                workerLibraries: warmWorker?.libraries ?? null,
             });
 
-            // Resolve mount target (container if found, else document.body)
-            const container = this.getContainer(containerSelector);
+            // Resolve mount target (a worker's own, else container if found, else document.body)
+            const container = warmWorker?.container ?? this.getContainer(containerSelector);
             const hasContainer = container !== document.body;
 
             // LEARNING
@@ -221,35 +660,203 @@ class PagifySDK {
             // hence instead of document.querySelectorAll we move to  container.querySelectorAll
             
             // this executes before each innvocation so before rendering each view > this would run and clean up BUT NOT DOM scoped BUT CONTAINER SCOPED
-            if (hasContainer) {
+            // (a worker's container holds iframes it reuses)
+            if (hasContainer && !warmWorker) {
                 container.querySelectorAll("iframe[data-pagify-job]").forEach((f) =>
                     this.destroyJob(f.getAttribute("data-pagify-job"))
                 );
             }
 
-            // Create, tag, and mount iframe
-            const iframe = this.createIframe(containerSelector);
+            // Create, tag, and mount iframe; a warm worker already has one and is sent the document instead
+            let iframe = warmWorker?.iframe;
+            if (iframe) {
+                iframe.contentWindow.postMessage({ type: WORKER_LOAD, html: iframeHTML }, frameTargetOrigin(hostOrigin));
+            } else {
+                iframe = this.createIframe(containerSelector, { sandbox: Boolean(sanitizePolicy) });
+                iframe.srcdoc = iframeHTML;
+                container.appendChild(iframe);
+                if (warmWorker) {
+                    iframe.setAttribute("data-pagify-worker", "true");
+                    warmWorker.iframe = iframe;
+                }
+            }
             iframe.setAttribute("data-pagify-job", instanceId);
-            iframe.srcdoc = iframeHTML;
-            container.appendChild(iframe);
+            if (warmWorker) warmWorker.jobId = instanceId;
 
             // Register job state (instance-scoped; no shared counter)
             this.jobs[instanceId] = {
                 iframe,
                 hasContainer,
+                nonce,
+                // Sandboxed iframes have an opaque origin, so their messages arrive from "null"
+                origin: sanitizePolicy ? "null" : hostOrigin,
                 onPdfReady,
                 onPdfError,
                 onPreviewReady,
+                onProgress,
+                // handle.on() subscribers by event (see HANDLE_EVENTS)
+                listeners: Object.fromEntries(HANDLE_EVENTS.map((event) => [event, new Set()])),
+                isViewOnly: isViewOnlySkipMakingPDF,
+                // Viewer state last reported by the iframe, and commands held until it starts
+                viewer: viewerOptions ? { ready: false, queue: [], page: 1, totalPages: 0, ...viewerOptions, scale: null } : null,
+                worker: warmWorker,
+                // Library the iframe holds once the PDF is made, for a worker to keep
+                pdfLibrary: isViewOnlySkipMakingPDF ? null : PDF_ENGINE_LIBRARIES[engine],
+                deferred,
+                filename: pdfFilename,
+                startedAt: Date.now(),
+                detachSignal: null,
+                // Last stage reported by the iframe: fonts -> pagination -> pdf
+                stage: "fonts",
+                timeoutMs,
+                timeoutId: timeoutMs > 0 ? setTimeout(() => this.timeoutJob(instanceId), timeoutMs) : null,
             };
 
-            // Return a handle so the caller can tear down on their own schedule
-            return this.makeHandle(instanceId);
+            if (signal) {
+                const onAbort = () => this.cancelJob(instanceId);
+                signal.addEventListener("abort", onAbort, { once: true });
+                this.jobs[instanceId].detachSignal = () => signal.removeEventListener("abort", onAbort);
+            }
         } catch (error) {
-            console.error("Pagify render error:", error);
+            // Option and template errors, raised before any iframe exists
+            const failure = toPagifyError(error, { code: "INVALID_OPTIONS", stage: "setup", jobId: instanceId });
+            console.error("Pagify render error:", failure);
+            deferred.reject(failure);
             if (onPdfError) {
-                onPdfError(error.message);
+                onPdfError(failure);
             }
         }
+
+        // Return a handle so the caller can tear down on their own schedule
+        return this.makeHandle(instanceId, deferred.promise);
+    }
+
+    /**
+     * Render the `template` option into *_html values.
+     * @param {string|Object} template - Body template, or sources keyed by TEMPLATE_PARTS
+     * @param {Object} data - Template data
+     * @param {Object<string, string>} partials - Partial sources by name
+     * @returns {Object<string, string>} e.g. { body_html, footer_html } for the parts given
+     * @throws {TemplateError} with line and column on syntax or render errors
+     */
+    renderTemplates(template, data, partials) {
+        const sources = typeof template === "string" ? { body: template } : template;
+        const html = {};
+        Object.keys(sources).forEach((part) => {
+            if (!TEMPLATE_PARTS.includes(part)) {
+                throw new Error(`Unknown template part "${part}", expected one of: ${TEMPLATE_PARTS.join(", ")}`);
+            }
+            html[`${part}_html`] = renderTemplate(sources[part], data, { name: part, partials });
+        });
+        return html;
+    }
+
+    /**
+     * CSS and markup for the per-page-type header/footer variants.
+     * @param {Object} pageVariants - { first, last, left, right }, each { header, footer } HTML (null = not set)
+     * @returns {{css: string, html: string, lastPage: string}} running-element CSS, running elements
+     *   for the body, and <template>s applied to the last page after pagination
+     */
+    buildPageVariants(pageVariants = {}) {
+        let css = "";
+        let html = "";
+        let lastPage = "";
+
+        Object.entries(PAGE_VARIANT_SELECTORS).forEach(([variant, selector]) => {
+            Object.entries(PAGE_VARIANT_AREAS).forEach(([area, marginBox]) => {
+                const content = pageVariants[variant]?.[area];
+                if (content == null) return;
+
+                if (!selector) {
+                    lastPage += `<template data-pagify-last-page="${marginBox}"><div style="width: 100%">${content}</div></template>`;
+                    return;
+                }
+
+                const name = `pagify-${area}-${variant}`;
+                css += `
+                        .${name} {
+                            position: running(${name});
+                        }
+
+                        @page ${selector} {
+                            @${marginBox} {
+                                content: element(${name});
+                            }
+                        }
+                `;
+                html += `<div class="${name}" style="width: 100%">${content}</div>`;
+            });
+        });
+
+        return { css, html, lastPage };
+    }
+
+    /**
+     * CSS and running elements for the margin_boxes option.
+     * @param {Object<string, string>} marginBoxes - HTML by margin box name (see MARGIN_BOXES)
+     * @returns {{css: string, html: string}}
+     */
+    buildMarginBoxes(marginBoxes = {}) {
+        let css = "";
+        let html = "";
+
+        Object.entries(marginBoxes).forEach(([box, content]) => {
+            if (!MARGIN_BOXES.includes(box)) {
+                throw new Error(`Unknown margin box "${box}", expected one of: ${MARGIN_BOXES.join(", ")}`);
+            }
+            if (content == null) return;
+
+            const name = `pagify-box-${box}`;
+            css += `
+                        .${name} {
+                            position: running(${name});
+                        }
+
+                        @page {
+                            @${box} {
+                                content: element(${name});
+                            }
+                        }
+            `;
+            html += `<div class="${name}" style="width: 100%">${content}</div>`;
+        });
+
+        return { css, html };
+    }
+
+    /**
+     * CSS for named page templates: maps data-pagify-page="<name>" elements onto
+     * `@page <name>` rules. Paged.js breaks pages around each mapped element and
+     * sizes those pages from the rule.
+     * @param {Object<string, Object>} namedPages - Page settings by name (see render's named_pages)
+     * @param {string} page_size - Document page size, used when a template sets only orientation
+     * @returns {string}
+     */
+    buildNamedPagesCSS(namedPages = {}, page_size = "A4") {
+        return Object.entries(namedPages).map(([name, page = {}]) => {
+            if (!NAMED_PAGE_PATTERN.test(name)) {
+                throw new Error(`Invalid named page "${name}": use letters, digits, "-" and "_", starting with a letter`);
+            }
+
+            const declarations = [];
+            if (page.page_size || page.orientation) {
+                declarations.push(`size: ${pageSizeValue(page.page_size ?? page_size, page.orientation)};`);
+            }
+            if (page.margin_left) declarations.push(`margin-left: ${page.margin_left};`);
+            if (page.margin_right) declarations.push(`margin-right: ${page.margin_right};`);
+            if (page.header_height) declarations.push(`margin-top: ${page.header_height};`);
+            if (page.footer_height) declarations.push(`margin-bottom: ${page.footer_height};`);
+
+            return `
+                        [data-pagify-page="${name}"] {
+                            page: ${name};
+                        }
+
+                        @page ${name} {
+                            ${declarations.join("\n                            ")}
+                        }
+            `;
+        }).join("");
     }
 
     /**
@@ -257,21 +864,51 @@ class PagifySDK {
      */
     buildIframeHTML({
         instanceId,
+        nonce = "",
+        hostOrigin = "*",
         body_html,
         header_html,
         footer_html,
         head_html,
         page_size,
+        orientation = "portrait",
+        named_pages = {},
         margin_left,
         margin_right,
         header_height,
         footer_height,
         footer_only_on_last_page,
+        pageVariants = {},
+        margin_boxes = {},
         page_padding_top,
-        pageNumberCSS,
+        pageNumbering = { format: "decimal", template: DEFAULT_PAGE_NUMBER_TEMPLATE, start: 1 },
+        watermarks = [],
+        hooks = {},
+        pluginCss = "",
         isViewOnlySkipMakingPDF,
+        viewer = null,
         beautifyListItems,
+        links = true,
+        outlineSelector = null,
+        pdfMetadata = {},
+        archivalOptions = null,
+        encryption = null,
+        filename = DEFAULT_FILENAME,
+        engine = "raster",
+        assets = this.resolveAssets(),
+        workerLibraries = null,
     }) {
+        // Library the PDF engine runs on; only this one is loaded in PDF mode
+        const pdfLibrary = PDF_ENGINE_LIBRARIES[engine];
+
+        // footer_only_on_last_page predates page variants: it is a last-page footer with no default footer
+        const variants = footer_only_on_last_page
+            ? { ...pageVariants, last: { ...pageVariants.last, footer: pageVariants.last?.footer ?? footer_html } }
+            : pageVariants;
+        const pageVariantMarkup = this.buildPageVariants(variants);
+        const namedPagesCSS = this.buildNamedPagesCSS(named_pages, page_size);
+        const marginBoxMarkup = this.buildMarginBoxes(margin_boxes);
+
         return `
             <html>
                 <head>
@@ -283,16 +920,91 @@ class PagifySDK {
                             auto: false,
                         }
                     <\/script>
+                    ${workerLibraries ? `<script>${getWorkerScript()}<\/script>` : ""}
                     <script>
+                    // Declarations stay in this block, since a warm worker runs one document after another in
+                    // the same window. Its functions are still globals for the asset tags' onload / onerror.
+                    {
                         let totalPages;
                         let isViewOnly = ${isViewOnlySkipMakingPDF};
+
+                        // Every message to the host names its job and nonce, and only goes to the host's origin
+                        function postToHost(message) {
+                            window.parent.postMessage({ ...message, iter: "${instanceId}", nonce: ${JSON.stringify(nonce)} }, ${JSON.stringify(hostOrigin)});
+                        }
+
+                        // Set by the host's cancel(); each pipeline step checks it before continuing
+                        let cancelled = false;
+                        window.addEventListener("message", (event) => {
+                            if (event.source === window.parent && event.data?.type === "CANCEL") {
+                                cancelled = true;
+                            }
+                        });
+
+                        // Swap last-page header/footer variants into the final page's margin boxes
+                        function applyLastPageVariants() {
+                            const pages = document.querySelectorAll(".pagedjs_page");
+                            const lastPage = pages[pages.length - 1];
+                            if (!lastPage) return;
+
+                            document.querySelectorAll("template[data-pagify-last-page]").forEach((template) => {
+                                const box = lastPage.querySelector(".pagedjs_margin-" + template.getAttribute("data-pagify-last-page"));
+                                const content = box?.querySelector(".pagedjs_margin-content");
+                                if (!content) return;
+                                content.innerHTML = "";
+                                content.appendChild(template.content.cloneNode(true));
+                                box.classList.add("hasContent");
+                            });
+                        }
+
+                        ${getPageNumberingScript(pageNumbering)}
+                        ${getTocScript()}
+                        ${getWatermarkScript(watermarks)}
+                        ${getHooksScript(hooks)}
+                        ${viewer ? getViewerScript(viewer) : ""}
+
+                        // Tell the host's watchdog which stage we reached
+                        function reportStage(stage) {
+                            postToHost({ type: "STAGE", stage: stage });
+                        }
+
+                        // Progress for the caller's onProgress / handle.on("progress"); total is null while unknown
+                        function reportProgress(stage, page = null, total = null) {
+                            postToHost({ type: "PROGRESS", stage: stage, page: page, total: total });
+                        }
+
+                        ${getErrorScript()}
+
+                        // Post a failure to the host; code classifies errors that do not carry their own
+                        function reportFailure(error, code, stage) {
+                            postToHost({
+                                type: isViewOnly ? "PREVIEW_ERROR" : "PDF_ERROR",
+                                error: serializeFailure(error, code, stage),
+                            });
+                        }
+
+                        // Report a runtime library that could not be loaded (CSP, offline, bad assetBaseUrl)
+                        function reportAssetError(name, url) {
+                            reportFailure(pagifyFailure("ASSET_LOAD", "Failed to load " + name + " from " + url), "ASSET_LOAD", "fonts");
+                        }
                         
-                        ${!isViewOnlySkipMakingPDF ? `${this.getPdfGenerationScript(instanceId, beautifyListItems, page_size)}` : ''}
+                        ${!isViewOnlySkipMakingPDF ? `${this.getPdfGenerationScript(instanceId, { beautifyListItems, links, outlineSelector, pdfMetadata, archivalOptions, encryption, filename, engine, assets })}` : ''}
                         function initializePagination() {
-                            ${this.getPagedJSInitScript(instanceId, isViewOnlySkipMakingPDF)}
+                            ${this.getPagedJSInitScript(instanceId, isViewOnlySkipMakingPDF, { viewer: Boolean(viewer) })}
+                        }
+
+                        // An inlined Paged.js runs before <body> is parsed, so wait for it
+                        function startPagination() {
+                            if (document.readyState === "loading") {
+                                document.addEventListener("DOMContentLoaded", initializePagination, { once: true });
+                            } else {
+                                initializePagination();
+                            }
                         }
+                    }
                     <\/script>
-                    <script src="https://unpkg.com/pagedjs@0.4.3/dist/paged.polyfill.js" onload="initializePagination()"><\/script>
+                    ${!isViewOnlySkipMakingPDF && assets[pdfLibrary].source != null && !workerLibraries?.has(pdfLibrary) ? buildAssetScriptTag(pdfLibrary, assets[pdfLibrary]) : ""}
+                    ${workerLibraries?.has("pagedjs") ? "<script>startPagination()<\/script>" : buildAssetScriptTag("pagedjs", assets.pagedjs, "startPagination()")}
                     <style>
                         /* Ensure print colors are preserved */
                         body {
@@ -302,9 +1014,6 @@ class PagifySDK {
                             padding: 0;
                         }
 
-                        /* Page numbering styles */
-                        ${pageNumberCSS}
-
                         /* Header and footer positioning */
                         .header {
                             position: running(header);
@@ -341,7 +1050,7 @@ class PagifySDK {
                             margin-right: ${margin_right};
                             margin-top: ${header_height};
                             margin-bottom: ${footer_height};
-                            size: ${page_size};
+                            size: ${pageSizeValue(page_size, orientation)};
                         
                             @bottom-center {
                                 content: element(footer);
@@ -376,8 +1085,30 @@ class PagifySDK {
                         .page-break-inside-avoid {
                             page-break-inside: avoid;
                         }
+
+                        /* Table of contents (toc option) */
+                        ${getTocCSS()}
+
+                        /* Extra margin boxes (margin_boxes option) */
+                        ${marginBoxMarkup.css}
+
+                        /* Watermark overlays (watermark option) */
+                        ${watermarks.length ? getWatermarkCSS() : ""}
+
+                        /* Thumbnail sidebar (viewer option) */
+                        ${viewer ? getViewerCSS() : ""}
+
+                        /* Plugin styles */
+                        ${pluginCss}
+
+                        /* Per-page-type header/footer variants */
+                        ${pageVariantMarkup.css}
+
+                        /* Named page templates (data-pagify-page) */
+                        ${namedPagesCSS}
                     </style>
                     ${head_html}
+                    ${pageVariantMarkup.lastPage}
                 </head>
                 <body>
                     <!-- Header content (appears on every page) -->
@@ -385,18 +1116,19 @@ class PagifySDK {
                         ${header_html}
                     </div>
                     
-                    <!-- Footer content (conditional positioning) -->
-                    ${footer_only_on_last_page ? "" : `<div class="footer" style="width: 100%">
-                        ${footer_html}
-                    </div>`}
+                    <!-- Footer content (every page unless footer_only_on_last_page) -->
+                    <div class="footer" style="width: 100%">
+                        ${footer_only_on_last_page ? "" : footer_html}
+                    </div>
+
+                    <!-- Margin box content (margin_boxes option) -->
+                    ${marginBoxMarkup.html}
+
+                    <!-- First / left / right page header and footer variants -->
+                    ${pageVariantMarkup.html}
                     
                     <!-- Main body content -->
                     ${body_html}
-
-                    <!-- Footer on last page only (if specified) -->
-                    ${footer_only_on_last_page ? `<div class="footer" style="width: 100%">
-                        ${footer_html}
-                    </div>` : ""}
                 </body>
             </html>
         `;
@@ -405,86 +1137,43 @@ class PagifySDK {
     /**
      * Get Paged.js initialization script
      */
-    getPagedJSInitScript(instanceId, isViewOnlySkipMakingPDF) {
+    getPagedJSInitScript(instanceId, isViewOnlySkipMakingPDF, { viewer = false } = {}) {
         return `
             // Wait for fonts to load before starting pagination
             document.fonts.ready.then(async () => {
                 console.log("Fonts are ready");
+                if (cancelled) return;
+                reportProgress("fonts");
+                reportStage("pagination");
                 try {
                     // Import Paged.js dynamically
-                    const { Previewer, Handler, registerHandlers } = window.Paged;
+                    const { Previewer, Handler, registerHandlers, registeredHandlers } = window.Paged;
 
-                    class RepeatingTableHeaders extends Handler {
-                        constructor(chunker, polisher, caller) {
-                            super(chunker, polisher, caller);
-                        }
+                    // A warm worker keeps Paged.js between documents: drop the handlers the last one registered
+                    if (registeredHandlers) {
+                        window.pagifyBaseHandlerCount ??= registeredHandlers.length;
+                        registeredHandlers.length = window.pagifyBaseHandlerCount;
+                    }
 
-                        beforePageLayout(page) {
-                            // console.log("page", page);
-                            // page.height = 200;
+                    // Paged.js cannot know the page count until it finishes, so pages are reported as they are laid out
+                    let pagesLaidOut = 0;
+                    class PaginationProgress extends Handler {
+                        afterPageLayout() {
+                            pagesLaidOut += 1;
+                            reportProgress("pagination", pagesLaidOut);
                         }
+                    }
+                    registerHandlers(PaginationProgress);
 
-                        afterPageLayout(pageElement, page, breakToken, chunker) {
-                            // Find all split table elements
-                            let tables = pageElement.querySelectorAll("table[data-split-from]");
-
-                            tables.forEach((table) => {
-                                // There is an edge case where the previous page table
-                                // has zero height (isn't visible).
-                                // To avoid double header we will only add header if there is none.
-                                let tableHeader = table.querySelector("thead");
-                                if (tableHeader) {
-                                    return;
-                                }
-
-                                // Get the reference UUID of the node
-                                let ref = table.dataset.ref;
-                                // Find the node in the original source
-                                let sourceTable = chunker.source.querySelector("[data-ref='" + ref + "']");
-
-                                // Find if there is a header
-                                let sourceHeader = sourceTable.querySelector("thead");
-                                if (sourceHeader) {
-                                    console.log("Table header was cloned, because it is splitted.");
-                                    // Clone the header element
-                                    let clonedHeader = sourceHeader.cloneNode(true);
-                                    // Insert the header at the start of the split table
-                                    table.insertBefore(clonedHeader, table.firstChild);
-                                }
-                            });
-
-                            // Find all tables
-                            tables = pageElement.querySelectorAll("table");
-
-                            // special case which might not fit for everyone
-                            tables.forEach((table) => {
-                                // if the table has no rows in body, hide it.
-                                // This happens because my render engine creates empty tables.
-                                let sourceBody = table.querySelector("tbody > tr");
-                                if (!sourceBody) {
-                                    console.log("Table was hidden, because it has no rows in tbody.");
-                                    table.style.visibility = "hidden";
-                                    table.style.position = "absolute";
-
-                                    var lineSpacer = table.nextSibling;
-                                    if (lineSpacer) {
-                                        lineSpacer.style.visibility = "hidden";
-                                        lineSpacer.style.position = "absolute";
-                                    }
-                                }
-                            });
-                            try {
-                                // setting the page to show overflowing content
-                                let contents = pageElement.querySelectorAll(".pagedjs_page_content");
-                                contents.forEach((content) => {
-                                    content.style.height = 'max-content';
-                                });
-                            } catch (e) {
-                                console.warn("Failed to set page content height to max-content", e);
-                            }
-                        }
+                    // Plugin and caller hooks, registered after the SDK's handlers so they see their changes
+                    const pagedHooks = ${JSON.stringify(PAGED_HOOKS)}.filter((name) => pagifyHooks[name]);
+                    if (pagedHooks.length) {
+                        class CallerHooks extends Handler {}
+                        pagedHooks.forEach((name) => {
+                            CallerHooks.prototype[name] = (...args) => runHooks(name, ...args);
+                        });
+                        registerHandlers(CallerHooks);
                     }
-                    registerHandlers(RepeatingTableHeaders);
                     
                     console.log('Paged.js imported successfully');
                     
@@ -493,42 +1182,39 @@ class PagifySDK {
                     const result = await previewer.preview();
                     
                     console.log('Paged.js pagination complete:', result);
+                    reportProgress("pagination", result.total, result.total);
                     totalPages = result.total;
+                    if (cancelled) return;
+                    applyLastPageVariants();
+                    fillPagePlaceholders();
+                    fillTocPageNumbers();
+                    await applyWatermarks();
+                    if (cancelled) return;
                     
                     // Notify parent window that rendering is complete
-                    window.parent.postMessage({
-                        type: "renderpdf", 
-                        iter: "${instanceId}"
-                    }, "*");
+                    postToHost({ type: "renderpdf" });
 
                     if (${isViewOnlySkipMakingPDF}) {
-                        window.parent.postMessage({ 
+                        postToHost({ 
                             type: "PREVIEW_READY",
-                            iter: "${instanceId}"
-                        }, "*");
+                            totalPages: totalPages
+                        });
                     } else {
                         // PDF generation mode
+                        reportStage("pdf");
                         if (typeof generatePdfBlob === "function") { 
-                            generatePdfBlob(); 
+                            await generatePdfBlob(); 
                         }
                     }
+
+                    // The viewer scales the pages, so it waits until the PDF engine has captured them
+                    ${viewer ? "if (!cancelled) startViewer();" : ""}
                     
                 } catch (error) {
                     console.error('Failed to load or initialize Paged.js:', error);
-                    
-                if (${isViewOnlySkipMakingPDF}) {
-                    window.parent.postMessage({ 
-                            type: "PREVIEW_ERROR",
-                            error: "Failed to initialize Paged.js: " + error.message,
-                            iter: "${instanceId}"
-                        }, "*");
-                    } else {
-                        window.parent.postMessage({
-                            type: "PDF_ERROR",
-                            error: "Failed to initialize Paged.js: " + error.message,
-                            iter: "${instanceId}"
-                        }, "*");
-                    }
+                    // Hook failures are already classified
+                    const failure = error.code ? error : pagifyFailure("PAGINATION", "Failed to initialize Paged.js: " + error.message, { cause: error });
+                    reportFailure(failure, "PAGINATION", "pagination");
                 }
             });
         `;
@@ -537,8 +1223,24 @@ class PagifySDK {
     /**
      * Get PDF generation script
      */
-    getPdfGenerationScript(instanceId, beautifyListItems = true, page_size = "a4") {
+    getPdfGenerationScript(instanceId, {
+        beautifyListItems = true,
+        links = true,
+        outlineSelector = null,
+        pdfMetadata = {},
+        archivalOptions = null,
+        encryption = null,
+        filename = DEFAULT_FILENAME,
+        engine = "raster",
+        assets = this.resolveAssets(),
+    } = {}) {
+        const library = PDF_ENGINE_LIBRARIES[engine];
+        // TOC entries are always linked; `links` adds every other anchor
+        const linkSelector = links ? "a[href]" : ".pagify-toc a[href^='#']";
+
         return `
+            const pdfEngine = ${JSON.stringify(engine)};
+
             function getBulletChar(listStyleType) {
                 const bulletMap = {
                     'disc': '•',
@@ -549,9 +1251,10 @@ class PagifySDK {
                 return bulletMap[listStyleType] || '•';
             }
 
-            function beautifyListItemsHandler(originalBody) {
+            // inPlace decorates the live DOM instead of a clone (used where layout must be measured)
+            function beautifyListItemsHandler(originalBody, inPlace = false) {
                 try {
-                    const clonedBody = originalBody?.cloneNode?.(true);
+                    const clonedBody = inPlace ? originalBody : originalBody?.cloneNode?.(true);
                     if (!clonedBody) return originalBody;
 
                     clonedBody?.querySelectorAll?.('ul, ol')?.forEach?.((list) => {
@@ -591,128 +1294,220 @@ class PagifySDK {
                 }
             }
 
+            // Load the library the selected engine needs, unless it was inlined in <head>
+            function loadPdfLibrary(name, url, isLoaded) {
+                return new Promise((resolve, reject) => {
+                    if (isLoaded()) {
+                        resolve();
+                        return;
+                    }
+
+                    // Inline assets are evaluated in <head>; reaching here means the source did not define the library
+                    if (!url) {
+                        reject(new Error(name + ' not available after evaluating inline source'));
+                        return;
+                    }
+
+                    const script = document.createElement('script');
+                    script.src = url;
+                    script.onload = () => {
+                        if (isLoaded()) {
+                            resolve();
+                        } else {
+                            reject(new Error(name + ' not available after loading script'));
+                        }
+                    };
+                    script.onerror = () => reject(new Error('Failed to load ' + name + ' from ' + url));
+                    document.head.appendChild(script);
+                });
+            }
+
             // Generate PDF blob function
             async function generatePdfBlob() {
                 try {
-                    console.log('Starting PDF generation...');
-                    
-                    let html2pdfLib;
-                    await new Promise((resolve, reject) => {
-                        if (typeof window.html2pdf === 'function') {
-                            resolve();
-                            return;
-                        }
-                        
-                        const script = document.createElement('script');
-                        script.src = 'https://unpkg.com/html2pdf.js@0.10.1/dist/html2pdf.bundle.min.js';
-                        script.onload = () => {
-                            if (typeof window.html2pdf === 'function') {
-                                resolve();
-                            } else {
-                                reject(new Error('html2pdf not available after loading script'));
-                            }
-                        };
-                        script.onerror = () => reject(new Error('Failed to load html2pdf script'));
-                        document.head.appendChild(script);
-                    });
-                    
-                    html2pdfLib = window.html2pdf;
-                    console.log('html2pdf loaded successfully');
-                    await startPdfGeneration();
-        
+                    console.log('Starting PDF generation with the ' + pdfEngine + ' engine...');
+
+                    await loadPdfLibrary(${JSON.stringify(library)}, ${inlineJson(assets[library].url ?? null)}, () => (
+                        pdfEngine === "vector" ? typeof window.jspdf?.jsPDF === 'function' : typeof window.html2pdf === 'function'
+                    ));
+                    console.log('PDF library loaded successfully');
                 } catch (error) {
-                    console.error("PDF generation error:", error);
-                    window.parent.postMessage({ 
-                        type: "PDF_ERROR", 
-                        error: error.message,
-                        iter: "${instanceId}"
-                    }, "*");
+                    console.error("PDF library error:", error);
+                    reportFailure(error, "ASSET_LOAD", "pdf");
+                    return;
                 }
+                if (cancelled) return;
+                await startPdfGeneration();
             }
 
-            async function startPdfGeneration() {
+            // Raster engine for documents mixing page sizes: each page box is captured on its own
+            // and placed on a PDF page of its size, since html2pdf slices the body into one format
+            async function renderRasterPages(pages, opt, onPage) {
+                let pdf = null;
+                for (const [index, page] of pages.entries()) {
+                    if (cancelled) break;
+                    const { format, orientation } = getPageFormat(page);
+                    const target = ${beautifyListItems} ? beautifyListItemsHandler(page) : page;
+                    const pageOpt = { ...opt, jsPDF: { ...opt.jsPDF, format, orientation } };
+
+                    try {
+                        if (!pdf) {
+                            pdf = await window.html2pdf().set(pageOpt).from(target).toPdf().get("pdf");
+                            // Sub-pixel overflow can spill one page box onto a second sheet
+                            while (pdf.internal.getNumberOfPages() > 1) {
+                                pdf.deletePage(pdf.internal.getNumberOfPages());
+                            }
+                        } else {
+                            const image = await window.html2pdf().set(pageOpt).from(target).outputImg("datauristring");
+                            pdf.addPage(format, orientation);
+                            pdf.addImage(image, "JPEG", 0, 0, format[0], format[1]);
+                        }
+                    } catch (error) {
+                        throw pagifyFailure("CANVAS", "Could not capture page " + (index + 1) + ": " + error.message, { page: index + 1, element: page, cause: error });
+                    }
+                    onPage?.(index + 1, pages.length);
+                }
+                return pdf;
+            }
+
+            // Raster engine: html2canvas screenshots of the body, one JPEG per page.
+            // onPage(page, total) follows each captured page; a single-size document is captured
+            // in one html2canvas pass, so it reports all its pages at once
+            async function renderRasterPdf(jsPDFOptions, { onPage = null } = {}) {
+                const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                const formats = pages.map(getPageFormat);
+                const mixedSizes = new Set(formats.map(({ format }) => format.join("x"))).size > 1;
+                const originalBody = document.body;
+                let targetElement = originalBody;
+
+                if (${beautifyListItems}) {
+                    targetElement = beautifyListItemsHandler(originalBody);
+                }
+
+                console.log('Using body element for PDF generation');
+                console.log('Element innerHTML length:', targetElement?.innerHTML?.length);
+                
+                if (!targetElement || targetElement?.innerHTML?.trim()?.length === 0) {
+                    throw pagifyFailure("EMPTY_CONTENT", "No content found in body element", { element: "body" });
+                }
+                
+                console.log('Estimated pages:', totalPages);
+                
+                const opt = {
+                    margin: [0,0,0,0],
+                    filename: ${inlineJson(filename)},
+                    // addPdfLinks writes every link annotation; html2pdf's own would duplicate them
+                    enableLinks: false,
+                    image: { 
+                        type: "jpeg", 
+                        quality: 0.98 
+                    },
+                    html2canvas: { 
+                        scale: 2,
+                        useCORS: true,
+                        allowTaint: false,
+                        backgroundColor: '#ffffff',
+                        scrollX: 0,
+                        scrollY: 0,
+                    },
+                    jsPDF: { 
+                        ...jsPDFOptions,
+                        unit: "mm", 
+                        // Measured from the laid-out pages, so CSS sizes like "A5 landscape" or "148mm 210mm" carry over
+                        format: formats[0]?.format ?? "a4",
+                        orientation: formats[0]?.orientation ?? "portrait",
+                    }
+                };
+
+                if (mixedSizes) {
+                    console.log('Pages differ in size; rendering each page separately');
+                    return renderRasterPages(pages, opt, onPage);
+                }
+                
+                console.log('Starting html2pdf conversion with body element');
+                
+                let pdf;
                 try {
-                    const originalBody = document.body;
-                    let targetElement = originalBody;
+                    pdf = await window.html2pdf().set(opt).from(targetElement).toPdf().get("pdf");
+                } catch (error) {
+                    throw pagifyFailure("CANVAS", "Could not capture the document: " + error.message, { element: "body", cause: error });
+                }
+                const pageCount = pdf.internal.getNumberOfPages();
+                console.log('Generated PDF with', pageCount, 'pages');
+                
+                // Remove extra pages if necessary
+                if (pageCount > totalPages && totalPages > 0) {
+                    for (let i = pageCount; i > totalPages; i--) {
+                        pdf.deletePage(i);
+                    }
+                }
+                const rendered = pdf.internal.getNumberOfPages();
+                onPage?.(rendered, rendered);
+                return pdf;
+            }
+
+            ${getVectorEngineScript()}
+
+            ${getPdfLinksScript()}
+
+            ${getPdfOutlineScript()}
+
+            ${getPdfMetadataScript()}
 
+            // Output engines by name; each resolves with a finished jsPDF document
+            const pdfEngines = {
+                raster: renderRasterPdf,
+                vector: async (jsPDFOptions, engineOptions) => {
                     if (${beautifyListItems}) {
-                        targetElement = beautifyListItemsHandler(originalBody);
+                        // List markers are not DOM text; draw them as real bullets in place
+                        beautifyListItemsHandler(document.body, true);
                     }
+                    return renderVectorPdf(jsPDFOptions, engineOptions);
+                },
+            };
 
-                    console.log('Using body element for PDF generation');
-                    console.log('Element innerHTML length:', targetElement?.innerHTML?.length);
-                    
-                    if (!targetElement || targetElement?.innerHTML?.trim()?.length === 0) {
-                        throw new Error('No content found in body element');
+            async function startPdfGeneration() {
+                try {
+                    await runHooks("beforePdf", Array.from(document.querySelectorAll(".pagedjs_page")));
+                    if (cancelled) return;
+                    // Measure links on the laid-out pages before an engine can decorate them
+                    const links = collectPdfLinks(${inlineJson(linkSelector)});
+                    const outline = ${outlineSelector ? `collectPdfOutline(${inlineJson(outlineSelector)})` : "[]"};
+                    const archival = ${inlineJson(archivalOptions)};
+                    // Raster pages are images, so only the vector engine has text needing embedded fonts
+                    const fonts = archival && pdfEngine === "vector" ? await loadArchivalFonts(archival.fonts) : {};
+                    if (cancelled) return;
+                    // Encryption is fixed when jsPDF creates the document, so it travels with the constructor options
+                    const jsPDFOptions = { compress: true${encryption ? `, encryption: ${inlineJson(encryption)}` : ""} };
+                    const onPage = (page, total) => reportProgress("rendering", page, total);
+                    const pdf = await pdfEngines[pdfEngine](jsPDFOptions, { fonts, onPage });
+                    if (cancelled) return;
+                    addPdfLinks(pdf, links);
+                    addPdfOutline(pdf, outline);
+
+                    const metadata = ${inlineJson(pdfMetadata)};
+                    applyPdfMetadata(pdf, metadata);
+                    if (archival) {
+                        applyArchivalProfile(pdf, metadata);
                     }
-                    
-                    console.log('Estimated pages:', totalPages);
-                    
-                    const opt = {
-                        margin: [0,0,0,0],
-                        filename: "document.pdf",
-                        image: { 
-                            type: "jpeg", 
-                            quality: 0.98 
-                        },
-                        html2canvas: { 
-                            scale: 2,
-                            useCORS: true,
-                            allowTaint: false,
-                            backgroundColor: '#ffffff',
-                            scrollX: 0,
-                            scrollY: 0,
-                        },
-                        jsPDF: { 
-                            unit: "mm", 
-                            format: ${JSON.stringify(page_size.toLowerCase())},
-                            orientation: "portrait",
-                            compress: true
-                        }
-                    };
-                    
-                    console.log('Starting html2pdf conversion with body element');
-                    
-                    window.html2pdf().set(opt).from(targetElement)
-                        .toPdf()
-                        .get("pdf").then(pdf => {
-                            const pageCount = pdf.internal.getNumberOfPages();
-                            console.log('Generated PDF with', pageCount, 'pages');
-                            
-                            // Remove extra pages if necessary
-                            if (pageCount > totalPages && totalPages > 0) {
-                                for (let i = pageCount; i > totalPages; i--) {
-                                    pdf.deletePage(i);
-                                }
-                            }
-                        })
-                        .outputPdf("blob").then(function (blob) {
-                            console.log('PDF blob generated:', blob);
-                            const blobUrl = URL.createObjectURL(blob);
-                            console.log("Blob URL:", blobUrl);
-                            window.parent.postMessage({ 
-                                type: "PDF_READY", 
-                                blobUrl: blobUrl,
-                                iter: "${instanceId}",
-                                blob: blob
-                            }, "*");
-                        })
-                        .catch(error => {
-                            console.error("PDF generation failed:", error);
-                            window.parent.postMessage({ 
-                                type: "PDF_ERROR", 
-                                error: error.message,
-                                iter: "${instanceId}"
-                            }, "*");
-                        });
-                        
+
+                    // A File (still a Blob) so uploads and downloads carry the requested name
+                    const blob = new File([archival ? outputArchivalPdf(pdf) : pdf.output("blob")], ${inlineJson(filename)}, { type: "application/pdf" });
+                    const pageCount = pdf.internal.getNumberOfPages();
+                    reportProgress("assembled", pageCount, pageCount);
+                    console.log('PDF blob generated:', blob);
+                    const blobUrl = URL.createObjectURL(blob);
+                    console.log("Blob URL:", blobUrl);
+                    window.pagifyWorkerBlobUrls?.push(blobUrl);
+                    postToHost({ 
+                        type: "PDF_READY", 
+                        blobUrl: blobUrl,
+                        blob: blob,
+                        totalPages: pageCount
+                    });
                 } catch (error) {
                     console.error("PDF generation error:", error);
-                    window.parent.postMessage({ 
-                        type: "PDF_ERROR", 
-                        error: error.message,
-                        iter: "${instanceId}"
-                    }, "*");
+                    reportFailure(error, "PDF_GENERATION", "pdf");
                 }
             }
         `;
@@ -720,11 +1515,17 @@ class PagifySDK {
 
     /**
      * Create and configure iframe
+     * @param {string|null} containerSelector
+     * @param {Object} [options]
+     * @param {boolean} [options.sandbox=false] - Run the iframe with scripts only, in an opaque origin (sanitize mode)
      */
-    createIframe(containerSelector) {
+    createIframe(containerSelector, { sandbox = false } = {}) {
         const iframe = document.createElement("iframe");
         
         iframe.setAttribute('data-pagify-iframe', 'true');
+        if (sandbox) {
+            iframe.setAttribute("sandbox", "allow-scripts");
+        }
         // Configure iframe styling based on container selector
         if (containerSelector) {
             // If container is specified, make iframe fill the container
@@ -742,6 +1543,14 @@ class PagifySDK {
         return iframe;
     }
 
+    // Shared secret between a job's iframe and the host, sent with every message
+    generateNonce() {
+        if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+            return Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, "0")).join("");
+        }
+        return Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+    }
+
     generateJobId() {
         const rand = (typeof crypto !== "undefined" && crypto.randomUUID)
             ? crypto.randomUUID()
@@ -752,29 +1561,249 @@ class PagifySDK {
     /**
      * Build the caller-facing handle returned from render().
      * @param {string} jobId
-     * @returns {{id: string, cleanup: function, isAlive: function}}
+     * @param {Promise} done - settles with the job result
+     * Viewer methods (viewer option) return false when the job has no viewer or is gone; commands
+     * given before the viewer starts run once it does.
+     * @returns {{id: string, done: Promise, cancel: function, cleanup: function, isAlive: function, on: function, off: function,
+     *   zoom: function, goToPage: function, nextPage: function, previousPage: function, toggleThumbnails: function, getViewerState: function}}
      */
     // so when caller does window.pagify.render they get this cleanup method
-    makeHandle(jobId) {
-        return {
+    makeHandle(jobId, done) {
+        const listeners = (event) => {
+            if (!HANDLE_EVENTS.includes(event)) {
+                throw new Error(`Unknown handle event "${event}", expected one of: ${HANDLE_EVENTS.join(", ")}`);
+            }
+            return this.jobs[jobId]?.listeners[event];
+        };
+        const handle = {
             id: jobId,
+            done,
+            cancel: (reason) => this.cancelJob(jobId, reason),
             cleanup: () => this.destroyJob(jobId),
             isAlive: () => !!this.jobs[jobId],
+            // Subscriptions end with the job; both return the handle for chaining
+            on: (event, listener) => {
+                listeners(event)?.add(listener);
+                return handle;
+            },
+            off: (event, listener) => {
+                listeners(event)?.delete(listener);
+                return handle;
+            },
+            // level: "fit-width", "fit-page" or a percentage
+            zoom: (level) => this.sendViewerCommand(jobId, "zoom", resolveZoom(level)),
+            goToPage: (page) => {
+                if (!Number.isInteger(page) || page < 1) {
+                    throw new Error(`Invalid page "${page}", expected a page number from 1`);
+                }
+                return this.sendViewerCommand(jobId, "goToPage", page);
+            },
+            nextPage: () => this.sendViewerCommand(jobId, "nextPage"),
+            previousPage: () => this.sendViewerCommand(jobId, "previousPage"),
+            // Show or hide the sidebar; toggles it without an argument
+            toggleThumbnails: (show) => this.sendViewerCommand(jobId, "thumbnails", show === undefined ? null : Boolean(show)),
+            // { page, totalPages, zoom, scale, thumbnails }, or null until the viewer starts
+            getViewerState: () => {
+                const viewer = this.jobs[jobId]?.viewer;
+                if (!viewer?.ready) return null;
+                const { page, totalPages, zoom, scale, thumbnails } = viewer;
+                return { page, totalPages, zoom, scale, thumbnails };
+            },
         };
+        return handle;
+    }
+
+    /**
+     * Send a command to a job's viewer, or hold it until the viewer starts.
+     * @returns {boolean} false when the job has no viewer or is gone
+     */
+    sendViewerCommand(jobId, action, value = null) {
+        const viewer = this.jobs[jobId]?.viewer;
+        if (!viewer) return false;
+        const command = { type: VIEWER_COMMAND, action, value };
+        if (!viewer.ready) {
+            viewer.queue.push(command);
+            return true;
+        }
+        try {
+            const job = this.jobs[jobId];
+            job.iframe.contentWindow.postMessage(command, frameTargetOrigin(job.origin));
+        } catch (err) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Record the state a viewer reported, send the commands it was waiting for,
+     * and emit "pagechange" to handle listeners when its page changed (or it just started).
+     */
+    updateViewer(jobId, { page, totalPages, zoom, scale, thumbnails }) {
+        const viewer = this.jobs[jobId]?.viewer;
+        if (!viewer) return;
+        const changed = !viewer.ready || viewer.page !== page;
+        Object.assign(viewer, { ready: true, page, totalPages, zoom, scale, thumbnails });
+        viewer.queue.splice(0).forEach(({ action, value }) => this.sendViewerCommand(jobId, action, value));
+        if (!changed) return;
+        this.jobs[jobId].listeners.pagechange.forEach((listener) => {
+            try {
+                listener({ jobId, page, totalPages });
+            } catch (err) {
+                console.error("Pagify callback error:", err);
+            }
+        });
+    }
+
+    /**
+     * Deliver a progress update to the job's onProgress, its handle listeners and
+     * a window "renderProgress" event.
+     */
+    emitProgress(jobId, progress) {
+        const job = this.jobs[jobId];
+        if (!job) return;
+        const detail = { jobId, ...progress };
+        [job.onProgress, ...job.listeners.progress].forEach((listener) => {
+            try {
+                listener?.(detail);
+            } catch (err) {
+                console.error("Pagify callback error:", err);
+            }
+        });
+        window.dispatchEvent(new CustomEvent("renderProgress", { detail }));
+    }
+
+    /**
+     * Shape the value `handle.done` resolves with.
+     */
+    makeResult(job, blob, blobUrl, totalPages) {
+        return {
+            blob,
+            blobUrl,
+            totalPages: totalPages ?? 0,
+            durationMs: Date.now() - job.startedAt,
+            filename: job.filename,
+        };
+    }
+
+    /**
+     * Stop a running job: tell the iframe to abandon its pipeline, then tear it
+     * down, which also halts any Paged.js / html2pdf work still in flight.
+     * `done` rejects with an AbortError. No-op for finished or unknown jobs.
+     * @returns {boolean} true if a live job was cancelled
+     */
+    cancelJob(jobId, reason = "Render cancelled") {
+        const job = this.jobs[jobId];
+        if (!job) return false;
+        try {
+            job.iframe?.contentWindow?.postMessage({ type: "CANCEL", iter: jobId }, frameTargetOrigin(job.origin));
+        } catch (err) {
+            // iframe already detached, removal below is enough
+        }
+        this.destroyJob(jobId, reason);
+        return true;
+    }
+
+    /**
+     * Watchdog for a job that never reported back: fail it with a TIMEOUT
+     * error naming the stage it hung in, then tear it down.
+     */
+    timeoutJob(jobId) {
+        const job = this.jobs[jobId];
+        if (!job) return;
+
+        const error = new PagifyError(`Render timed out after ${job.timeoutMs}ms during ${job.stage}`, { code: "TIMEOUT", stage: job.stage, jobId });
+        console.error("Pagify render timeout:", error.message);
+
+        job.deferred.reject(error);
+        try {
+            if (job.isViewOnly) {
+                job.onPreviewReady?.({ success: false, error });
+                window.dispatchEvent(new CustomEvent("previewError", { detail: { jobId, success: false, error } }));
+            } else {
+                job.onPdfError?.(error);
+                window.dispatchEvent(new CustomEvent("pdfError", { detail: { jobId, error } }));
+            }
+        } catch (err) {
+            console.error("Pagify callback error:", err);
+        }
+
+        this.destroyJob(jobId);
     }
 
     /**
      * Remove a single job's iframe and free its state. Idempotent and
      * instance-scoped — only ever touches the one iframe for this job.
+     * A job still in flight has its `done` promise rejected with an AbortError.
      */
-    destroyJob(jobId) {
+    destroyJob(jobId, reason = "Render job destroyed before completion") {
         const job = this.jobs[jobId];
         if (!job) return;
         job.iframe?.remove();
+        // A worker left mid-render cannot be trusted with the next document
+        if (job.worker) {
+            Object.assign(job.worker, { iframe: null, jobId: null, libraries: new Set() });
+            if (this.worker === job.worker) this.worker = null;
+        }
+        clearTimeout(job.timeoutId);
+        job.detachSignal?.();
+        job.deferred?.reject(createAbortError(reason));
         delete this.jobs[jobId];
         delete this.callbackStorage[jobId];
     }
 
+    /**
+     * The warm worker, if it can take a render: started (without an iframe yet)
+     * when there is none, and null while it is busy with another render.
+     */
+    takeWorker() {
+        this.worker ??= createWorker();
+        return this.worker.jobId ? null : this.worker;
+    }
+
+    /**
+     * Point a worker at a render's assets. Its iframe holds the libraries of the
+     * assets it was started with, so other assets need a new iframe.
+     */
+    prepareWorker(worker, assets) {
+        if (worker.iframe && !sameAssets(worker.assets, assets)) {
+            worker.iframe.remove();
+            worker.iframe = null;
+            worker.libraries = new Set();
+        }
+        worker.assets = assets;
+    }
+
+    /**
+     * Finish a successful worker job without removing its iframe, and note the
+     * libraries the iframe now holds so the next document skips loading them.
+     */
+    releaseWorker(jobId) {
+        const job = this.jobs[jobId];
+        const { worker } = job;
+        job.worker = job.iframe = null;
+        this.destroyJob(jobId);
+
+        worker.libraries.add("pagedjs");
+        if (job.pdfLibrary) worker.libraries.add(job.pdfLibrary);
+        worker.jobId = null;
+        if (worker.retired) worker.iframe.remove();
+    }
+
+    /**
+     * Remove the warm worker iframe. One still rendering finishes its job first.
+     * The next render with the worker option starts a new one.
+     */
+    closeWorker() {
+        const worker = this.worker;
+        if (!worker) return;
+        this.worker = null;
+        if (worker.jobId) {
+            worker.retired = true;
+        } else {
+            worker.iframe?.remove();
+        }
+    }
+
     /**
      * Resolve the mount target. Returns the matched container element, or
      * document.body as fallback. No cleanup side-effects.
@@ -789,36 +1818,219 @@ class PagifySDK {
     }
 
     /**
-     * Direct PDF generation without iframe (for Node.js environments)
+     * Render headlessly and resolve with the PDF blob.
+     * In Node.js use generatePDF from "@eka-care/pagify-sdk/node", which resolves with a Buffer.
      * @param {Object} options - Same options as render method
      * @returns {Promise<Blob>} - PDF blob
      */
     async generatePDF(options) {
         if (typeof window === "undefined") {
-            throw new Error("Direct PDF generation is only available in browser environments");
+            throw new Error("pagify.generatePDF needs a browser; in Node.js use generatePDF from \"@eka-care/pagify-sdk/node\"");
         }
 
-        return new Promise(async (resolve, reject) => {
-            try {
-                const modifiedOptions = {
-                    ...options,
-                    onPdfReady: (blobUrl) => {
-                        // Convert blob URL back to blob
-                        fetch(blobUrl)
-                            .then(response => response.blob())
-                            .then(blob => resolve(blob))
-                            .catch(error => reject(error));
-                    },
-                    onPdfError: (error) => {
-                        reject(new Error(error));
-                    }
-                };
+        const handle = await this.render({ ...options, isViewOnlySkipMakingPDF: false });
+        const { blob } = await handle.done;
+        return blob;
+    }
+
+    /**
+     * Create a live preview that re-paginates in place as the document is edited.
+     * See src/livePreview.js.
+     * @param {string|Element} container - Element, or selector of the element, the preview fills
+     * @param {Object} [options] - render() options for the first render, plus debounceMs, onUpdate and onError
+     * @returns {Object} the preview: { ready, update(partialOptions), destroy(), iframe, totalPages }
+     */
+    createLivePreview(container, options = {}) {
+        return createLivePreview(this, container, options);
+    }
 
-                await this.render(modifiedOptions);
-            } catch (error) {
-                reject(error);
+    /**
+     * Render many documents headlessly through a pool of `concurrency` worker
+     * iframes, each handed the next document once it has finished one, so
+     * Paged.js and the PDF library load once per iframe rather than per document.
+     * Items with sanitize or worker: false get an iframe of their own.
+     * @param {Object[]} items - render() options per document (rendered headlessly; containerSelector is ignored)
+     * @param {Object} [options]
+     * @param {number} options.concurrency - Documents rendered at once (default 3)
+     * @param {Function} options.onProgress - Called after each item with { index, completed, total, status, result | error }
+     * @param {string} options.combine - "zip" for a ZIP of the PDFs, "pdf" for one merged PDF (failed items are left out)
+     * @param {string} options.filename - Name of the combined file (default "documents.zip" / "documents.pdf")
+     * @param {AbortSignal} options.signal - Cancels running items and skips the rest
+     * @returns {Promise<{results: Object[], succeeded: number, failed: number, blob: Blob|null, filename: string|null}>}
+     *   results[i] is { status: "fulfilled", value } or { status: "rejected", reason }, as with Promise.allSettled.
+     *   Each value.blobUrl belongs to the caller, who revokes it with URL.revokeObjectURL(); with combine, the
+     *   combined items' URLs are already revoked and set to null (value.blob stays)
+     */
+    async renderBatch(items, { concurrency = 3, onProgress = null, combine = null, filename, signal = null } = {}) {
+        if (!Array.isArray(items)) {
+            throw new Error("renderBatch expects an array of render options");
+        }
+        validateConcurrency(concurrency);
+        if (combine != null && !BATCH_COMBINE_TYPES[combine]) {
+            throw new Error(`Unknown combine "${combine}", expected one of: ${Object.keys(BATCH_COMBINE_TYPES).join(", ")}`);
+        }
+
+        // One worker iframe per lane, created on first use and handed each next document in place (see src/worker.js)
+        const pool = [];
+        let completed = 0;
+        const results = await runQueue(
+            items,
+            concurrency,
+            // A sandboxed iframe cannot be handed documents, so sanitize (and worker: false) items get their own
+            (item, index, lane) => this.renderHeadless(item, {
+                signal,
+                worker: item?.sanitize || item?.worker === false ? null : (pool[lane] ??= createWorker()),
+            }),
+            async (index, outcome) => {
+                completed += 1;
+                try {
+                    await onProgress?.({
+                        index,
+                        completed,
+                        total: items.length,
+                        status: outcome.status,
+                        ...(outcome.status === "fulfilled" ? { result: outcome.value } : { error: outcome.reason }),
+                    });
+                } catch (err) {
+                    console.error("Pagify callback error:", err);
+                }
             }
+        );
+        pool.forEach((worker) => worker?.iframe?.remove());
+
+        const documents = results.filter((outcome) => outcome.status === "fulfilled" && outcome.value.blob).map((outcome) => outcome.value);
+        const batch = {
+            results,
+            succeeded: results.filter((outcome) => outcome.status === "fulfilled").length,
+            failed: results.filter((outcome) => outcome.status === "rejected").length,
+            blob: null,
+            filename: null,
+        };
+        if (combine && documents.length) {
+            batch.filename = normalizeFilename(filename ?? `documents.${combine}`, `.${combine}`);
+            batch.blob = await BATCH_COMBINE_TYPES[combine](documents);
+            // The combined file replaces the items' own object URLs, so they are released (like merge())
+            documents.forEach((result) => {
+                URL.revokeObjectURL(result.blobUrl);
+                result.blobUrl = null;
+            });
+        }
+        return batch;
+    }
+
+    /**
+     * Render several documents, each with its own headers, footers and margins,
+     * and append existing PDFs, into one PDF.
+     * @param {Array<Object|Blob|ArrayBuffer|Uint8Array>} parts - render() options (rendered headlessly, may carry a `bookmark` title),
+     *   existing PDFs, or { pdf, bookmark } for a titled existing PDF
+     * @param {Object} [options]
+     * @param {boolean} options.continuousPageNumbers - Number pages across parts: each rendered part starts after the pages
+     *   before it and .totalPages shows the packet's total (default false). Costs one extra pagination pass per rendered part
+     * @param {boolean} options.bookmarks - One bookmark per part, with the part's own bookmarks nested under it (default true)
+     * @param {string} options.filename - Name of the merged PDF (default "document.pdf")
+     * @param {number} options.concurrency - Parts rendered at once (default 3)
+     * @param {AbortSignal} options.signal - Cancels the renders still running
+     * @returns {Promise<{blob: File, blobUrl: string, totalPages: number, durationMs: number, filename: string, parts: Object[]}>}
+     *   parts[i] is { bookmark, startPage, pageCount }. blobUrl belongs to the caller: no job owns it,
+     *   so revoke it with URL.revokeObjectURL() once it is no longer needed
+     * @throws {Error} naming the first part that could not be rendered or read
+     */
+    async merge(parts, { continuousPageNumbers = false, bookmarks = true, filename = DEFAULT_FILENAME, concurrency = 3, signal = null } = {}) {
+        const startedAt = Date.now();
+        if (!Array.isArray(parts) || !parts.length) {
+            throw new Error("merge expects a non-empty array of parts");
+        }
+        validateConcurrency(concurrency);
+        const pdfFilename = normalizeFilename(filename);
+
+        const entries = parts.map((part, index) => {
+            const fallbackTitle = `Part ${index + 1}`;
+            if (isPdfSource(part) || isPdfSource(part?.pdf)) {
+                const pdf = isPdfSource(part) ? part : part.pdf;
+                return { pdf, bookmark: part.bookmark ?? (pdf.name ? pdf.name.replace(/\.pdf$/i, "") : fallbackTitle) };
+            }
+            if (!part || typeof part !== "object") {
+                throw new Error(`Merge part ${index + 1} must be render options or a PDF`);
+            }
+            const { bookmark, ...options } = part;
+            if (options.security) {
+                throw new Error(`Merge part ${index + 1} sets security; password-protected parts cannot be merged`);
+            }
+            const title = bookmark ?? options.metadata?.title ?? (options.filename ? normalizeFilename(options.filename).replace(/\.pdf$/i, "") : fallbackTitle);
+            return { options, bookmark: title };
+        });
+
+        // First failed part becomes the merge error; an abort stays an AbortError
+        const unwrap = (outcomes) => outcomes.map((outcome, index) => {
+            if (outcome.status === "fulfilled") return outcome.value;
+            if (outcome.reason?.name === "AbortError") throw outcome.reason;
+            const { code = "PDF_GENERATION", stage = null, page = null, element = null } = outcome.reason instanceof PagifyError ? outcome.reason : {};
+            throw new PagifyError(`Merge part ${index + 1} failed: ${outcome.reason?.message ?? outcome.reason}`, { code, stage, page, element, cause: outcome.reason });
         });
+
+        // Continuous numbering needs every part's length up front: paginate rendered parts without making a PDF
+        let numbering = entries.map(() => ({}));
+        if (continuousPageNumbers) {
+            const counts = unwrap(await runQueue(entries, concurrency, async (entry) => (entry.options
+                ? (await this.renderHeadless(entry.options, { signal, isViewOnly: true })).totalPages
+                : countPdfPages(entry.pdf))));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            let offset = 0;
+            numbering = counts.map((count) => {
+                const start = offset + 1;
+                offset += count;
+                return { page_number_start: start, page_number_total: total };
+            });
+        }
+
+        const rendered = await runQueue(entries, concurrency, async (entry, index) => (entry.options
+            ? this.renderHeadless({ ...entry.options, ...numbering[index] }, { signal })
+            : { blob: entry.pdf, blobUrl: null }));
+        let merged;
+        try {
+            const sources = unwrap(rendered).map((result) => result.blob);
+            merged = await mergePdfs(sources, { bookmarks: bookmarks ? entries.map((entry) => entry.bookmark) : [] });
+        } finally {
+            // Only the merged PDF is handed back, so the parts' own object URLs are released
+            rendered.forEach((outcome) => outcome.value?.blobUrl && URL.revokeObjectURL(outcome.value.blobUrl));
+        }
+        const { blob, pageCounts } = merged;
+
+        const file = new File([blob], pdfFilename, { type: "application/pdf" });
+        let startPage = 1;
+        return {
+            blob: file,
+            blobUrl: URL.createObjectURL(file),
+            totalPages: pageCounts.reduce((sum, count) => sum + count, 0),
+            durationMs: Date.now() - startedAt,
+            filename: pdfFilename,
+            parts: entries.map((entry, index) => {
+                const part = { bookmark: entry.bookmark, startPage, pageCount: pageCounts[index] };
+                startPage += pageCounts[index];
+                return part;
+            }),
+        };
+    }
+
+    /**
+     * Render one document headlessly and wait for its result (renderBatch, merge).
+     * containerSelector is ignored: the iframe is removed as soon as the job ends,
+     * unless it is a worker's.
+     * @param {Object} options - render() options
+     * @param {Object} [control]
+     * @param {AbortSignal} control.signal - Overrides options.signal
+     * @param {boolean} control.isViewOnly - Paginate only, without making a PDF
+     * @param {Object} control.worker - Worker iframe to render in (see src/worker.js), kept after the job
+     * @returns {Promise<Object>} the job result (see makeResult)
+     */
+    async renderHeadless(options, { signal = null, isViewOnly = false, worker = null } = {}) {
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        const renderOptions = { ...options };
+        delete renderOptions.containerSelector;
+        const handle = await this.render({ ...renderOptions, signal: signal ?? renderOptions.signal, isViewOnlySkipMakingPDF: isViewOnly }, { worker });
+        return handle.done;
     }
 }
 
@@ -827,7 +2039,7 @@ const pagify = new PagifySDK();
 
 // Export for ES modules
 export default pagify;
-export { PagifySDK };
+export { PagifySDK, PagifyError, TemplateError };
 
 // Also expose on window for browser compatibility
 if (typeof window !== "undefined") {
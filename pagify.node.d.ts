@@ -0,0 +1,52 @@
+/**
+ * Pagify SDK Node.js entry (@eka-care/pagify-sdk/node) TypeScript Definitions
+ */
+
+/// <reference types="node" />
+
+import type { PagifyConfig, PagifyOptions, PagifyPlugin } from './pagify';
+
+export { PagifyError, TemplateError } from './pagify';
+
+/** render() options for Node: onProgress and signal work as in the browser, the other callbacks and container options do not apply */
+export type PagifyNodeOptions = Omit<
+  PagifyOptions,
+  'callback' | 'onPdfReady' | 'onPdfError' | 'onPreviewReady' | 'containerSelector' | 'isViewOnlySkipMakingPDF'
+>;
+
+export interface PagifyNodeRendererOptions {
+  /** A puppeteer(-core) Browser to render in; close() leaves it open */
+  browser?: unknown;
+  /** puppeteer.launch() options, used when no browser is given (needs puppeteer installed) */
+  launchOptions?: Record<string, unknown>;
+  /** SDK-wide defaults, as for new PagifySDK(config) */
+  config?: PagifyConfig;
+}
+
+export interface PagifyNodeResult {
+  /** The PDF bytes */
+  pdf: Buffer;
+  filename: string;
+  totalPages: number;
+  durationMs: number;
+}
+
+export interface PagifyNodeRenderer {
+  /** Render one document; rejects with a PagifyError, or an AbortError when options.signal aborts */
+  render(options: PagifyNodeOptions): Promise<PagifyNodeResult>;
+
+  /** Render one document and resolve with the PDF bytes */
+  generatePDF(options: PagifyNodeOptions): Promise<Buffer>;
+
+  /** Register a plugin for every render, as PagifySDK#use does */
+  use(plugin: PagifyPlugin, options?: { enabled?: boolean }): this;
+
+  /** Close the page, and the browser when the renderer launched it */
+  close(): Promise<void>;
+}
+
+/** Create a renderer that keeps one headless Chromium page for its renders */
+export function createNodeRenderer(options?: PagifyNodeRendererOptions): PagifyNodeRenderer;
+
+/** Render one document in a renderer of its own and resolve with the PDF bytes */
+export function generatePDF(options: PagifyNodeOptions, rendererOptions?: PagifyNodeRendererOptions): Promise<Buffer>;
@@ -0,0 +1,44 @@
+/**
+ * Pagify SDK - Node.js entry (@eka-care/pagify-sdk/node)
+ * Renders the same documents as the browser SDK from a backend, in a local headless Chromium
+ *
+ * Usage:
+ * - One document: await generatePDF(options) -> Buffer
+ * - Many documents: const renderer = createNodeRenderer(); await renderer.generatePDF(options); await renderer.close()
+ *
+ * @license MIT
+ */
+
+import { fileURLToPath } from "url";
+import { createNodeRenderer as createRenderer } from "./src/nodeRenderer.js";
+import { PagifyError } from "./src/errors.js";
+import { TemplateError } from "./src/template.js";
+
+// The browser SDK with its libraries bundled, built next to this entry
+const SDK_PATH = fileURLToPath(new URL("./pagify.standalone.js", import.meta.url));
+
+/**
+ * Create a renderer that keeps one headless Chromium page for its renders.
+ * @param {Object} [options] - { browser, launchOptions, config }, see src/nodeRenderer.js
+ * @returns {{render: function, generatePDF: function, use: function, close: function}}
+ */
+function createNodeRenderer(options = {}) {
+    return createRenderer({ sdkPath: SDK_PATH, ...options });
+}
+
+/**
+ * Render one document and resolve with the PDF bytes, closing the renderer afterwards.
+ * @param {Object} options - render() options
+ * @param {Object} [rendererOptions] - createNodeRenderer() options
+ * @returns {Promise<Buffer>}
+ */
+async function generatePDF(options, rendererOptions = {}) {
+    const renderer = createNodeRenderer(rendererOptions);
+    try {
+        return await renderer.generatePDF(options);
+    } finally {
+        await renderer.close();
+    }
+}
+
+export { createNodeRenderer, generatePDF, PagifyError, TemplateError };
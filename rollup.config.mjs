@@ -3,9 +3,26 @@ import commonjs from '@rollup/plugin-commonjs';
 import babel from '@rollup/plugin-babel';
 import terser from '@rollup/plugin-terser';
 import json from '@rollup/plugin-json';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
 
 const isProduction = process.env.NODE_ENV === 'production';
 
+// Exposes the iframe runtime libraries as source strings, so the assets
+// build can be handed to pagify.configure({ assets }) for offline rendering.
+const BUNDLED_ASSETS_ID = 'virtual:pagify-bundled-assets';
+const bundledAssets = () => ({
+    name: 'pagify-bundled-assets',
+    resolveId: (id) => (id === BUNDLED_ASSETS_ID ? id : null),
+    load(id) {
+        if (id !== BUNDLED_ASSETS_ID) return null;
+        const read = (file) => readFileSync(resolve('node_modules', file), 'utf8');
+        return `export const pagedjs = { source: ${JSON.stringify(read('pagedjs/dist/paged.polyfill.min.js'))} };
+export const html2pdf = { source: ${JSON.stringify(read('html2pdf.js/dist/html2pdf.bundle.min.js'))} };
+export const jspdf = { source: ${JSON.stringify(read('jspdf/dist/jspdf.umd.min.js'))} };`;
+    }
+});
+
 export default [
     // ES Module build
     {
@@ -35,7 +52,7 @@ export default [
             }),
             isProduction && terser()
         ].filter(Boolean),
-        external: ['pagedjs', 'html2pdf.js']
+        external: ['pagedjs', 'html2pdf.js', 'pdf-lib']
     },
   
     // UMD build for browsers
@@ -49,7 +66,8 @@ export default [
             sourcemap: true,
             globals: {
                 'pagedjs': 'PagedJS',
-                'html2pdf.js': 'html2pdf'
+                'html2pdf.js': 'html2pdf',
+                'pdf-lib': 'PDFLib'
             }
         },
         plugins: [
@@ -72,7 +90,7 @@ export default [
             }),
             isProduction && terser()
         ].filter(Boolean),
-        external: ['pagedjs', 'html2pdf.js']
+        external: ['pagedjs', 'html2pdf.js', 'pdf-lib']
     },
 
     // Standalone build with dependencies bundled
@@ -107,5 +125,54 @@ export default [
             }),
             isProduction && terser()
         ].filter(Boolean)
+    },
+
+    // Node.js entry: renders in a headless Chromium, loading the standalone build into it
+    {
+        input: 'pagify.node.js',
+        output: [
+            {
+                file: 'dist/pagify.node.mjs',
+                format: 'es',
+                sourcemap: true
+            },
+            {
+                file: 'dist/pagify.node.cjs',
+                format: 'cjs',
+                exports: 'named',
+                sourcemap: true
+            }
+        ],
+        plugins: [
+            babel({
+                babelHelpers: 'bundled',
+                exclude: 'node_modules/**',
+                presets: [
+                    ['@babel/preset-env', {
+                        targets: { node: '14' },
+                        modules: false
+                    }]
+                ]
+            })
+        ],
+        external: ['fs', 'buffer', 'url', 'puppeteer']
+    },
+
+    // Inlined iframe libraries (Paged.js polyfill, html2pdf bundle, jsPDF) for offline / strict CSP use
+    {
+        input: 'src/bundledAssets.js',
+        output: [
+            {
+                file: 'dist/pagify.assets.esm.js',
+                format: 'es'
+            },
+            {
+                file: 'dist/pagify.assets.js',
+                format: 'umd',
+                name: 'PagifyAssets',
+                exports: 'named'
+            }
+        ],
+        plugins: [bundledAssets()]
     }
 ];
@@ -0,0 +1,106 @@
+/**
+ * Runtime assets loaded inside the render iframe.
+ *
+ * Each asset can be given as:
+ * - a URL string (or `{ url }`) — loaded with a <script src> tag
+ * - `{ source }` — the library source inlined into the srcdoc, so no network is needed
+ *
+ * `assetBaseUrl` points every asset at a self-hosted directory holding the
+ * files named in ASSET_FILES (copied from node_modules/pagedjs/dist and
+ * node_modules/html2pdf.js/dist and node_modules/jspdf/dist).
+ */
+
+export const DEFAULT_ASSET_URLS = {
+    pagedjs: 'https://unpkg.com/pagedjs@0.4.3/dist/paged.polyfill.js',
+    html2pdf: 'https://unpkg.com/html2pdf.js@0.10.1/dist/html2pdf.bundle.min.js',
+    jspdf: 'https://unpkg.com/jspdf@3.0.1/dist/jspdf.umd.min.js',
+};
+
+// Split so the closing tag never appears literally when this bundle is itself inlined in a page.
+const SCRIPT_CLOSE = '</' + 'script>';
+
+export const ASSET_FILES = {
+    pagedjs: 'paged.polyfill.js',
+    html2pdf: 'html2pdf.bundle.min.js',
+    jspdf: 'jspdf.umd.min.js',
+};
+
+/**
+ * Normalise one asset entry to `{ url }` or `{ source }`.
+ */
+function normalizeAsset(name, value) {
+    if (typeof value === 'string') return { url: value };
+    if (value && typeof value.source === 'string') return { source: value.source };
+    if (value && typeof value.url === 'string') return { url: value.url };
+    throw new Error(`Invalid asset "${name}": expected a URL string, { url } or { source }`);
+}
+
+/**
+ * Resolve the assets for a render. Explicit `assets` entries win over
+ * `assetBaseUrl`, which wins over the public CDN defaults.
+ * @param {Object} options
+ * @param {string} [options.assetBaseUrl] - Directory serving the files in ASSET_FILES
+ * @param {Object} [options.assets] - Per-asset overrides keyed by asset name
+ * @returns {Object<string, {url?: string, source?: string}>} one entry per name in DEFAULT_ASSET_URLS
+ */
+export function resolveAssets({ assetBaseUrl = null, assets = null } = {}) {
+    const base = assetBaseUrl ? assetBaseUrl.replace(/\/+$/, '') : null;
+    const resolved = {};
+
+    Object.keys(DEFAULT_ASSET_URLS).forEach((name) => {
+        if (assets && assets[name] != null) {
+            resolved[name] = normalizeAsset(name, assets[name]);
+        } else if (base) {
+            resolved[name] = { url: `${base}/${ASSET_FILES[name]}` };
+        } else {
+            resolved[name] = { url: DEFAULT_ASSET_URLS[name] };
+        }
+    });
+
+    return resolved;
+}
+
+/**
+ * Escape a value for use inside a double-quoted HTML attribute.
+ */
+export function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Make library source safe to place between <script> tags in the srcdoc.
+ */
+export function escapeInlineScript(source) {
+    return source.replace(/<\/script/gi, '<\\/script').replace(/<!--/g, '<\\!--');
+}
+
+/**
+ * Serialise a value as a JS literal for a generated <script> in the srcdoc.
+ * `<` is escaped as \u003c, which JSON reads back as the same character,
+ * so no value can close the script or open a comment.
+ * @param {*} value - JSON-serialisable value
+ * @returns {string}
+ */
+export function inlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Build the <script> markup that loads an asset inside the iframe.
+ * @param {string} name - Asset name, reported on load failure
+ * @param {{url?: string, source?: string}} asset - Resolved asset
+ * @param {string} [onload] - Inline JS to run once the asset is available
+ * @returns {string}
+ */
+export function buildAssetScriptTag(name, asset, onload = '') {
+    if (asset.source != null) {
+        return `<script>${escapeInlineScript(asset.source)}${SCRIPT_CLOSE}${onload ? `<script>${onload}${SCRIPT_CLOSE}` : ''}`;
+    }
+
+    const onerror = `reportAssetError(${JSON.stringify(name)}, ${JSON.stringify(asset.url)})`;
+    return `<script src="${escapeAttribute(asset.url)}"${onload ? ` onload="${escapeAttribute(onload)}"` : ''} onerror="${escapeAttribute(onerror)}">${SCRIPT_CLOSE}`;
+}
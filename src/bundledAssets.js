@@ -0,0 +1,5 @@
+/**
+ * Paged.js, html2pdf and jsPDF sources, inlined at build time.
+ * Built to dist/pagify.assets(.esm).js; pass it as `assets` to render without network access.
+ */
+export { pagedjs, html2pdf, jspdf } from 'virtual:pagify-bundled-assets';
@@ -0,0 +1,48 @@
+/**
+ * Binary helpers shared by the ZIP writer and the PDF merger.
+ */
+
+/**
+ * Read a Blob, ArrayBuffer or typed array as bytes.
+ * @param {Blob|ArrayBuffer|ArrayBufferView} source
+ * @returns {Promise<Uint8Array>}
+ */
+export function readBytes(source) {
+    if (source instanceof Uint8Array) return Promise.resolve(source);
+    if (source instanceof ArrayBuffer) return Promise.resolve(new Uint8Array(source));
+    if (ArrayBuffer.isView(source)) {
+        return Promise.resolve(new Uint8Array(source.buffer, source.byteOffset, source.byteLength));
+    }
+    if (typeof source?.arrayBuffer === 'function') {
+        return source.arrayBuffer().then((buffer) => new Uint8Array(buffer));
+    }
+    // Blobs without arrayBuffer() (older engines, jsdom)
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(reader.error);
+        reader.readAsArrayBuffer(source);
+    });
+}
+
+/**
+ * UTF-8 encode a string (TextEncoder is not available everywhere the SDK runs).
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function encodeUtf8(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return new Uint8Array(bytes);
+}
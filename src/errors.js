@@ -0,0 +1,148 @@
+/**
+ * Structured errors for failed renders.
+ *
+ * Errors raised in the host (bad options, template syntax, timeouts) are
+ * PagifyErrors from the start. Failures inside the render iframe cannot cross
+ * postMessage with their class or DOM references, so the iframe posts a plain
+ * description (see getErrorScript) and the host rebuilds it with reviveError.
+ */
+
+/**
+ * What went wrong:
+ * - INVALID_OPTIONS: a render option was rejected before the iframe was built
+ * - TEMPLATE: a template failed to compile or render (see TemplateError)
+ * - ASSET_LOAD: a runtime library (Paged.js, html2pdf.js, jsPDF) could not be loaded
+ * - PAGINATION: Paged.js failed while laying out pages
+ * - EMPTY_CONTENT: there was nothing to put in the PDF
+ * - CANVAS: html2canvas failed to capture a page (raster engine)
+ * - PDF_GENERATION: drawing or assembling the PDF failed
+ * - HOOK: a caller hook (hooks option) threw
+ * - TIMEOUT: the job did not finish within timeoutMs
+ */
+export const ERROR_CODES = [
+    'INVALID_OPTIONS',
+    'TEMPLATE',
+    'ASSET_LOAD',
+    'PAGINATION',
+    'EMPTY_CONTENT',
+    'CANVAS',
+    'PDF_GENERATION',
+    'HOOK',
+    'TIMEOUT',
+];
+
+export class PagifyError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} details
+     * @param {string} details.code - One of ERROR_CODES
+     * @param {string|null} [details.stage] - Where the job was: "setup" (before the iframe), "fonts", "pagination" or "pdf"
+     * @param {string|null} [details.jobId] - Job the error belongs to
+     * @param {*} [details.cause] - Underlying error
+     * @param {number|null} [details.page] - 1-based page that failed, when known
+     * @param {string|null} [details.element] - Short description of the offending element, e.g. "div#page-3.pagedjs_page"
+     */
+    constructor(message, { code, stage = null, jobId = null, cause, page = null, element = null }) {
+        super(message, cause === undefined ? undefined : { cause });
+        this.name = 'PagifyError';
+        this.code = code;
+        this.stage = stage;
+        this.jobId = jobId;
+        this.page = page;
+        this.element = element;
+    }
+}
+
+/**
+ * Error matching the DOM AbortError convention so callers can check `error.name === 'AbortError'`.
+ * @param {string} [message]
+ * @returns {Error}
+ */
+export function createAbortError(message = 'Render cancelled') {
+    if (typeof DOMException === 'function') {
+        return new DOMException(message, 'AbortError');
+    }
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Make a host-side failure a PagifyError for the given job. PagifyErrors keep
+ * their code and only gain the job id; anything else is wrapped with `code`.
+ * @param {*} error
+ * @param {Object} details - { code, stage, jobId } used for the wrapper
+ * @returns {PagifyError}
+ */
+export function toPagifyError(error, { code, stage = null, jobId = null }) {
+    if (error instanceof PagifyError) {
+        error.jobId ??= jobId;
+        return error;
+    }
+    return new PagifyError(error?.message ?? String(error), { code, stage, jobId, cause: error });
+}
+
+/**
+ * Rebuild an error posted by the render iframe.
+ * @param {Object|string} payload - { code, message, stage, page, element, cause: { name, message } }, or a bare message
+ * @param {string} jobId
+ * @returns {PagifyError}
+ */
+export function reviveError(payload, jobId) {
+    if (!payload || typeof payload !== 'object') {
+        return new PagifyError(String(payload), { code: 'PDF_GENERATION', jobId });
+    }
+    let cause;
+    if (payload.cause) {
+        cause = new Error(payload.cause.message);
+        cause.name = payload.cause.name;
+    }
+    return new PagifyError(payload.message, {
+        code: ERROR_CODES.includes(payload.code) ? payload.code : 'PDF_GENERATION',
+        stage: payload.stage ?? null,
+        jobId,
+        cause,
+        page: payload.page ?? null,
+        element: payload.element ?? null,
+    });
+}
+
+/**
+ * Script defining, in the iframe, `pagifyFailure(code, message, details)` to
+ * raise a classified Error, `describeElement(element)` and
+ * `serializeFailure(error, code, stage)`, which turns any thrown value into
+ * the payload reviveError expects (`code` applies when the error has none).
+ * @returns {string}
+ */
+export function getErrorScript() {
+    return `
+            function pagifyFailure(code, message, { page = null, element = null, cause } = {}) {
+                const error = new Error(message);
+                error.code = code;
+                error.page = page;
+                error.element = element;
+                error.cause = cause;
+                return error;
+            }
+
+            // "tag#id.class1.class2", enough to find the element in the page markup
+            function describeElement(element) {
+                if (typeof element === "string") return element;
+                const id = element.id ? "#" + element.id : "";
+                const classes = Array.from(element.classList || []).slice(0, 2).map((name) => "." + name).join("");
+                return element.tagName.toLowerCase() + id + classes;
+            }
+
+            function serializeFailure(error, code, stage) {
+                const cause = error?.cause;
+                return {
+                    code: error?.code || code,
+                    message: error?.message || String(error),
+                    stage: stage,
+                    page: error?.page ?? null,
+                    element: error?.element ? describeElement(error.element) : null,
+                    cause: cause ? { name: cause.name || "Error", message: cause.message || String(cause) } : null,
+                };
+            }
+    `;
+}
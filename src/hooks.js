@@ -0,0 +1,107 @@
+/**
+ * Caller lifecycle hooks, run inside the render iframe.
+ *
+ * Hook functions are serialized with their source and re-created in the
+ * iframe, so they cannot close over host variables: everything they need must
+ * be in their arguments or the iframe document. The Paged.js hooks are
+ * registered as one Handler and receive Paged.js's own arguments; beforePdf
+ * runs after pagination, page numbers and watermarks, right before the PDF
+ * engine reads the pages. Hooks may be async; several functions for one hook
+ * run in order. Plugins (plugins.js) are bundles of these hooks and run
+ * before the render's own.
+ */
+
+import { escapeInlineScript, inlineJson } from './assets.js';
+
+// Paged.js Handler hooks, in the order Paged.js calls them
+export const PAGED_HOOKS = ['beforeParsed', 'afterParsed', 'beforePageLayout', 'afterPageLayout', 'afterRendered'];
+
+export const HOOK_NAMES = [...PAGED_HOOKS, 'beforePdf'];
+
+const FUNCTION_SOURCE = /^(async\s+)?function\b|^(async\s*)?(\([^)]*\)|[\w$]+)\s*=>/;
+const METHOD_SOURCE = /^(async\s+)?\*?\s*[\w$]+\s*\(/;
+
+// Source of a hook as an expression: method shorthand (`{ afterRendered(pages) {} }`) is not one
+function serializeHook(label, hook) {
+    const source = (typeof hook === 'function' ? Function.prototype.toString.call(hook) : hook).trim();
+    if (source.includes('[native code]')) {
+        throw new Error(`${label} cannot be a native or bound function`);
+    }
+    if (FUNCTION_SOURCE.test(source)) return source;
+    if (METHOD_SOURCE.test(source)) {
+        return source.replace(/^(async\s+)?/, (match) => `${match}function `);
+    }
+    throw new Error(`${label} is not function source`);
+}
+
+/**
+ * Validate the `hooks` render option (or a plugin's hooks) and serialize its functions.
+ * @param {Object|null} hooks - Hook name to a function, function source string or array of them
+ * @param {string|null} [plugin] - Plugin the hooks belong to, named in errors
+ * @returns {Object<string, Array<{source: string, plugin: string|null}>>} functions per hook, empty when there are none
+ * @throws {Error} on unknown hook names or values that are not functions
+ */
+export function resolveHooks(hooks, plugin = null) {
+    if (!hooks) return {};
+    const owner = plugin ? `Plugin "${plugin}" hooks` : 'hooks';
+    if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+        throw new Error(`${owner} must be an object of { ${HOOK_NAMES.join(', ')} }`);
+    }
+
+    const resolved = {};
+    Object.entries(hooks).forEach(([name, value]) => {
+        if (!HOOK_NAMES.includes(name)) {
+            throw new Error(`${plugin ? `Plugin "${plugin}": unknown` : 'Unknown'} hook "${name}", expected one of: ${HOOK_NAMES.join(', ')}`);
+        }
+        const list = (Array.isArray(value) ? value : [value]).filter((hook) => hook != null);
+        list.forEach((hook) => {
+            if (typeof hook !== 'function' && typeof hook !== 'string') {
+                throw new Error(`${owner}.${name} must be a function, function source or an array of them`);
+            }
+        });
+        if (list.length) resolved[name] = list.map((hook) => ({ source: serializeHook(`${owner}.${name}`, hook), plugin }));
+    });
+    return resolved;
+}
+
+/**
+ * Concatenate resolved hooks, keeping their order within each hook.
+ * @param {Array<Object>} resolvedHooks - Results of resolveHooks, in run order
+ * @returns {Object<string, Array<{source: string, plugin: string|null}>>}
+ */
+export function mergeHooks(resolvedHooks) {
+    const merged = {};
+    resolvedHooks.forEach((hooks) => {
+        Object.entries(hooks).forEach(([name, list]) => {
+            merged[name] = [...(merged[name] ?? []), ...list];
+        });
+    });
+    return merged;
+}
+
+/**
+ * Script defining `pagifyHooks` and `runHooks(name, ...args)`, which awaits
+ * each function for the hook in turn. A throwing hook fails the job with a
+ * HOOK error naming it and its plugin.
+ * @param {Object<string, Array<{source: string, plugin: string|null}>>} hooks - Resolved hooks (see resolveHooks)
+ * @returns {string}
+ */
+export function getHooksScript(hooks = {}) {
+    const entries = Object.entries(hooks).map(([name, list]) => (
+        `${JSON.stringify(name)}: [${list.map(({ source, plugin }) => `[${inlineJson(plugin)}, (${escapeInlineScript(source)})]`).join(', ')}]`
+    ));
+    return `
+            const pagifyHooks = { ${entries.join(', ')} };
+
+            async function runHooks(name, ...args) {
+                for (const [plugin, hook] of pagifyHooks[name] || []) {
+                    try {
+                        await hook(...args);
+                    } catch (error) {
+                        const label = (plugin ? plugin + " plugin " : "") + name + " hook";
+                        throw pagifyFailure("HOOK", label + " failed: " + (error?.message ?? error), { cause: error });
+                    }
+                }
+            }
+    `;
+}
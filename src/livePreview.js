@@ -0,0 +1,151 @@
+/**
+ * Live preview for editors (createLivePreview).
+ *
+ * Two worker iframes (see worker.js) are stacked in the container. Each update
+ * is paginated in the hidden one, then shown at the scroll position of the one
+ * it replaces, so the view never goes blank and no iframe is rebuilt: both keep
+ * Paged.js loaded between updates. Updates are debounced and merged; one that
+ * arrives while a render runs is rendered as soon as it ends.
+ */
+
+import { createAbortError } from './errors.js';
+import { createWorker } from './worker.js';
+
+const FRAME_STYLE = { position: 'absolute', top: '0', left: '0', width: '100%', height: '100%', border: 'none' };
+
+// Scroll offset of a shown iframe, if it has one we can read
+function readScroll(iframe) {
+    try {
+        const view = iframe?.contentWindow;
+        return view ? { x: view.scrollX, y: view.scrollY } : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Create a live preview in a container.
+ * @param {Object} sdk - PagifySDK instance rendering the preview
+ * @param {string|Element} container - Element, or selector of the element, the preview fills
+ * @param {Object} [options] - render() options for the first render (containerSelector and PDF output do not apply), plus:
+ * @param {number} [options.debounceMs=250] - Quiet time after the last update() before re-paginating
+ * @param {Function} [options.onUpdate] - Called with { totalPages, durationMs } each time a new pagination is shown
+ * @param {Function} [options.onError] - Called with the PagifyError of a failed update; the previous pagination stays on show, and with an error thrown by onUpdate
+ * @returns {{ready: Promise<Object>, update: Function, destroy: Function, iframe: HTMLIFrameElement|null, totalPages: number}}
+ * @throws {Error} when the container cannot be found
+ */
+export function createLivePreview(sdk, container, { debounceMs = 250, onUpdate = null, onError = null, ...options } = {}) {
+    const target = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!target?.appendChild) {
+        throw new Error(`Live preview container "${container}" not found`);
+    }
+
+    const stage = document.createElement('div');
+    stage.setAttribute('data-pagify-live-preview', '');
+    stage.style.cssText = 'position: relative; width: 100%; height: 100%; overflow: hidden;';
+    target.appendChild(stage);
+
+    const workers = [createWorker(stage), createWorker(stage)];
+    let shown = null;
+    let current = { ...options };
+    delete current.containerSelector;
+    let totalPages = 0;
+    let timer = null;
+    let running = false;
+    let waiting = [];
+    let destroyed = false;
+
+    const show = (worker) => {
+        const scroll = readScroll(shown?.iframe);
+        if (scroll) worker.iframe.contentWindow.scrollTo(scroll.x, scroll.y);
+        worker.iframe.style.visibility = 'visible';
+        if (shown && shown !== worker && shown.iframe) shown.iframe.style.visibility = 'hidden';
+        shown = worker;
+    };
+
+    const flush = async () => {
+        timer = null;
+        if (running || destroyed) return;
+        running = true;
+        const batch = waiting;
+        waiting = [];
+        const worker = workers.find((candidate) => candidate !== shown);
+
+        try {
+            const handle = await sdk.render({ ...current, isViewOnlySkipMakingPDF: true }, { worker });
+            // A new iframe starts off-screen; stack it, hidden, over the container until it is ready
+            if (worker.iframe) Object.assign(worker.iframe.style, FRAME_STYLE, { visibility: 'hidden' });
+            const result = await handle.done;
+            if (destroyed) throw createAbortError('Live preview destroyed');
+            show(worker);
+            totalPages = result.totalPages;
+            const update = { totalPages, durationMs: result.durationMs };
+            try {
+                onUpdate?.(update);
+            } catch (error) {
+                onError?.(error);
+            }
+            batch.forEach(({ resolve }) => resolve(update));
+        } catch (error) {
+            if (!destroyed) onError?.(error);
+            batch.forEach(({ reject }) => reject(error));
+        }
+
+        running = false;
+        if (waiting.length && !timer) flush();
+    };
+
+    // Promise for the pagination that will include the options given so far
+    const schedule = (delay) => {
+        const pending = new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        // Editors rarely await every keystroke; failures also reach onError
+        pending.catch(() => {});
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+        return pending;
+    };
+
+    const ready = schedule(0);
+
+    return {
+        /** Settles with the first pagination, like update() */
+        ready,
+
+        /**
+         * Merge options into the preview and re-paginate once updates pause.
+         * @param {Object} partialOptions - render() options to change, e.g. { body_html } or { data }
+         * @returns {Promise<{totalPages: number, durationMs: number}>} the pagination that includes this update
+         */
+        update(partialOptions = {}) {
+            if (destroyed) return Promise.reject(createAbortError('Live preview destroyed'));
+            current = { ...current, ...partialOptions };
+            delete current.containerSelector;
+            return schedule(debounceMs);
+        },
+
+        /**
+         * Stop the preview and remove its iframes. Pending updates reject with an AbortError.
+         */
+        destroy() {
+            if (destroyed) return;
+            destroyed = true;
+            clearTimeout(timer);
+            waiting.splice(0).forEach(({ reject }) => reject(createAbortError('Live preview destroyed')));
+            workers.forEach((worker) => {
+                if (worker.jobId) sdk.cancelJob(worker.jobId, 'Live preview destroyed');
+                worker.iframe?.remove();
+            });
+            stage.remove();
+        },
+
+        /** The iframe on show, or null before the first pagination */
+        get iframe() {
+            return shown?.iframe ?? null;
+        },
+
+        /** Page count of the pagination on show */
+        get totalPages() {
+            return totalPages;
+        },
+    };
+}
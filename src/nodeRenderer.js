@@ -0,0 +1,250 @@
+/**
+ * Server-side rendering through a local headless Chromium (the Node entry).
+ *
+ * The browser SDK is loaded into one blank page of that browser and every
+ * render runs there exactly as it does in a web app: the same buildIframeHTML
+ * document, Paged.js and PDF engines, so the bytes match the browser path.
+ * Only data crosses into the page. Hook and plugin functions travel as source
+ * (they run serialized in the iframe anyway), callbacks stay in Node, and
+ * failures come back as PagifyErrors with their code, stage and page.
+ *
+ * Any puppeteer-compatible Browser works (newPage, setContent, addScriptTag,
+ * exposeFunction, evaluate); without one, puppeteer is launched if installed.
+ */
+
+import { promises as fs } from 'fs';
+import { Buffer } from 'buffer';
+import { PagifyError, toPagifyError, createAbortError } from './errors.js';
+import { resolveHooks } from './hooks.js';
+import { BUILT_IN_PLUGINS, normalizePlugin } from './plugins.js';
+
+// render() options that are functions or host objects and never reach the page
+const HOST_ONLY_OPTIONS = ['callback', 'onPdfReady', 'onPdfError', 'onPreviewReady', 'onProgress', 'signal', 'containerSelector', 'isViewOnlySkipMakingPDF'];
+
+// { name: fn | source | [...] } as { name: [source, ...] }, validated like render() does
+function hookSources(hooks, plugin = null) {
+    return Object.fromEntries(Object.entries(resolveHooks(hooks, plugin)).map(([name, list]) => [name, list.map(({ source }) => source)]));
+}
+
+function pluginForPage(plugin) {
+    if (!plugin || typeof plugin !== 'object') return plugin;
+    return plugin.hooks ? { ...plugin, hooks: hookSources(plugin.hooks, plugin.name ?? null) } : plugin;
+}
+
+/**
+ * Turn render() options into the plain data handed to the page.
+ * @param {Object} options - render() options
+ * @returns {Object}
+ * @throws {Error} on hooks or plugins render() would reject
+ */
+export function toPageOptions(options = {}) {
+    const pageOptions = { ...options };
+    HOST_ONLY_OPTIONS.forEach((key) => delete pageOptions[key]);
+    if (pageOptions.hooks) pageOptions.hooks = hookSources(pageOptions.hooks);
+    if (Array.isArray(pageOptions.plugins)) pageOptions.plugins = pageOptions.plugins.map(pluginForPage);
+    return pageOptions;
+}
+
+// Runs in the browser page: sets up the SDK once
+function setupPage(config) {
+    window.__pagifyNode = { sdk: new window.Pagify.PagifySDK(config), controllers: new Map() };
+}
+
+// Runs in the browser page
+function usePluginInPage({ plugin, enabled }) {
+    window.__pagifyNode.sdk.use(plugin, { enabled });
+}
+
+// Runs in the browser page: one render, with the PDF as base64 or the failure as plain data
+async function renderInPage({ key, options, progress }) {
+    const { sdk, controllers } = window.__pagifyNode;
+    const controller = new AbortController();
+    controllers.set(key, controller);
+    const renderOptions = { ...options };
+    if (progress) renderOptions.onProgress = (event) => window.__pagifyNodeProgress(key, event);
+    try {
+        const result = await sdk.renderHeadless(renderOptions, { signal: controller.signal });
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(result.blob);
+        });
+        if (result.blobUrl) URL.revokeObjectURL(result.blobUrl);
+        return {
+            pdf: dataUrl.slice(dataUrl.indexOf(',') + 1),
+            filename: result.filename,
+            totalPages: result.totalPages,
+            durationMs: result.durationMs,
+        };
+    } catch (error) {
+        const cause = error?.cause;
+        return {
+            error: {
+                name: error?.name ?? 'Error',
+                message: error?.message ?? String(error),
+                code: error?.code ?? null,
+                stage: error?.stage ?? null,
+                jobId: error?.jobId ?? null,
+                page: error?.page ?? null,
+                element: error?.element ?? null,
+                cause: cause ? { name: cause.name ?? 'Error', message: cause.message ?? String(cause) } : null,
+            },
+        };
+    } finally {
+        controllers.delete(key);
+    }
+}
+
+// Runs in the browser page
+function cancelInPage({ key, reason }) {
+    window.__pagifyNode.controllers.get(key)?.abort(reason);
+}
+
+function reviveNodeError(payload) {
+    if (payload.name === 'AbortError') return createAbortError(payload.message);
+    let cause;
+    if (payload.cause) {
+        cause = new Error(payload.cause.message);
+        cause.name = payload.cause.name;
+    }
+    if (!payload.code) {
+        return new PagifyError(payload.message, { code: 'PDF_GENERATION', jobId: payload.jobId, cause });
+    }
+    const error = new PagifyError(payload.message, { ...payload, cause });
+    if (payload.name === 'TemplateError') error.name = payload.name;
+    return error;
+}
+
+async function launchBrowser(launchOptions) {
+    let puppeteer;
+    try {
+        puppeteer = await import('puppeteer');
+    } catch (error) {
+        throw new Error('Rendering in Node needs a headless Chromium: install puppeteer, or pass { browser } from puppeteer-core', { cause: error });
+    }
+    return (puppeteer.default ?? puppeteer).launch({ headless: true, ...launchOptions });
+}
+
+/**
+ * Create a renderer backed by a headless Chromium.
+ * @param {Object} options
+ * @param {Object} options.browser - A puppeteer(-core) Browser to render in; it is left open by close()
+ * @param {Object} options.launchOptions - puppeteer.launch() options, used when no browser is given
+ * @param {Object} options.config - SDK-wide defaults, as for new PagifySDK(config)
+ * @param {string} options.sdkPath - Browser SDK bundle loaded into the page (the Node entry passes dist/pagify.standalone.js)
+ * @param {string} options.sdkSource - The bundle's source, instead of sdkPath
+ * @returns {{render: function, generatePDF: function, use: function, close: function}}
+ * @throws {Error} on hooks or plugins in config that render() would reject
+ */
+export function createNodeRenderer({ browser = null, launchOptions = {}, config = {}, sdkPath = null, sdkSource = null } = {}) {
+    const pageConfig = toPageOptions(config);
+    const ownsBrowser = !browser;
+    const progressListeners = new Map();
+    const plugins = [];
+    const pluginNames = new Set(BUILT_IN_PLUGINS.map(({ name }) => name));
+    let ready = null;
+    let closed = false;
+    let nextKey = 0;
+
+    const start = async () => {
+        const source = sdkSource ?? await fs.readFile(sdkPath, 'utf8');
+        browser ??= await launchBrowser(launchOptions);
+        const page = await browser.newPage();
+        await page.exposeFunction('__pagifyNodeProgress', (key, progress) => progressListeners.get(key)?.(progress));
+        await page.setContent('<!DOCTYPE html><html><head></head><body></body></html>');
+        await page.addScriptTag({ content: source });
+        await page.evaluate(setupPage, pageConfig);
+        for (const registration of plugins) {
+            await page.evaluate(usePluginInPage, registration);
+        }
+        return page;
+    };
+
+    const getPage = () => {
+        if (closed) throw new Error('Renderer is closed');
+        ready ??= start().catch((error) => {
+            ready = null;
+            throw error;
+        });
+        return ready;
+    };
+
+    const renderer = {
+        /**
+         * Register a plugin for every render, as PagifySDK#use does in the browser.
+         * Takes effect for renders started after the page is set up as well.
+         * @param {Object} plugin - { name, hooks, css }
+         * @param {Object} [options] - { enabled = true }
+         * @returns {Object} the renderer, for chaining
+         * @throws {Error} on a malformed plugin or a name that is already registered
+         */
+        use(plugin, { enabled = true } = {}) {
+            const { name } = normalizePlugin(plugin);
+            if (pluginNames.has(name)) {
+                throw new Error(`Plugin "${name}" is already registered`);
+            }
+            pluginNames.add(name);
+            const registration = { plugin: pluginForPage(plugin), enabled };
+            plugins.push(registration);
+            if (ready) ready.then((page) => page.evaluate(usePluginInPage, registration)).catch(() => {});
+            return renderer;
+        },
+
+        /**
+         * Render one document.
+         * @param {Object} options - render() options; callbacks other than onProgress and the container options do not apply
+         * @returns {Promise<{pdf: Buffer, filename: string, totalPages: number, durationMs: number}>}
+         * @throws {PagifyError} when the render fails (INVALID_OPTIONS for options rejected before it starts),
+         *   or an AbortError when options.signal aborts
+         */
+        async render(options = {}) {
+            const { signal = null, onProgress = null } = options;
+            if (signal?.aborted) throw createAbortError();
+
+            let pageOptions;
+            try {
+                pageOptions = toPageOptions(options);
+            } catch (error) {
+                throw toPagifyError(error, { code: 'INVALID_OPTIONS', stage: 'setup' });
+            }
+
+            const page = await getPage();
+            const key = `node-${++nextKey}`;
+            const onAbort = () => page.evaluate(cancelInPage, { key, reason: 'Render cancelled' }).catch(() => {});
+            if (onProgress) progressListeners.set(key, onProgress);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            try {
+                const outcome = await page.evaluate(renderInPage, { key, options: pageOptions, progress: !!onProgress });
+                if (outcome.error) throw reviveNodeError(outcome.error);
+                return { ...outcome, pdf: Buffer.from(outcome.pdf, 'base64') };
+            } finally {
+                signal?.removeEventListener('abort', onAbort);
+                progressListeners.delete(key);
+            }
+        },
+
+        /**
+         * Render one document and resolve with the PDF bytes.
+         * @param {Object} options - render() options
+         * @returns {Promise<Buffer>}
+         */
+        async generatePDF(options = {}) {
+            const { pdf } = await renderer.render(options);
+            return pdf;
+        },
+
+        /**
+         * Close the page, and the browser when the renderer launched it.
+         * @returns {Promise<void>}
+         */
+        async close() {
+            if (closed) return;
+            closed = true;
+            const page = await ready?.catch(() => null);
+            await page?.close();
+            if (ownsBrowser && browser) await browser.close();
+        },
+    };
+    return renderer;
+}
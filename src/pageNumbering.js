@@ -0,0 +1,172 @@
+/**
+ * Page number placeholders, filled inside the render iframe after pagination.
+ *
+ * Placeholders (by class, anywhere on a page: headers, footers, margin boxes, body):
+ * - `.pageNumber`  the page's number in the current format
+ * - `.totalPages`  the last page number of the current numbering section
+ * - `.pageLabel`   the page number template, e.g. "Page 3 of 10"
+ *
+ * Numbering starts at `start` and can be restarted or reformatted from the page
+ * where an element with `data-pagify-page-start="1"` and/or
+ * `data-pagify-page-format="lower-roman"` begins. A restart opens a new section,
+ * so `.totalPages` counts the pages of that section.
+ *
+ * `total` overrides the total of the first section, for documents that are
+ * part of a longer one (merge() numbers a packet continuously this way).
+ */
+
+import { inlineJson } from './assets.js';
+
+export const PAGE_NUMBER_FORMATS = ['decimal', 'lower-roman', 'upper-roman', 'lower-alpha', 'upper-alpha'];
+
+export const DEFAULT_PAGE_NUMBER_TEMPLATE = 'Page {page} of {total}';
+
+/**
+ * Validate the page numbering options on the host, before an iframe exists.
+ * @param {Object} options
+ * @param {string} options.format - One of PAGE_NUMBER_FORMATS
+ * @param {string} options.template - Label template with {page} and {total}
+ * @param {number} options.start - Number of the first page
+ * @param {number|null} [options.total] - Total shown for the first section instead of its last page number
+ * @throws {Error} on an unknown format, a non-string template or a non-integer start or total
+ */
+export function validatePageNumbering({ format, template, start, total = null }) {
+    if (!PAGE_NUMBER_FORMATS.includes(format)) {
+        throw new Error(`Unknown page number format "${format}", expected one of: ${PAGE_NUMBER_FORMATS.join(', ')}`);
+    }
+    if (typeof template !== 'string') {
+        throw new Error('page_number_template must be a string');
+    }
+    if (!Number.isInteger(start)) {
+        throw new Error(`page_number_start must be an integer, got ${start}`);
+    }
+    if (total !== null && !Number.isInteger(total)) {
+        throw new Error(`page_number_total must be an integer, got ${total}`);
+    }
+}
+
+/**
+ * Script defining `fillPagePlaceholders()` and the `pageNumbers` it computes
+ * (`{ number, label, total }` per `.pagedjs_page`, formatted).
+ * @param {Object} options
+ * @param {string} options.format - Initial number format
+ * @param {string} options.template - Label template for `.pageLabel`
+ * @param {number} options.start - Number of the first page
+ * @param {number|null} [options.total] - Total shown for the first section instead of its last page number
+ * @param {string} [options.selector] - Elements that get a `.pageLabel` prepended (legacy page_number_selector)
+ * @returns {string}
+ */
+export function getPageNumberingScript({ format, template, start, total = null, selector = '' }) {
+    return `
+                        const pageNumberingOptions = ${inlineJson({ format, template, start, total, selector })};
+                        const pageNumberFormats = ${JSON.stringify(PAGE_NUMBER_FORMATS)};
+                        // Formatted number, label and section total per page, set by fillPagePlaceholders()
+                        let pageNumbers = [];
+
+                        function toRoman(value) {
+                            const numerals = [
+                                [1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"],
+                                [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"],
+                            ];
+                            let result = "";
+                            numerals.forEach(([amount, numeral]) => {
+                                while (value >= amount) {
+                                    result += numeral;
+                                    value -= amount;
+                                }
+                            });
+                            return result;
+                        }
+
+                        // 1 -> a, 26 -> z, 27 -> aa
+                        function toAlpha(value) {
+                            let result = "";
+                            while (value > 0) {
+                                value -= 1;
+                                result = String.fromCharCode(97 + (value % 26)) + result;
+                                value = Math.floor(value / 26);
+                            }
+                            return result;
+                        }
+
+                        function formatPageNumber(value, format) {
+                            // Roman and alphabetic numbering have no zero or negatives
+                            if (value < 1 || (value > 3999 && format.endsWith("roman"))) return String(value);
+                            switch (format) {
+                            case "lower-roman": return toRoman(value).toLowerCase();
+                            case "upper-roman": return toRoman(value);
+                            case "lower-alpha": return toAlpha(value);
+                            case "upper-alpha": return toAlpha(value).toUpperCase();
+                            default: return String(value);
+                            }
+                        }
+
+                        // The numbering marker starting on this page; split continuations don't count
+                        function findNumberingMarker(page) {
+                            const content = page.querySelector(".pagedjs_page_content") || page;
+                            return Array.from(content.querySelectorAll("[data-pagify-page-start], [data-pagify-page-format]"))
+                                .find((el) => !el.hasAttribute("data-split-from"));
+                        }
+
+                        function computePageNumbers(pages) {
+                            let number = pageNumberingOptions.start - 1;
+                            let format = pageNumberingOptions.format;
+                            let section = 0;
+
+                            const numbered = pages.map((page) => {
+                                const marker = findNumberingMarker(page);
+                                if (marker) {
+                                    const restart = parseInt(marker.getAttribute("data-pagify-page-start"), 10);
+                                    if (!isNaN(restart)) {
+                                        number = restart - 1;
+                                        section += 1;
+                                    }
+                                    const markerFormat = marker.getAttribute("data-pagify-page-format");
+                                    if (markerFormat && pageNumberFormats.includes(markerFormat)) {
+                                        format = markerFormat;
+                                    } else if (markerFormat) {
+                                        console.warn("Unknown data-pagify-page-format:", markerFormat);
+                                    }
+                                }
+                                number += 1;
+                                return { value: number, format, section };
+                            });
+
+                            const sectionEnds = {};
+                            numbered.forEach((entry) => { sectionEnds[entry.section] = entry; });
+
+                            return numbered.map(({ value, format, section }) => {
+                                const last = sectionEnds[section];
+                                const number = formatPageNumber(value, format);
+                                const lastValue = section === 0 && pageNumberingOptions.total !== null ? pageNumberingOptions.total : last.value;
+                                const total = formatPageNumber(lastValue, last.format);
+                                return {
+                                    number,
+                                    total,
+                                    label: pageNumberingOptions.template.replace(/\\{page\\}/g, number).replace(/\\{total\\}/g, total),
+                                };
+                            });
+                        }
+
+                        // Running elements are copied onto every page, so each copy gets its own page's number
+                        function fillPagePlaceholders() {
+                            const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                            pageNumbers = computePageNumbers(pages);
+
+                            pages.forEach((page, index) => {
+                                const { number, total, label } = pageNumbers[index];
+                                if (pageNumberingOptions.selector) {
+                                    page.querySelectorAll(pageNumberingOptions.selector).forEach((el) => {
+                                        const placeholder = document.createElement("span");
+                                        placeholder.className = "pageLabel";
+                                        el.insertBefore(document.createTextNode(" "), el.firstChild);
+                                        el.insertBefore(placeholder, el.firstChild);
+                                    });
+                                }
+                                page.querySelectorAll(".pageNumber").forEach((el) => { el.textContent = number; });
+                                page.querySelectorAll(".totalPages").forEach((el) => { el.textContent = total; });
+                                page.querySelectorAll(".pageLabel").forEach((el) => { el.textContent = label; });
+                            });
+                        }
+    `;
+}
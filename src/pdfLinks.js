@@ -0,0 +1,78 @@
+/**
+ * Clickable links in the generated PDF.
+ *
+ * Both engines draw pages as pixels or shapes, so anchors lose their
+ * behaviour. Before drawing, the iframe records where each link sits on its
+ * page (and where its target lands); afterwards those regions are added as
+ * PDF link annotations.
+ */
+
+// Schemes linked as external URIs; relative URLs have no meaning inside a PDF
+export const EXTERNAL_LINK_PATTERN = /^(https?:|mailto:|tel:)/i;
+
+/**
+ * Script defining `collectPdfLinks(selector)` and `addPdfLinks(pdf, links)`.
+ * `#id` anchors jump to the page (and height) their target landed on; http(s),
+ * mailto and tel anchors open their URL.
+ * Uses `PX_TO_MM` from the vector engine script.
+ * @returns {string}
+ */
+export function getPdfLinksScript() {
+    return `
+            const externalLinkPattern = ${EXTERNAL_LINK_PATTERN};
+
+            // Where an anchor leads: a page destination, a URL, or null for links the PDF cannot follow
+            function getLinkDestination(anchor, pages) {
+                const href = anchor.getAttribute("href") || "";
+                if (externalLinkPattern.test(href)) {
+                    return { url: anchor.href };
+                }
+                if (!href.startsWith("#")) return null;
+
+                const target = href.length > 1 && document.getElementById(decodeURIComponent(href.slice(1)));
+                const targetPage = target?.closest(".pagedjs_page");
+                if (!targetPage) return null;
+                return {
+                    pageNumber: pages.indexOf(targetPage) + 1,
+                    top: (target.getBoundingClientRect().top - targetPage.getBoundingClientRect().top) * PX_TO_MM,
+                };
+            }
+
+            // Link regions (mm, relative to their page) for anchors matching selector
+            function collectPdfLinks(selector) {
+                const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                const links = [];
+
+                pages.forEach((page, pageIndex) => {
+                    const origin = page.getBoundingClientRect();
+                    page.querySelectorAll(selector).forEach((anchor) => {
+                        const destination = getLinkDestination(anchor, pages);
+                        if (!destination) return;
+
+                        // One region per line box, so wrapped links stay accurate
+                        Array.from(anchor.getClientRects()).forEach((rect) => {
+                            if (!rect.width || !rect.height) return;
+                            links.push({
+                                pageIndex,
+                                x: (rect.left - origin.left) * PX_TO_MM,
+                                y: (rect.top - origin.top) * PX_TO_MM,
+                                w: rect.width * PX_TO_MM,
+                                h: rect.height * PX_TO_MM,
+                                destination,
+                            });
+                        });
+                    });
+                });
+                return links;
+            }
+
+            function addPdfLinks(pdf, links) {
+                const pageCount = pdf.internal.getNumberOfPages();
+                links.forEach((link) => {
+                    if (link.pageIndex >= pageCount || (link.destination.pageNumber ?? 0) > pageCount) return;
+                    pdf.setPage(link.pageIndex + 1);
+                    pdf.link(link.x, link.y, link.w, link.h, link.destination);
+                });
+            }
+    `;
+}
@@ -0,0 +1,142 @@
+/**
+ * Combine finished PDFs into one document with pdf-lib.
+ *
+ * Runs on the host, after the render iframes are gone, so it only ever sees
+ * PDF bytes: pages are copied as they are, without re-rendering. Each source's
+ * own bookmarks are carried over, optionally nested under one bookmark per
+ * source.
+ */
+
+import { PDFDocument, PDFName, PDFDict, PDFArray, PDFString, PDFHexString, PDFRef } from 'pdf-lib';
+import { readBytes } from './bytes.js';
+
+// Outline entries of a loaded PDF: { title, pageIndex, view, children }, where
+// view is the destination after its page reference (e.g. /XYZ left top zoom).
+// Entries whose destination is not a page of this document are dropped.
+function readOutline(document) {
+    const root = document.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!root) return [];
+    const pageIndexes = new Map(document.getPages().map((page, index) => [page.ref.toString(), index]));
+    const visited = new Set();
+
+    const readItems = (parent) => {
+        const items = [];
+        let item = parent.lookupMaybe(PDFName.of('First'), PDFDict);
+        // Guard against malformed files whose Next chain loops
+        while (item && !visited.has(item)) {
+            visited.add(item);
+            const title = item.lookupMaybe(PDFName.of('Title'), PDFString, PDFHexString);
+            const destination = item.lookupMaybe(PDFName.of('Dest'), PDFArray);
+            const pageIndex = destination ? pageIndexes.get(destination.get(0).toString()) : undefined;
+            if (title && pageIndex !== undefined) {
+                // Indirect view values belong to the source file; fall back to fitting the page
+                const view = destination.asArray().slice(1);
+                items.push({
+                    title: title.decodeText(),
+                    pageIndex,
+                    view: view.some((value) => value instanceof PDFRef) ? [] : view,
+                    children: readItems(item),
+                });
+            }
+            item = item.lookupMaybe(PDFName.of('Next'), PDFDict);
+        }
+        return items;
+    };
+    return readItems(root);
+}
+
+// Write outline items under parentRef; returns the refs and open-descendant count the parent needs
+function writeOutlineItems(context, parentRef, items, pageRefs) {
+    const refs = items.map(() => context.nextRef());
+    let count = items.length;
+
+    items.forEach((item, index) => {
+        const dict = context.obj({
+            Title: PDFHexString.fromText(item.title),
+            Parent: parentRef,
+            Dest: [pageRefs[item.pageIndex], ...(item.view.length ? item.view : [PDFName.of('Fit')])],
+        });
+        if (index > 0) dict.set(PDFName.of('Prev'), refs[index - 1]);
+        if (index < items.length - 1) dict.set(PDFName.of('Next'), refs[index + 1]);
+        if (item.children.length) {
+            const children = writeOutlineItems(context, refs[index], item.children, pageRefs);
+            dict.set(PDFName.of('First'), children.first);
+            dict.set(PDFName.of('Last'), children.last);
+            dict.set(PDFName.of('Count'), context.obj(children.count));
+            count += children.count;
+        }
+        context.assign(refs[index], dict);
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+function writeOutline(document, items) {
+    if (!items.length) return;
+    const { context } = document;
+    const rootRef = context.nextRef();
+    const pageRefs = document.getPages().map((page) => page.ref);
+    const { first, last, count } = writeOutlineItems(context, rootRef, items, pageRefs);
+
+    context.assign(rootRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: count }));
+    document.catalog.set(PDFName.of('Outlines'), rootRef);
+    document.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+// Shift an outline's page indexes by offset
+function offsetOutline(items, offset) {
+    return items.map((item) => ({ ...item, pageIndex: item.pageIndex + offset, children: offsetOutline(item.children, offset) }));
+}
+
+/**
+ * Append the pages of several PDFs, in order, into one PDF.
+ * @param {Array<Blob|ArrayBuffer|Uint8Array>} sources - PDFs to combine
+ * @param {Object} [options]
+ * @param {Array<string|null>} [options.bookmarks] - Bookmark title per source, pointing at its first page;
+ *   the source's own bookmarks nest under it (null or missing: they stay at the top level)
+ * @returns {Promise<{blob: Blob, pageCounts: number[]}>} merged PDF and the number of pages taken from each source
+ * @throws {Error} when a source is not a readable PDF
+ */
+export async function mergePdfs(sources, { bookmarks = [] } = {}) {
+    const merged = await PDFDocument.create();
+    const outline = [];
+    const pageCounts = [];
+
+    for (const [index, source] of sources.entries()) {
+        let document;
+        try {
+            document = await PDFDocument.load(await readBytes(source));
+        } catch (error) {
+            throw new Error(`Could not read PDF ${index + 1} for merging: ${error.message}`);
+        }
+        const offset = merged.getPageCount();
+        const pages = await merged.copyPages(document, document.getPageIndices());
+        pages.forEach((page) => merged.addPage(page));
+        pageCounts.push(pages.length);
+
+        const ownOutline = offsetOutline(readOutline(document), offset);
+        const title = bookmarks[index];
+        if (title && pages.length) {
+            outline.push({ title, pageIndex: offset, view: [], children: ownOutline });
+        } else {
+            outline.push(...ownOutline);
+        }
+    }
+
+    writeOutline(merged, outline);
+    return { blob: new Blob([await merged.save()], { type: 'application/pdf' }), pageCounts };
+}
+
+/**
+ * Number of pages in a PDF.
+ * @param {Blob|ArrayBuffer|Uint8Array} source
+ * @returns {Promise<number>}
+ * @throws {Error} when the source is not a readable PDF
+ */
+export async function countPdfPages(source) {
+    try {
+        return (await PDFDocument.load(await readBytes(source))).getPageCount();
+    } catch (error) {
+        throw new Error(`Could not read PDF: ${error.message}`);
+    }
+}
@@ -0,0 +1,286 @@
+/**
+ * Document metadata, file name and the archival (PDF/A-1b style) profile.
+ *
+ * Metadata is validated on the host and written into the jsPDF document in
+ * the iframe. The archival profile adds what long-term storage systems check
+ * for: an XMP metadata stream mirroring the document info (with the PDF/A
+ * identification), an sRGB OutputIntent, and, for the vector engine, text in
+ * embedded TrueType fonts instead of the non-embedded standard fonts.
+ * It follows PDF/A-1b but is not a certified conformance check.
+ */
+
+export const METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator', 'creationDate', 'language'];
+
+export const FONT_VARIANTS = ['normal', 'bold', 'italic', 'bolditalic'];
+
+export const DEFAULT_FILENAME = 'document.pdf';
+
+/**
+ * Validate and normalise the `metadata` render option.
+ * @param {Object} metadata - { title, author, subject, keywords, creator, creationDate, language }
+ * @returns {Object} strings only: keywords joined, creationDate as an ISO string
+ * @throws {Error} on unknown fields or an invalid creationDate
+ */
+export function normalizeMetadata(metadata = {}) {
+    const normalized = {};
+    Object.entries(metadata || {}).forEach(([field, value]) => {
+        if (!METADATA_FIELDS.includes(field)) {
+            throw new Error(`Unknown metadata field "${field}", expected one of: ${METADATA_FIELDS.join(', ')}`);
+        }
+        if (value == null || value === '') return;
+
+        if (field === 'keywords' && Array.isArray(value)) {
+            normalized.keywords = value.join(', ');
+        } else if (field === 'creationDate') {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) {
+                throw new Error(`Invalid metadata creationDate "${value}"`);
+            }
+            normalized.creationDate = date.toISOString();
+        } else {
+            normalized[field] = String(value);
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Make `filename` safe to offer as a download name, always ending in `extension`.
+ * @param {string} filename
+ * @param {string} [extension] - Required suffix, ".pdf" unless naming a combined batch file
+ * @returns {string}
+ */
+export function normalizeFilename(filename, extension = '.pdf') {
+    const name = Array.from(String(filename || ''), (char) => (char.charCodeAt(0) < 32 ? '-' : char))
+        .join('')
+        .replace(/[\\/:*?"<>|]+/g, '-')
+        .trim();
+    if (!name) return `document${extension}`;
+    return name.toLowerCase().endsWith(extension) ? name : `${name}${extension}`;
+}
+
+/**
+ * Normalise the `archival` render option.
+ * @param {boolean|Object} archival - `true`, or `{ fonts: { normal, bold, italic, bolditalic } }`
+ *   where each font is a TrueType URL, `{ url }` or `{ source }` (base64)
+ * @param {string} engine - Output engine; the vector engine draws text and needs `fonts.normal`
+ * @returns {{fonts: Object<string, {url?: string, source?: string}>}|null}
+ */
+export function resolveArchivalOptions(archival, engine) {
+    if (!archival) return null;
+    const fonts = {};
+    Object.entries((archival === true ? {} : archival.fonts) || {}).forEach(([variant, font]) => {
+        if (!FONT_VARIANTS.includes(variant)) {
+            throw new Error(`Unknown archival font variant "${variant}", expected one of: ${FONT_VARIANTS.join(', ')}`);
+        }
+        if (typeof font === 'string') {
+            fonts[variant] = { url: font };
+        } else if (font && (typeof font.url === 'string' || typeof font.source === 'string')) {
+            fonts[variant] = font.source != null ? { source: font.source } : { url: font.url };
+        } else {
+            throw new Error(`Invalid archival font "${variant}": expected a URL string, { url } or { source }`);
+        }
+    });
+
+    if (engine === 'vector' && !fonts.normal) {
+        throw new Error('Archival output with the vector engine needs an embedded font: archival.fonts.normal');
+    }
+    return { fonts };
+}
+
+/**
+ * Script defining `applyPdfMetadata(pdf, metadata)`, `loadArchivalFonts(fonts)`,
+ * `buildSrgbIccProfile()`, `applyArchivalProfile(pdf, metadata)` and
+ * `outputArchivalPdf(pdf)`.
+ * @returns {string}
+ */
+export function getPdfMetadataScript() {
+    return `
+            function applyPdfMetadata(pdf, metadata) {
+                pdf.setProperties({
+                    title: metadata.title,
+                    author: metadata.author,
+                    subject: metadata.subject,
+                    keywords: metadata.keywords,
+                    creator: metadata.creator,
+                });
+                if (metadata.creationDate) {
+                    pdf.setCreationDate(new Date(metadata.creationDate));
+                }
+                if (metadata.language) {
+                    pdf.setLanguage(metadata.language);
+                }
+            }
+
+            // Archival fonts as base64, by variant, for jsPDF's virtual file system
+            async function loadArchivalFonts(fonts) {
+                const loaded = {};
+                for (const [variant, font] of Object.entries(fonts)) {
+                    if (font.source != null) {
+                        loaded[variant] = font.source;
+                        continue;
+                    }
+                    const response = await fetch(font.url);
+                    if (!response.ok) {
+                        throw new Error("Failed to load archival font " + variant + " from " + font.url);
+                    }
+                    const bytes = new Uint8Array(await response.arrayBuffer());
+                    let binary = "";
+                    for (let i = 0; i < bytes.length; i += 0x8000) {
+                        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+                    }
+                    loaded[variant] = btoa(binary);
+                }
+                return loaded;
+            }
+
+            // Minimal ICC v2 display profile with sRGB primaries (D50-adapted) and gamma 2.2,
+            // as a binary string for the OutputIntent stream
+            function buildSrgbIccProfile() {
+                const bytes = [];
+                const u32 = (value) => bytes.push((value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255);
+                const ascii = (text) => { for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i)); };
+                const fixed = (value) => u32(Math.round(value * 65536));
+                const pad = () => { while (bytes.length % 4) bytes.push(0); };
+
+                const description = "sRGB IEC61966-2.1";
+                const tags = [
+                    ["desc", () => {
+                        ascii("desc"); u32(0); u32(description.length + 1); ascii(description); bytes.push(0);
+                        u32(0); u32(0); bytes.push(0, 0, 0);
+                        for (let i = 0; i < 67; i++) bytes.push(0);
+                    }],
+                    ["cprt", () => { ascii("text"); u32(0); ascii("No copyright, use freely"); bytes.push(0); }],
+                    ["wtpt", () => { ascii("XYZ "); u32(0); fixed(0.9642); fixed(1); fixed(0.8249); }],
+                    ["rXYZ", () => { ascii("XYZ "); u32(0); fixed(0.4361); fixed(0.2225); fixed(0.0139); }],
+                    ["gXYZ", () => { ascii("XYZ "); u32(0); fixed(0.3851); fixed(0.7169); fixed(0.0971); }],
+                    ["bXYZ", () => { ascii("XYZ "); u32(0); fixed(0.1431); fixed(0.0606); fixed(0.7141); }],
+                    ["rTRC", () => { ascii("curv"); u32(0); u32(1); bytes.push(0x02, 0x33); }],
+                ];
+                const shared = { gTRC: "rTRC", bTRC: "rTRC" };
+                const tagCount = tags.length + Object.keys(shared).length;
+
+                // Header, filled in once the size is known
+                for (let i = 0; i < 128; i++) bytes.push(0);
+                u32(tagCount);
+                const table = bytes.length;
+                for (let i = 0; i < tagCount * 12; i++) bytes.push(0);
+
+                const entries = {};
+                tags.forEach(([signature, write]) => {
+                    const offset = bytes.length;
+                    write();
+                    entries[signature] = [offset, bytes.length - offset];
+                    pad();
+                });
+                Object.entries(shared).forEach(([signature, source]) => { entries[signature] = entries[source]; });
+
+                const put = (position, values) => values.forEach((value, i) => { bytes[position + i] = value; });
+                const be = (value) => [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+                const chars = (text) => Array.from(text, (c) => c.charCodeAt(0));
+                put(0, be(bytes.length));
+                put(8, [0x02, 0x10, 0, 0]);
+                put(12, chars("mntr"));
+                put(16, chars("RGB "));
+                put(20, chars("XYZ "));
+                put(24, [0x07, 0xe8, 0, 1, 0, 1, 0, 0, 0, 0, 0, 0]);
+                put(36, chars("acsp"));
+                put(68, [...be(Math.round(0.9642 * 65536)), ...be(65536), ...be(Math.round(0.8249 * 65536))]);
+                Object.entries(entries).forEach(([signature, [offset, size]], index) => {
+                    put(table + index * 12, [...chars(signature), ...be(offset), ...be(size)]);
+                });
+
+                let binary = "";
+                bytes.forEach((value) => { binary += String.fromCharCode(value); });
+                return binary;
+            }
+
+            function escapeXml(value) {
+                return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+            }
+
+            // "D:20261019093000+05'30'" -> "2026-10-19T09:30:00+05:30"
+            function pdfDateToIso(pdfDate) {
+                const m = /^D:(\\d{4})(\\d{2})(\\d{2})(\\d{2})(\\d{2})(\\d{2})([+-])(\\d{2})'(\\d{2})/.exec(pdfDate);
+                return m ? m[1] + "-" + m[2] + "-" + m[3] + "T" + m[4] + ":" + m[5] + ":" + m[6] + m[7] + m[8] + ":" + m[9] : "";
+            }
+
+            // Room in the XMP for pdf:Producer. jsPDF only writes its Producer into the document
+            // info as the document is output, so outputArchivalPdf fills this in place, padded
+            // with whitespace to the same length so no byte offset moves.
+            const XMP_PRODUCER_SLOT = "<pdf:Producer></pdf:Producer>" + " ".repeat(96);
+
+            // XMP packet; every value mirrors the document info dictionary, as PDF/A requires
+            function buildArchivalXmp(metadata, createDate) {
+                const alt = (value) => '<rdf:Alt><rdf:li xml:lang="x-default">' + escapeXml(value) + '</rdf:li></rdf:Alt>';
+                const dc = ["<dc:format>application/pdf</dc:format>"];
+                if (metadata.title) dc.push("<dc:title>" + alt(metadata.title) + "</dc:title>");
+                if (metadata.author) dc.push("<dc:creator><rdf:Seq><rdf:li>" + escapeXml(metadata.author) + "</rdf:li></rdf:Seq></dc:creator>");
+                if (metadata.subject) dc.push("<dc:description>" + alt(metadata.subject) + "</dc:description>");
+                if (metadata.language) dc.push("<dc:language><rdf:Bag><rdf:li>" + escapeXml(metadata.language) + "</rdf:li></rdf:Bag></dc:language>");
+
+                const xmp = ["<xmp:CreateDate>" + createDate + "</xmp:CreateDate>"];
+                if (metadata.creator) xmp.push("<xmp:CreatorTool>" + escapeXml(metadata.creator) + "</xmp:CreatorTool>");
+
+                const pdfInfo = [XMP_PRODUCER_SLOT];
+                if (metadata.keywords) pdfInfo.push("<pdf:Keywords>" + escapeXml(metadata.keywords) + "</pdf:Keywords>");
+
+                return '<?xpacket begin="\\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>'
+                    + '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+                    + '<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"><pdfaid:part>1</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance></rdf:Description>'
+                    + '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">' + dc.join("") + '</rdf:Description>'
+                    + '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">' + xmp.join("") + '</rdf:Description>'
+                    + '<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">' + pdfInfo.join("") + '</rdf:Description>'
+                    + '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+            }
+
+            // Add the XMP metadata stream and sRGB OutputIntent to the catalog
+            function applyArchivalProfile(pdf, metadata) {
+                const createDate = pdfDateToIso(pdf.getCreationDate());
+                const xmp = unescape(encodeURIComponent(buildArchivalXmp(metadata, createDate)));
+                const profile = buildSrgbIccProfile();
+                const objects = {};
+
+                pdf.internal.events.subscribe("postPutResources", () => {
+                    objects.profile = pdf.internal.newObject();
+                    pdf.internal.write("<< /N 3 /Length " + profile.length + " >>");
+                    pdf.internal.write("stream");
+                    pdf.internal.write(profile);
+                    pdf.internal.write("endstream");
+                    pdf.internal.write("endobj");
+
+                    objects.intent = pdf.internal.newObject();
+                    pdf.internal.write("<< /Type /OutputIntent /S /GTS_PDFA1 /OutputConditionIdentifier (sRGB IEC61966-2.1) /Info (sRGB IEC61966-2.1) /DestOutputProfile " + objects.profile + " 0 R >>");
+                    pdf.internal.write("endobj");
+
+                    objects.metadata = pdf.internal.newObject();
+                    pdf.internal.write("<< /Type /Metadata /Subtype /XML /Length " + xmp.length + " >>");
+                    pdf.internal.write("stream");
+                    pdf.internal.write(xmp);
+                    pdf.internal.write("endstream");
+                    pdf.internal.write("endobj");
+                });
+                pdf.internal.events.subscribe("putCatalog", () => {
+                    pdf.internal.write("/Metadata " + objects.metadata + " 0 R");
+                    pdf.internal.write("/OutputIntents [" + objects.intent + " 0 R]");
+                });
+            }
+
+            // Output a document given applyArchivalProfile as bytes, with the XMP pdf:Producer
+            // set to jsPDF's own versioned Producer so the two match exactly
+            function outputArchivalPdf(pdf) {
+                let output = pdf.output();
+                const producer = (/\\/Producer \\(([^)]*)\\)/.exec(output.slice(output.lastIndexOf("/Producer ("))) || [])[1] || "jsPDF";
+                const filled = ("<pdf:Producer>" + escapeXml(producer) + "</pdf:Producer>").padEnd(XMP_PRODUCER_SLOT.length);
+                const start = output.indexOf(XMP_PRODUCER_SLOT);
+                if (start !== -1 && filled.length === XMP_PRODUCER_SLOT.length) {
+                    output = output.slice(0, start) + filled + output.slice(start + filled.length);
+                }
+                const bytes = new Uint8Array(output.length);
+                for (let i = 0; i < output.length; i++) {
+                    bytes[i] = output.charCodeAt(i);
+                }
+                return bytes;
+            }
+    `;
+}
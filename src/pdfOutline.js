@@ -0,0 +1,92 @@
+/**
+ * PDF outline (bookmarks) built from the laid-out document.
+ *
+ * Entries are collected from the page content after pagination, so each
+ * bookmark opens the page its heading landed on. Headings repeated in
+ * running headers/footers and the generated TOC are not listed.
+ */
+
+export const DEFAULT_OUTLINE_SELECTOR = 'h1, h2, h3, h4, h5, h6, [data-pagify-outline]';
+
+/**
+ * Normalise the `outline` render option.
+ * @param {boolean|Object} outline - `true` for the default selector, or `{ selector }`
+ * @returns {string|null} selector of outlined elements, or null when disabled
+ */
+export function resolveOutlineSelector(outline) {
+    if (!outline) return null;
+    if (outline === true) return DEFAULT_OUTLINE_SELECTOR;
+    if (typeof outline !== 'object' || typeof outline.selector !== 'string') {
+        throw new Error('outline must be true or { selector }');
+    }
+    return outline.selector;
+}
+
+/**
+ * Script defining `collectPdfOutline(selector)` and `addPdfOutline(pdf, entries)`.
+ * Levels come from `data-pagify-outline-level` or the heading tag (h1 = 1);
+ * titles from `data-pagify-outline-title` or the element text.
+ * @returns {string}
+ */
+export function getPdfOutlineScript() {
+    return `
+            function collectPdfOutline(selector) {
+                const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                const entries = [];
+
+                pages.forEach((page, pageIndex) => {
+                    const content = page.querySelector(".pagedjs_page_content");
+                    if (!content) return;
+                    content.querySelectorAll(selector).forEach((el) => {
+                        // Split continuations repeat the heading; the TOC is not a section
+                        if (el.hasAttribute("data-split-from") || el.closest(".pagify-toc")) return;
+
+                        const title = (el.getAttribute("data-pagify-outline-title") || el.textContent).replace(/\\s+/g, " ").trim();
+                        if (!title) return;
+                        const heading = /^H([1-6])$/.exec(el.tagName);
+                        const level = parseInt(el.getAttribute("data-pagify-outline-level"), 10) || (heading ? Number(heading[1]) : 1);
+                        entries.push({ title, level, pageNumber: pageIndex + 1 });
+                    });
+                });
+                return entries;
+            }
+
+            // jsPDF writes outline titles in clear; run them through the document's encryptor
+            // so encrypted PDFs show readable bookmarks. The outline plugin has no public hook
+            // for this, so it wraps the plugin's objStart / makeString (checked against the
+            // bundled jsPDF in test/pdfSecurity.test.js) only when those exist.
+            function encryptOutlineTitles(pdf) {
+                if (!pdf.internal.encryptionOptions) return;
+                const outline = pdf.outline;
+                if (typeof pdf.internal.getEncryptor !== "function" || typeof outline.objStart !== "function" || typeof outline.makeString !== "function") {
+                    console.warn("Pagify: this jsPDF build cannot encrypt bookmark titles; they will not be readable");
+                    return;
+                }
+                let currentId = null;
+                const objStart = outline.objStart;
+                outline.objStart = function (node) {
+                    currentId = node.id;
+                    return objStart.call(this, node);
+                };
+                outline.makeString = (value) => "(" + pdf.internal.pdfEscape(pdf.internal.getEncryptor(currentId)(value)) + ")";
+            }
+
+            // Nest each entry under the closest preceding entry of a higher level
+            function addPdfOutline(pdf, entries) {
+                if (entries.length) {
+                    encryptOutlineTitles(pdf);
+                }
+                const pageCount = pdf.internal.getNumberOfPages();
+                const parents = [];
+                entries.forEach((entry) => {
+                    if (entry.pageNumber > pageCount) return;
+                    while (parents.length && parents[parents.length - 1].level >= entry.level) {
+                        parents.pop();
+                    }
+                    const parent = parents.length ? parents[parents.length - 1].item : null;
+                    const item = pdf.outline.add(parent, entry.title, { pageNumber: entry.pageNumber });
+                    parents.push({ level: entry.level, item });
+                });
+            }
+    `;
+}
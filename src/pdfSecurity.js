@@ -0,0 +1,52 @@
+/**
+ * Password protection and permission flags for generated PDFs.
+ *
+ * Uses jsPDF's standard security handler (RC4, 40-bit key). That stops casual
+ * opening and sets viewer permissions, but it is not strong encryption: treat
+ * it as an access-control convenience, not as protection for data at rest.
+ */
+
+export const PDF_PERMISSIONS = ['print', 'modify', 'copy', 'annot-forms'];
+
+// Owner password used when only a user password is given, so the permission
+// flags cannot be lifted by opening the file as owner with an empty password
+function randomOwnerPassword() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate the `security` render option and turn it into jsPDF's `encryption` option.
+ * @param {Object|null} security - { userPassword, ownerPassword, permissions }
+ * @param {string} [security.userPassword] - Password needed to open the PDF ("" = opens without one)
+ * @param {string} [security.ownerPassword] - Password that lifts the permission flags (random when omitted)
+ * @param {string[]} [security.permissions] - Subset of PDF_PERMISSIONS granted to users (all when omitted)
+ * @returns {{userPassword: string, ownerPassword: string, userPermissions: string[]}|null}
+ * @throws {Error} on missing passwords, non-string passwords or unknown permissions
+ */
+export function resolveSecurityOptions(security) {
+    if (!security) return null;
+
+    const { userPassword = '', ownerPassword = '', permissions = PDF_PERMISSIONS } = security;
+    if (typeof userPassword !== 'string' || typeof ownerPassword !== 'string') {
+        throw new Error('security.userPassword and security.ownerPassword must be strings');
+    }
+    if (!userPassword && !ownerPassword) {
+        throw new Error('security needs a userPassword, an ownerPassword or both');
+    }
+    if (!Array.isArray(permissions)) {
+        throw new Error('security.permissions must be an array');
+    }
+    permissions.forEach((permission) => {
+        if (!PDF_PERMISSIONS.includes(permission)) {
+            throw new Error(`Unknown PDF permission "${permission}", expected one of: ${PDF_PERMISSIONS.join(', ')}`);
+        }
+    });
+
+    return {
+        userPassword,
+        ownerPassword: ownerPassword || randomOwnerPassword(),
+        userPermissions: [...new Set(permissions)],
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * Plugins: named, reusable bundles of lifecycle hooks (see hooks.js) plus
+ * optional CSS for the render iframe.
+ *
+ * A plugin is `{ name, hooks, css }`. Plugins are registered on an SDK
+ * instance with use(); the built-ins below are registered and enabled by
+ * default, and each render (or configure()) can pick which ones run.
+ */
+
+import { resolveHooks } from './hooks.js';
+
+const PLUGIN_NAME = /^[A-Za-z][\w-]*$/;
+
+/**
+ * Behaviours the SDK always applied before plugins existed, kept on by default.
+ */
+export const BUILT_IN_PLUGINS = [
+    {
+        // Tables split across pages get their <thead> again on each continuation
+        name: 'repeatTableHeaders',
+        hooks: {
+            afterPageLayout: `function (pageElement, page, breakToken, chunker) {
+                pageElement.querySelectorAll("table[data-split-from]").forEach((table) => {
+                    // The previous part can have zero height (invisible); only add a header if there is none
+                    if (table.querySelector("thead")) return;
+
+                    // Find the table in the original source by its reference UUID
+                    const sourceTable = chunker.source.querySelector("[data-ref='" + table.dataset.ref + "']");
+                    const sourceHeader = sourceTable?.querySelector("thead");
+                    if (sourceHeader) {
+                        table.insertBefore(sourceHeader.cloneNode(true), table.firstChild);
+                    }
+                });
+            }`,
+        },
+    },
+    {
+        // Tables without body rows (often emitted empty by templating engines) are hidden with the element after them
+        name: 'hideEmptyTables',
+        hooks: {
+            afterPageLayout: `function (pageElement) {
+                pageElement.querySelectorAll("table").forEach((table) => {
+                    if (table.querySelector("tbody > tr")) return;
+                    [table, table.nextSibling].forEach((element) => {
+                        if (!element?.style) return;
+                        element.style.visibility = "hidden";
+                        element.style.position = "absolute";
+                    });
+                });
+            }`,
+        },
+    },
+    {
+        // Page content grows to fit instead of being clipped at the page box
+        name: 'overflowContent',
+        hooks: {
+            afterPageLayout: `function (pageElement) {
+                pageElement.querySelectorAll(".pagedjs_page_content").forEach((content) => {
+                    content.style.height = "max-content";
+                });
+            }`,
+        },
+    },
+];
+
+/**
+ * Validate a plugin and serialize its hooks.
+ * @param {Object} plugin
+ * @param {string} plugin.name - Unique name, used to enable or disable it
+ * @param {Object} [plugin.hooks] - Lifecycle hooks, as in the `hooks` render option
+ * @param {string} [plugin.css] - CSS added to the render iframe
+ * @returns {{name: string, hooks: Object, css: string}}
+ * @throws {Error} on a missing or malformed name, bad hooks or non-string css
+ */
+export function normalizePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object' || Array.isArray(plugin)) {
+        throw new Error('A plugin must be an object of { name, hooks, css }');
+    }
+    const { name, hooks = {}, css = '' } = plugin;
+    if (typeof name !== 'string' || !PLUGIN_NAME.test(name)) {
+        throw new Error(`Invalid plugin name "${name}": use letters, digits, "-" and "_", starting with a letter`);
+    }
+    if (typeof css !== 'string') {
+        throw new Error(`Plugin "${name}" css must be a string`);
+    }
+    return { name, hooks: resolveHooks(hooks, name), css };
+}
+
+/**
+ * Pick the plugins a render runs.
+ * @param {Array<string|Object>|Object<string, boolean>|null} selection - A list of registered names and
+ *   inline plugins replacing `defaults`, or { name: true | false } to switch registered plugins on or off
+ * @param {Object[]} defaults - Normalized plugins enabled when nothing is selected
+ * @param {Map<string, Object>} registry - Normalized plugins by name
+ * @returns {Object[]} normalized plugins, in run order
+ * @throws {Error} on unknown names or malformed inline plugins
+ */
+export function selectPlugins(selection, defaults, registry) {
+    const lookup = (name) => {
+        const plugin = registry.get(name);
+        if (!plugin) {
+            throw new Error(`Unknown plugin "${name}", registered: ${[...registry.keys()].join(', ') || 'none'}`);
+        }
+        return plugin;
+    };
+
+    if (selection == null) return defaults;
+    if (Array.isArray(selection)) {
+        return selection.map((entry) => (typeof entry === 'string' ? lookup(entry) : normalizePlugin(entry)));
+    }
+    if (typeof selection !== 'object') {
+        throw new Error('plugins must be an array of plugin names or plugins, or an object of { name: boolean }');
+    }
+
+    let selected = defaults;
+    Object.entries(selection).forEach(([name, enabled]) => {
+        const plugin = lookup(name);
+        const present = selected.some((entry) => entry.name === name);
+        if (enabled && !present) selected = [...selected, plugin];
+        if (!enabled && present) selected = selected.filter((entry) => entry.name !== name);
+    });
+    return selected;
+}
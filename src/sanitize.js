@@ -0,0 +1,161 @@
+/**
+ * Allowlist HTML sanitizer for untrusted content (the `sanitize` option).
+ *
+ * Runs on the host before the iframe document is built. The markup is parsed
+ * into an inert <template>, so nothing in it loads or runs while it is
+ * cleaned: elements outside the allowlist are unwrapped (their text is kept)
+ * or, for scripting and embedding elements, dropped with their content;
+ * attributes outside the allowlist, event handlers, comments and unsafe URLs
+ * are removed. The render iframe is also sandboxed in this mode, so anything
+ * that slips through still runs without the host page's origin.
+ */
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+export const SANITIZE_ALLOWED_TAGS = [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main',
+    'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr',
+];
+
+// head_html carries styling, not content
+export const SANITIZE_ALLOWED_HEAD_TAGS = ['style', 'link', 'meta', 'title'];
+
+export const SANITIZE_ALLOWED_ATTRIBUTES = [
+    'id', 'class', 'style', 'title', 'lang', 'dir', 'role', 'align', 'valign', 'width', 'height',
+    'colspan', 'rowspan', 'span', 'scope', 'headers', 'start', 'reversed', 'type', 'value', 'cite',
+    'datetime', 'href', 'target', 'rel', 'src', 'alt', 'charset', 'media',
+];
+
+// Never allowed, even when added through options
+const FORBIDDEN_TAGS = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'portal'];
+
+// Removed together with their content instead of being unwrapped
+const DROP_WITH_CONTENT = new Set([
+    ...FORBIDDEN_TAGS, 'style', 'template', 'noscript', 'noembed', 'noframes', 'textarea', 'select',
+    'option', 'button', 'input', 'form', 'svg', 'math', 'link', 'meta', 'title', 'audio', 'video', 'canvas',
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+// An allowed scheme, or a relative URL (no ":" before the first "/", "?" or "#")
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^:/?#]*(?:[/?#]|$))/i;
+const SAFE_IMAGE_DATA_URL = /^data:image\/[\w.+-]+[;,]/i;
+const UNSAFE_CSS = /expression\s*\(|javascript:|vbscript:|behavior\s*:|-moz-binding/i;
+// Characters browsers ignore inside a URL scheme ("java\tscript:"): controls and spaces
+function isIgnoredUrlCharacter(character) {
+    const code = character.charCodeAt(0);
+    return code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+}
+
+function isSafeUrl(name, value) {
+    const url = Array.from(value).filter((character) => !isIgnoredUrlCharacter(character)).join('');
+    if (name === 'src' && SAFE_IMAGE_DATA_URL.test(url)) return true;
+    return SAFE_URL.test(url);
+}
+
+function cleanStyle(style) {
+    return style.split(';').filter((declaration) => !UNSAFE_CSS.test(declaration)).join(';').trim();
+}
+
+function cleanAttributes(element, policy) {
+    Array.from(element.attributes).forEach(({ name, value }) => {
+        const allowed = policy.attributes.has(name) || /^(?:data|aria)-[\w.-]+$/.test(name);
+        if (!allowed || name.startsWith('on')) {
+            element.removeAttribute(name);
+        } else if (URL_ATTRIBUTES.has(name) && !isSafeUrl(name, value)) {
+            element.removeAttribute(name);
+        } else if (name === 'style') {
+            const style = cleanStyle(value);
+            if (style) element.setAttribute('style', style);
+            else element.removeAttribute('style');
+        }
+    });
+    // Only stylesheets may be linked from head_html
+    if (element.localName === 'link' && element.getAttribute('rel')?.toLowerCase() !== 'stylesheet') {
+        element.remove();
+    }
+}
+
+function cleanChildren(parent, policy) {
+    Array.from(parent.childNodes).forEach((node) => {
+        if (node.nodeType === TEXT_NODE) return;
+        if (node.nodeType !== ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.localName;
+        if (node.namespaceURI !== HTML_NAMESPACE || !policy.tags.has(tag)) {
+            if (DROP_WITH_CONTENT.has(tag) || node.namespaceURI !== HTML_NAMESPACE) {
+                node.remove();
+            } else {
+                cleanChildren(node, policy);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
+
+        // Rules cannot be cut out of a stylesheet safely, so a tainted one goes entirely
+        if (tag === 'style' && UNSAFE_CSS.test(node.textContent)) {
+            node.remove();
+            return;
+        }
+        cleanAttributes(node, policy);
+        cleanChildren(node, policy);
+    });
+}
+
+function checkNames(names, kind, forbidden) {
+    if (!Array.isArray(names) || names.some((name) => typeof name !== 'string')) {
+        throw new Error(`sanitize.${kind} must be an array of names`);
+    }
+    const rejected = names.map((name) => name.toLowerCase()).find(forbidden);
+    if (rejected) {
+        throw new Error(`sanitize.${kind} cannot include "${rejected}"`);
+    }
+    return names.map((name) => name.toLowerCase());
+}
+
+/**
+ * Normalise the `sanitize` render option.
+ * @param {boolean|Object} sanitize - `true` for the default allowlists, or { addTags, addAttributes } to extend them
+ * @returns {{body: Object, head: Object}|null} tag and attribute policies for body and head markup, or null when disabled
+ * @throws {Error} on unknown keys, or scripting tags and event handler attributes in the additions
+ */
+export function resolveSanitizeOptions(sanitize) {
+    if (!sanitize) return null;
+    const options = sanitize === true ? {} : sanitize;
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('sanitize must be true or an object of { addTags, addAttributes }');
+    }
+    const unknown = Object.keys(options).find((key) => key !== 'addTags' && key !== 'addAttributes');
+    if (unknown) {
+        throw new Error(`Unknown sanitize option "${unknown}", expected addTags or addAttributes`);
+    }
+
+    const addTags = checkNames(options.addTags ?? [], 'addTags', (tag) => FORBIDDEN_TAGS.includes(tag));
+    const addAttributes = checkNames(options.addAttributes ?? [], 'addAttributes', (attribute) => attribute.startsWith('on'));
+    const attributes = new Set([...SANITIZE_ALLOWED_ATTRIBUTES, ...addAttributes]);
+    return {
+        body: { tags: new Set([...SANITIZE_ALLOWED_TAGS, ...addTags]), attributes },
+        head: { tags: new Set([...SANITIZE_ALLOWED_HEAD_TAGS, ...addTags]), attributes },
+    };
+}
+
+/**
+ * Clean untrusted markup against a policy from resolveSanitizeOptions.
+ * @param {string|null} html
+ * @param {{tags: Set<string>, attributes: Set<string>}} policy
+ * @returns {string|null} sanitized markup (null and empty input are returned as is)
+ */
+export function sanitizeHtml(html, policy) {
+    if (!html) return html;
+    const template = document.createElement('template');
+    template.innerHTML = String(html);
+    cleanChildren(template.content, policy);
+    return template.innerHTML;
+}
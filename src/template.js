@@ -0,0 +1,248 @@
+/**
+ * Minimal template language for building body/header/footer HTML from data.
+ *
+ * Syntax:
+ * - `{{ path }}`                 HTML-escaped value (`a.b.c`, `this`, `@index`, `@key`, `@first`, `@last`)
+ * - `{{{ path }}}`               raw, unescaped value
+ * - `{{#each path}}...{{else}}...{{/each}}`    loop over an array (or object values)
+ * - `{{#if path}}...{{else}}...{{/if}}`        conditional (`{{#unless}}` for the inverse)
+ * - `{{> name}}` / `{{> name path}}`           partial, rendered with the current or given context
+ * - `{{! comment }}`
+ *
+ * Names are looked up in the current context first, then in enclosing
+ * `each` contexts, so loop bodies can still reach top-level data.
+ * Compiled in the host page before the iframe document is built.
+ */
+
+import { PagifyError } from './errors.js';
+
+/**
+ * Template syntax or render error, located in the template source.
+ */
+export class TemplateError extends PagifyError {
+    /**
+     * @param {string} message - Description without location
+     * @param {Object} location
+     * @param {string} location.template - Name of the template (body, header, footer or partial name)
+     * @param {number} location.line - 1-based line
+     * @param {number} location.column - 1-based column
+     */
+    constructor(message, { template, line, column }) {
+        super(`Template error in ${template} at line ${line}, column ${column}: ${message}`, { code: 'TEMPLATE', stage: 'setup' });
+        this.name = 'TemplateError';
+        this.template = template;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const TAG_PATTERN = /\{\{(\{)?\s*([\s\S]*?)\s*(\})?\}\}/g;
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+
+/**
+ * Escape a value for HTML text or attribute context.
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function locate(source, index) {
+    const before = source.slice(0, index).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Parse template source into a node tree.
+ */
+function parse(source, template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const fail = (message, index) => {
+        throw new TemplateError(message, { template, ...locate(source, index) });
+    };
+
+    const pattern = new RegExp(TAG_PATTERN.source, 'g');
+    let cursor = 0;
+    let match;
+
+    while ((match = pattern.exec(source))) {
+        const [raw, tripleOpen, body, tripleClose] = match;
+        const index = match.index;
+        const current = stack[stack.length - 1];
+        const target = current.inverse || current.children;
+
+        if (index > cursor) {
+            target.push({ type: 'text', value: source.slice(cursor, index) });
+        }
+        cursor = index + raw.length;
+
+        if (!!tripleOpen !== !!tripleClose) {
+            fail('Mismatched triple braces', index);
+        }
+        if (!body) {
+            fail('Empty tag', index);
+        }
+
+        if (tripleOpen) {
+            target.push({ type: 'value', path: body, raw: true, index });
+            continue;
+        }
+
+        const sigil = body[0];
+        if (sigil === '!') continue;
+
+        if (sigil === '#') {
+            const [helper, ...args] = body.slice(1).trim().split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper)) {
+                fail(`Unknown block helper "${helper}"`, index);
+            }
+            if (args.length !== 1) {
+                fail(`{{#${helper}}} expects exactly one argument`, index);
+            }
+            const block = { type: helper, path: args[0], children: [], inverse: null, index };
+            target.push(block);
+            stack.push(block);
+            continue;
+        }
+
+        if (sigil === '/') {
+            const helper = body.slice(1).trim();
+            if (current.type === 'root') {
+                fail(`Unexpected {{/${helper}}}`, index);
+            }
+            if (helper !== current.type) {
+                fail(`Expected {{/${current.type}}} but found {{/${helper}}}`, index);
+            }
+            stack.pop();
+            continue;
+        }
+
+        if (body === 'else') {
+            if (current.type === 'root' || current.inverse) {
+                fail('Unexpected {{else}}', index);
+            }
+            current.inverse = [];
+            continue;
+        }
+
+        if (sigil === '>') {
+            const [name, path] = body.slice(1).trim().split(/\s+/);
+            if (!name) {
+                fail('Partial name missing', index);
+            }
+            target.push({ type: 'partial', name, path: path || 'this', index });
+            continue;
+        }
+
+        target.push({ type: 'value', path: body, raw: false, index });
+    }
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        fail(`Unclosed {{#${open.type}}}`, open.index);
+    }
+    if (cursor < source.length) {
+        root.children.push({ type: 'text', value: source.slice(cursor) });
+    }
+    return root;
+}
+
+function lookup(scopes, path) {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this' || path === '.') return scope.context;
+    if (path[0] === '@') return scope.locals[path.slice(1)];
+
+    const parts = path.replace(/^this\./, '').split('.');
+    const searchAll = !path.startsWith('this.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const context = scopes[i].context;
+        if (context != null && typeof context === 'object' && parts[0] in context) {
+            return parts.reduce((value, key) => (value == null ? undefined : value[key]), context);
+        }
+        if (!searchAll) break;
+    }
+    return undefined;
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Compile template source into a render function.
+ * @param {string} source - Template source
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name used in error locations (default "template")
+ * @param {Object<string, string>} [options.partials] - Partial sources by name
+ * @returns {function(Object): string}
+ * @throws {TemplateError} on syntax errors, with line and column
+ */
+export function compileTemplate(source, { name = 'template', partials = {} } = {}) {
+    const tree = parse(String(source), name);
+    const compiledPartials = {};
+
+    const renderPartial = (node, scopes, depth) => {
+        if (!(node.name in partials)) {
+            throw new TemplateError(`Unknown partial "${node.name}"`, { template: name, ...locate(String(source), node.index) });
+        }
+        if (depth > 20) {
+            throw new TemplateError(`Partial "${node.name}" nests too deeply`, { template: name, ...locate(String(source), node.index) });
+        }
+        compiledPartials[node.name] = compiledPartials[node.name]
+            || compileTemplate(partials[node.name], { name: node.name, partials });
+        return compiledPartials[node.name](lookup(scopes, node.path), depth + 1);
+    };
+
+    const renderNodes = (nodes, scopes, depth) => nodes.map((node) => {
+        switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'value': {
+            const value = lookup(scopes, node.path);
+            if (value == null) return '';
+            return node.raw ? String(value) : escapeHtml(value);
+        }
+        case 'if':
+        case 'unless': {
+            const truthy = isTruthy(lookup(scopes, node.path));
+            const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+            return branch ? renderNodes(branch, scopes, depth) : '';
+        }
+        case 'each': {
+            const collection = lookup(scopes, node.path);
+            const entries = Array.isArray(collection)
+                ? collection.map((item, i) => [i, item])
+                : collection && typeof collection === 'object' ? Object.entries(collection) : [];
+            if (!entries.length) {
+                return node.inverse ? renderNodes(node.inverse, scopes, depth) : '';
+            }
+            return entries.map(([key, item], i) => renderNodes(node.children, [...scopes, {
+                context: item,
+                locals: { index: i, key, first: i === 0, last: i === entries.length - 1 },
+            }], depth)).join('');
+        }
+        case 'partial':
+            return renderPartial(node, scopes, depth);
+        default:
+            return '';
+        }
+    }).join('');
+
+    return (data = {}, depth = 0) => renderNodes(tree.children, [{ context: data, locals: {} }], depth);
+}
+
+/**
+ * Compile and render in one step.
+ * @param {string} source - Template source
+ * @param {Object} data - Template data
+ * @param {Object} [options] - See compileTemplate
+ * @returns {string}
+ */
+export function renderTemplate(source, data, options) {
+    return compileTemplate(source, options)(data);
+}
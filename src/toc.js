@@ -0,0 +1,140 @@
+/**
+ * Table of contents, built on the host from `body_html` and completed in the
+ * render iframe once Paged.js has placed every heading on a page.
+ *
+ * Each listed element gets an id (kept if it already has one) and a TOC entry
+ * linking to it. The entry's `.pagify-toc-page` is filled with the formatted
+ * page number of the target (see pageNumbering.js), so TOC numbers always
+ * match the page number placeholders. The PDF link pass (pdfLinks.js) turns
+ * the entries into clickable internal links.
+ *
+ * The numbers are written by a script pass rather than CSS `target-counter()`
+ * on purpose: the CSS page counter knows nothing of page_number_start, the
+ * roman/alpha formats or merge()'s continuous numbering, and generated content
+ * is not text in the DOM, so the vector engine (which draws text nodes) would
+ * leave it out of the PDF.
+ */
+
+import { escapeHtml } from './template.js';
+
+export const DEFAULT_TOC_OPTIONS = {
+    selector: 'h1, h2, h3',
+    title: 'Contents',
+    placeholder: '[data-pagify-toc]',
+};
+
+/**
+ * Normalise the `toc` render option.
+ * @param {boolean|Object} toc - `true` for the defaults, or overrides of DEFAULT_TOC_OPTIONS
+ * @returns {Object|null} resolved options, or null when disabled
+ */
+export function resolveTocOptions(toc) {
+    if (!toc) return null;
+    if (toc === true) return { ...DEFAULT_TOC_OPTIONS };
+    if (typeof toc !== 'object') {
+        throw new Error('toc must be true or an object of { selector, title, placeholder }');
+    }
+    return { ...DEFAULT_TOC_OPTIONS, ...toc };
+}
+
+function entryLevel(element) {
+    const declared = parseInt(element.getAttribute('data-toc-level'), 10);
+    if (!isNaN(declared)) return declared;
+    const heading = /^H([1-6])$/.exec(element.tagName);
+    return heading ? Number(heading[1]) : 1;
+}
+
+/**
+ * Insert a table of contents into body HTML.
+ * The TOC replaces the first `placeholder` element, or is prepended when there is none.
+ * @param {string} bodyHtml - Body HTML
+ * @param {Object} options - Resolved TOC options (see resolveTocOptions)
+ * @returns {string} body HTML with the TOC and target ids
+ */
+export function insertToc(bodyHtml, { selector, title, placeholder }) {
+    const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${bodyHtml}</body></html>`, 'text/html');
+    const slot = doc.body.querySelector(placeholder);
+    const targets = Array.from(doc.body.querySelectorAll(selector))
+        .filter((element) => !slot || !slot.contains(element));
+
+    const levels = targets.map(entryLevel);
+    const topLevel = levels.length ? Math.min(...levels) : 1;
+
+    // Generated ids skip any the body already uses, so its own anchors keep working
+    const taken = new Set(Array.from(doc.querySelectorAll('[id]'), (element) => element.id));
+    const entries = targets.map((element, index) => {
+        if (!element.id) {
+            let number = index + 1;
+            while (taken.has(`pagify-toc-${number}`)) number++;
+            element.id = `pagify-toc-${number}`;
+            taken.add(element.id);
+        }
+        const text = element.getAttribute('data-toc-text') || element.textContent.replace(/\s+/g, ' ').trim();
+        const level = levels[index] - topLevel + 1;
+        return `<li class="pagify-toc-entry pagify-toc-level-${level}">`
+            + `<a href="#${escapeHtml(element.id)}"><span class="pagify-toc-text">${escapeHtml(text)}</span>`
+            + `<span class="pagify-toc-page" data-pagify-toc-target="${escapeHtml(element.id)}"></span></a></li>`;
+    });
+
+    const nav = doc.createElement('nav');
+    nav.className = 'pagify-toc';
+    nav.innerHTML = `${title ? `<h2 class="pagify-toc-title">${escapeHtml(title)}</h2>` : ''}<ol>${entries.join('')}</ol>`;
+
+    if (slot) {
+        slot.replaceWith(nav);
+    } else {
+        doc.body.insertBefore(nav, doc.body.firstChild);
+    }
+    return doc.body.innerHTML;
+}
+
+/**
+ * Default TOC styles, placed before head_html so callers can override them.
+ * @returns {string}
+ */
+export function getTocCSS() {
+    return `
+                        .pagify-toc ol {
+                            list-style: none;
+                            margin: 0;
+                            padding: 0;
+                        }
+
+                        .pagify-toc a {
+                            display: flex;
+                            align-items: baseline;
+                            color: inherit;
+                            text-decoration: none;
+                        }
+
+                        .pagify-toc-text {
+                            flex: 1;
+                            border-bottom: 1px dotted currentColor;
+                            margin-right: 0.5em;
+                        }
+
+                        .pagify-toc-level-2 { padding-left: 1.5em; }
+                        .pagify-toc-level-3 { padding-left: 3em; }
+                        .pagify-toc-level-4 { padding-left: 4.5em; }
+                        .pagify-toc-level-5 { padding-left: 6em; }
+                        .pagify-toc-level-6 { padding-left: 7.5em; }
+    `;
+}
+
+/**
+ * Script defining `fillTocPageNumbers()`, run after `fillPagePlaceholders()`.
+ * @returns {string}
+ */
+export function getTocScript() {
+    return `
+                        // Write each TOC target's page number, in the page numbering format, into its entry
+                        function fillTocPageNumbers() {
+                            const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                            document.querySelectorAll("[data-pagify-toc-target]").forEach((el) => {
+                                const target = document.getElementById(el.getAttribute("data-pagify-toc-target"));
+                                const index = pages.indexOf(target?.closest(".pagedjs_page"));
+                                el.textContent = index >= 0 ? pageNumbers[index].number : "";
+                            });
+                        }
+    `;
+}
@@ -0,0 +1,317 @@
+/**
+ * Vector PDF engine, run inside the render iframe.
+ *
+ * Instead of rasterising the body with html2canvas, it walks the Paged.js page
+ * boxes (`.pagedjs_page`) and redraws them with jsPDF drawing calls: text
+ * becomes real, selectable text, borders become lines, backgrounds become
+ * filled rects and <img>/<canvas> are embedded as images.
+ *
+ * Known limits: CSS pseudo-element content, SVG, transforms and box shadows
+ * are not drawn (watermark overlays are the exception, drawn natively), and text uses the PDF standard fonts (Helvetica, Times,
+ * Courier) so glyphs outside WinAnsi are not available, unless TrueType
+ * fonts are passed in to be embedded (the archival profile does this).
+ */
+
+/**
+ * Script defining `renderVectorPdf(jsPDFOptions, { fonts, onPage })` in the iframe. Expects
+ * `window.jspdf.jsPDF` to be loaded. Also defines `getPageFormat(page)`,
+ * which the raster engine uses to size its PDF pages.
+ * @returns {string}
+ */
+export function getVectorEngineScript() {
+    return `
+            // CSS px (96 dpi) to PDF mm
+            const PX_TO_MM = 25.4 / 96;
+
+            function parseCssColor(value) {
+                const match = /rgba?\\(([^)]+)\\)/.exec(value || "");
+                if (!match) return null;
+                const parts = match[1].split(/[\\s,\\/]+/).filter(Boolean).map(parseFloat);
+                if (parts.length > 3 && parts[3] === 0) return null;
+                return { r: parts[0], g: parts[1], b: parts[2] };
+            }
+
+            // TrueType family registered by renderVectorPdf; replaces the standard fonts when set
+            let embeddedFont = null;
+
+            // Map the computed font onto a PDF standard font (or the embedded family)
+            function toStandardFont(style) {
+                const family = (style.fontFamily || "").toLowerCase();
+                let name = "helvetica";
+                if (/mono|courier|consolas/.test(family)) {
+                    name = "courier";
+                } else if (/times|georgia|garamond|(^|[^-])serif/.test(family)) {
+                    name = "times";
+                }
+                const bold = style.fontWeight === "bold" || parseInt(style.fontWeight, 10) >= 600;
+                const italic = style.fontStyle === "italic" || style.fontStyle === "oblique";
+                const variant = bold && italic ? "bolditalic" : bold ? "bold" : italic ? "italic" : "normal";
+                if (embeddedFont) {
+                    return { name: embeddedFont.name, variant: embeddedFont.variants.includes(variant) ? variant : "normal" };
+                }
+                return { name, variant };
+            }
+
+            // jsPDF format ([width, height] in mm) and orientation of a Paged.js page box
+            function getPageFormat(page) {
+                const rect = page.getBoundingClientRect();
+                const format = [rect.width, rect.height].map((px) => Math.round(px * PX_TO_MM * 100) / 100);
+                return { format, orientation: format[0] > format[1] ? "landscape" : "portrait" };
+            }
+
+            function toPageBox(rect, origin) {
+                return {
+                    x: (rect.left - origin.left) * PX_TO_MM,
+                    y: (rect.top - origin.top) * PX_TO_MM,
+                    w: rect.width * PX_TO_MM,
+                    h: rect.height * PX_TO_MM,
+                };
+            }
+
+            function drawVectorBox(pdf, element, style, origin) {
+                const rect = element.getBoundingClientRect();
+                if (!rect.width || !rect.height) return;
+                const box = toPageBox(rect, origin);
+
+                const background = parseCssColor(style.backgroundColor);
+                if (background) {
+                    pdf.setFillColor(background.r, background.g, background.b);
+                    pdf.rect(box.x, box.y, box.w, box.h, "F");
+                }
+
+                [
+                    ["Top", box.x, box.y, box.x + box.w, box.y],
+                    ["Right", box.x + box.w, box.y, box.x + box.w, box.y + box.h],
+                    ["Bottom", box.x, box.y + box.h, box.x + box.w, box.y + box.h],
+                    ["Left", box.x, box.y, box.x, box.y + box.h],
+                ].forEach(([side, x1, y1, x2, y2]) => {
+                    const width = parseFloat(style["border" + side + "Width"]);
+                    const lineStyle = style["border" + side + "Style"];
+                    const color = parseCssColor(style["border" + side + "Color"]);
+                    if (!width || !color || lineStyle === "none" || lineStyle === "hidden") return;
+
+                    pdf.setDrawColor(color.r, color.g, color.b);
+                    pdf.setLineWidth(width * PX_TO_MM);
+                    pdf.setLineDashPattern(lineStyle === "dashed" ? [2, 1] : lineStyle === "dotted" ? [0.3, 0.6] : [], 0);
+                    pdf.line(x1, y1, x2, y2);
+                });
+                pdf.setLineDashPattern([], 0);
+            }
+
+            function drawVectorImage(pdf, element, origin) {
+                const rect = element.getBoundingClientRect();
+                if (!rect.width || !rect.height) return;
+                const box = toPageBox(rect, origin);
+                const src = element.currentSrc || element.src || "";
+                const format = /^data:image\\/jpe?g|\\.jpe?g(\\?|#|$)/i.test(src) ? "JPEG" : "PNG";
+                try {
+                    pdf.addImage(element, format, box.x, box.y, box.w, box.h, undefined, "FAST");
+                } catch (error) {
+                    console.warn("Vector engine could not embed image:", src || element.tagName, error);
+                }
+            }
+
+            // Split a text node into rendered lines by measuring each word
+            function measureTextLines(node) {
+                const range = document.createRange();
+                const wordPattern = /\\S+/g;
+                const lines = [];
+                let line = null;
+                let match;
+
+                while ((match = wordPattern.exec(node.textContent))) {
+                    range.setStart(node, match.index);
+                    range.setEnd(node, match.index + match[0].length);
+                    const rect = range.getBoundingClientRect();
+                    if (!rect.width) continue;
+
+                    if (line && Math.abs(rect.top - line.top) < rect.height / 2) {
+                        line.text += " " + match[0];
+                        line.right = rect.right;
+                    } else {
+                        line = { text: match[0], left: rect.left, right: rect.right, top: rect.top, height: rect.height };
+                        lines.push(line);
+                    }
+                }
+                return lines;
+            }
+
+            function drawVectorText(pdf, node, origin) {
+                const style = window.getComputedStyle(node.parentElement);
+                if (style.visibility === "hidden") return;
+                const color = parseCssColor(style.color);
+                if (!color) return;
+
+                const font = toStandardFont(style);
+                const fontSizePx = parseFloat(style.fontSize) || 16;
+                pdf.setFont(font.name, font.variant);
+                pdf.setFontSize(fontSizePx * 0.75);
+                pdf.setTextColor(color.r, color.g, color.b);
+
+                measureTextLines(node).forEach((line) => {
+                    let text = line.text;
+                    if (style.textTransform === "uppercase") text = text.toUpperCase();
+                    if (style.textTransform === "lowercase") text = text.toLowerCase();
+
+                    const x = (line.left - origin.left) * PX_TO_MM;
+                    const y = (line.top - origin.top + line.height / 2) * PX_TO_MM;
+                    const width = (line.right - line.left) * PX_TO_MM;
+                    // Stretch the standard font to the browser's measured width so lines keep their layout
+                    const naturalWidth = pdf.getTextWidth(text);
+                    const horizontalScale = naturalWidth > 0 ? Math.min(2, Math.max(0.5, width / naturalWidth)) : 1;
+                    // Tz (horizontal scale) is graphics state; scope it so later text is unaffected
+                    pdf.saveGraphicsState();
+                    pdf.text(text, x, y, { baseline: "middle", horizontalScale });
+                    pdf.restoreGraphicsState();
+
+                    if (/underline/.test(style.textDecorationLine || style.textDecoration || "")) {
+                        const underlineY = y + fontSizePx * 0.45 * PX_TO_MM;
+                        pdf.setDrawColor(color.r, color.g, color.b);
+                        pdf.setLineWidth(Math.max(fontSizePx / 16, 0.5) * PX_TO_MM);
+                        pdf.line(x, underlineY, x + width, underlineY);
+                    }
+                });
+            }
+
+            // Rotated, translucent watermark (watermark.js overlay), centred where the browser placed it
+            function drawVectorWatermark(pdf, element, origin) {
+                const rect = element.getBoundingClientRect();
+                if (!rect.width || !rect.height) return;
+                const centerX = (rect.left - origin.left + rect.width / 2) * PX_TO_MM;
+                const centerY = (rect.top - origin.top + rect.height / 2) * PX_TO_MM;
+                const rotation = parseFloat(element.dataset.rotation) || 0;
+                const radians = rotation * Math.PI / 180;
+                const cos = Math.cos(radians);
+                const sin = Math.sin(radians);
+
+                pdf.saveGraphicsState();
+                pdf.setGState(new pdf.GState({ opacity: parseFloat(element.dataset.opacity) }));
+
+                if (element.tagName === "IMG") {
+                    // jsPDF rotates images about a corner; bake the rotation into a canvas of the rotated bounds instead
+                    const width = element.offsetWidth;
+                    const height = element.offsetHeight;
+                    const canvas = document.createElement("canvas");
+                    canvas.width = Math.ceil(rect.width * 2);
+                    canvas.height = Math.ceil(rect.height * 2);
+                    const context = canvas.getContext("2d");
+                    context.scale(2, 2);
+                    context.translate(rect.width / 2, rect.height / 2);
+                    context.rotate(radians);
+                    try {
+                        context.drawImage(element, -width / 2, -height / 2, width, height);
+                        pdf.addImage(canvas, "PNG", centerX - rect.width * PX_TO_MM / 2, centerY - rect.height * PX_TO_MM / 2,
+                            rect.width * PX_TO_MM, rect.height * PX_TO_MM, undefined, "FAST");
+                    } catch (error) {
+                        console.warn("Vector engine could not embed watermark image:", element.src, error);
+                    }
+                } else {
+                    const style = window.getComputedStyle(element);
+                    const color = parseCssColor(style.color) || { r: 0, g: 0, b: 0 };
+                    const font = toStandardFont(style);
+                    const fontSizePx = parseFloat(style.fontSize) || 16;
+                    pdf.setFont(font.name, font.variant);
+                    pdf.setFontSize(fontSizePx * 0.75);
+                    pdf.setTextColor(color.r, color.g, color.b);
+
+                    // Start of the baseline: back half the text width along the text direction,
+                    // then down a third of the font size so the glyphs sit on the centre
+                    const text = element.textContent;
+                    const halfWidth = pdf.getTextWidth(text) / 2;
+                    const drop = fontSizePx * PX_TO_MM * 0.35;
+                    const x = centerX - halfWidth * cos - drop * sin;
+                    const y = centerY - halfWidth * sin + drop * cos;
+                    // jsPDF angles turn counter-clockwise, CSS rotate() turns clockwise
+                    pdf.text(text, x, y, { angle: -rotation });
+                }
+                pdf.restoreGraphicsState();
+            }
+
+            function drawVectorPage(pdf, page, origin) {
+                const walker = document.createTreeWalker(page, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+                    acceptNode(node) {
+                        if (node.nodeType === Node.TEXT_NODE) {
+                            if (!node.textContent.trim() || node.parentElement.closest("svg")) {
+                                return NodeFilter.FILTER_REJECT;
+                            }
+                            return NodeFilter.FILTER_ACCEPT;
+                        }
+                        // Drawn last, on top of the page, by drawVectorWatermark
+                        if (node.classList.contains("pagify-watermark")) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        const style = window.getComputedStyle(node);
+                        if (style.display === "none" || parseFloat(style.opacity) === 0) {
+                            return NodeFilter.FILTER_REJECT;
+                        }
+                        return NodeFilter.FILTER_ACCEPT;
+                    }
+                });
+
+                for (let node = walker.currentNode; node; node = walker.nextNode()) {
+                    if (node.nodeType === Node.TEXT_NODE) {
+                        drawVectorText(pdf, node, origin);
+                        continue;
+                    }
+                    const style = window.getComputedStyle(node);
+                    if (style.visibility !== "hidden") {
+                        drawVectorBox(pdf, node, style, origin);
+                        if (node.tagName === "IMG" || node.tagName === "CANVAS") {
+                            drawVectorImage(pdf, node, origin);
+                        }
+                    }
+                }
+
+                page.querySelectorAll(".pagify-watermark-content").forEach((element) => {
+                    drawVectorWatermark(pdf, element, origin);
+                });
+            }
+
+            // Register base64 TrueType fonts ({ normal, bold, ... }) as one embedded family
+            function registerEmbeddedFonts(pdf, fonts) {
+                const variants = Object.keys(fonts);
+                if (!variants.length) return;
+                variants.forEach((variant) => {
+                    const file = "pagify-embedded-" + variant + ".ttf";
+                    pdf.addFileToVFS(file, fonts[variant]);
+                    pdf.addFont(file, "PagifyEmbedded", variant);
+                });
+                embeddedFont = { name: "PagifyEmbedded", variants };
+            }
+
+            // Output engine: one PDF page per Paged.js page, sized to match it.
+            // fonts: base64 TrueType fonts by variant to embed instead of the standard fonts
+            // onPage(page, total): called after each page is drawn
+            async function renderVectorPdf(jsPDFOptions, { fonts = {}, onPage = null } = {}) {
+                const { jsPDF } = window.jspdf;
+                const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                if (!pages.length) {
+                    const error = new Error("No paginated pages found for vector output");
+                    error.code = "EMPTY_CONTENT";
+                    throw error;
+                }
+
+                let pdf = null;
+                pages.forEach((page, index) => {
+                    const origin = page.getBoundingClientRect();
+                    const { format, orientation } = getPageFormat(page);
+                    if (!pdf) {
+                        pdf = new jsPDF({ ...jsPDFOptions, unit: "mm", format, orientation });
+                        registerEmbeddedFonts(pdf, fonts);
+                    } else {
+                        pdf.addPage(format, orientation);
+                    }
+                    try {
+                        drawVectorPage(pdf, page, origin);
+                    } catch (error) {
+                        // Let the host report which page could not be drawn
+                        error.page = index + 1;
+                        error.element = page;
+                        throw error;
+                    }
+                    onPage?.(index + 1, pages.length);
+                });
+                return pdf;
+            }
+    `;
+}
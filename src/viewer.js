@@ -0,0 +1,308 @@
+/**
+ * Viewer controls for container previews (the `viewer` render option).
+ *
+ * Once the pages are laid out (and, in PDF mode, captured), the render iframe
+ * scales the `.pagedjs_pages` column to the requested zoom and adds a sidebar
+ * of page thumbnails. The host drives it through the job handle: commands go
+ * to the iframe as VIEWER_COMMAND messages, and the iframe answers each one,
+ * and every scroll onto another page, with a VIEWER_STATE message that the
+ * host turns into `pagechange` events. Zoom uses CSS transforms with margins
+ * making up the difference in layout size, since `zoom` is not in every
+ * supported browser.
+ */
+
+// Host -> iframe: { action, value } for the viewer
+export const VIEWER_COMMAND = 'PAGIFY_VIEWER';
+
+export const ZOOM_PRESETS = ['fit-width', 'fit-page'];
+
+// Percentage zoom bounds
+export const MIN_ZOOM = 10;
+export const MAX_ZOOM = 400;
+
+export const DEFAULT_VIEWER_OPTIONS = {
+    zoom: 'fit-width',
+    thumbnails: true,
+};
+
+/**
+ * Normalise a zoom level.
+ * @param {string|number} zoom - "fit-width", "fit-page", a percentage (125) or a percentage string ("125%")
+ * @returns {string|number} the preset, or the percentage as a number
+ * @throws {Error} on unknown presets and percentages outside MIN_ZOOM..MAX_ZOOM
+ */
+export function resolveZoom(zoom) {
+    if (ZOOM_PRESETS.includes(zoom)) return zoom;
+    const percent = typeof zoom === 'string' && /^\s*\d+(\.\d+)?%\s*$/.test(zoom) ? parseFloat(zoom) : zoom;
+    if (typeof percent !== 'number' || !isFinite(percent) || percent < MIN_ZOOM || percent > MAX_ZOOM) {
+        throw new Error(`Invalid viewer zoom "${zoom}", expected ${ZOOM_PRESETS.join(', ')} or a percentage from ${MIN_ZOOM} to ${MAX_ZOOM}`);
+    }
+    return percent;
+}
+
+/**
+ * Normalise the `viewer` render option.
+ * @param {boolean|Object} viewer - `true` for the defaults, or overrides of DEFAULT_VIEWER_OPTIONS
+ * @returns {Object|null} resolved options, or null when disabled
+ * @throws {Error} on a malformed option or an invalid zoom
+ */
+export function resolveViewerOptions(viewer) {
+    if (!viewer) return null;
+    if (viewer !== true && typeof viewer !== 'object') {
+        throw new Error('viewer must be true or an object of { zoom, thumbnails }');
+    }
+    const { zoom, thumbnails } = { ...DEFAULT_VIEWER_OPTIONS, ...(viewer === true ? {} : viewer) };
+    return { zoom: resolveZoom(zoom), thumbnails: Boolean(thumbnails) };
+}
+
+/**
+ * CSS for the thumbnail sidebar.
+ * @returns {string}
+ */
+export function getViewerCSS() {
+    return `
+                        .pagify-viewer-thumbnails {
+                            position: fixed;
+                            top: 0;
+                            bottom: 0;
+                            left: 0;
+                            width: 160px;
+                            box-sizing: border-box;
+                            padding: 12px 0;
+                            overflow-y: auto;
+                            background: #f1f3f5;
+                            border-right: 1px solid #dadee3;
+                            z-index: 100;
+                            gap: 12px;
+                            counter-reset: page 0 pages var(--pagedjs-page-count);
+                        }
+
+                        /* Paged.js scopes these page styles to .pagedjs_pages, which the thumbnails are kept out of */
+                        .pagify-viewer-thumbnails .pagedjs_pagebox .pagedjs_margin:not(.hasContent) {
+                            visibility: hidden;
+                        }
+
+                        .pagify-viewer-thumbnails .pagedjs_margin .pagedjs_margin-content {
+                            width: 100%;
+                        }
+
+                        .pagify-viewer-thumbnails .pagedjs_margin-left .pagedjs_margin-content::after,
+                        .pagify-viewer-thumbnails .pagedjs_margin-top .pagedjs_margin-content::after,
+                        .pagify-viewer-thumbnails .pagedjs_margin-right .pagedjs_margin-content::after,
+                        .pagify-viewer-thumbnails .pagedjs_margin-bottom .pagedjs_margin-content::after {
+                            display: block;
+                        }
+
+                        .pagify-viewer-thumbnail {
+                            display: flex;
+                            flex-direction: column;
+                            align-items: center;
+                            gap: 4px;
+                            padding: 4px;
+                            border: 2px solid transparent;
+                            border-radius: 4px;
+                            background: none;
+                            font: 12px Helvetica, Arial, sans-serif;
+                            color: #495057;
+                            cursor: pointer;
+                        }
+
+                        .pagify-viewer-thumbnail[aria-current="page"] {
+                            border-color: #228be6;
+                        }
+
+                        .pagify-viewer-thumbnail-page {
+                            overflow: hidden;
+                            background: #ffffff;
+                            box-shadow: 0 1px 3px rgba(0, 0, 0, 0.2);
+                            pointer-events: none;
+                        }
+    `;
+}
+
+/**
+ * Script defining `startViewer()`, which sets up zoom, page tracking and the
+ * thumbnails on the paginated document, reports its state with
+ * postToHost({ type: "VIEWER_STATE", ... }) and then follows VIEWER_COMMAND
+ * messages from the host.
+ * @param {Object} viewer - Resolved viewer options (see resolveViewerOptions)
+ * @returns {string}
+ */
+export function getViewerScript(viewer) {
+    return `
+            const viewerOptions = ${JSON.stringify(viewer)};
+
+            function startViewer() {
+                const pagesArea = document.querySelector(".pagedjs_pages");
+                const pages = Array.from(document.querySelectorAll(".pagedjs_pages > .pagedjs_page"));
+                if (!pagesArea || !pages.length) return;
+
+                const root = document.documentElement;
+                const gutter = 16;
+                const thumbnailWidth = 120;
+                let zoom = viewerOptions.zoom;
+                let showThumbnails = viewerOptions.thumbnails;
+                let scale = 1;
+                let page = 1;
+                // Set by scrollToY so the scroll it causes does not re-derive the page
+                let settling = false;
+
+                // Thumbnails are clones of the laid-out pages, scaled down. The sidebar is not a
+                // .pagedjs_pages, so the clones stay out of queries and styles aimed at the document's
+                // pages; getViewerCSS() carries over the page styles and counters Paged.js scopes to it
+                const sidebar = document.createElement("aside");
+                sidebar.className = "pagify-viewer-thumbnails";
+                sidebar.style.setProperty("--pagedjs-page-count", pages.length);
+                const thumbnails = pages.map((source, index) => {
+                    const clone = source.cloneNode(true);
+                    clone.removeAttribute("id");
+                    clone.querySelectorAll("[id]").forEach((element) => element.removeAttribute("id"));
+                    const ratio = thumbnailWidth / (source.offsetWidth || 1);
+                    clone.style.transformOrigin = "0 0";
+                    clone.style.transform = "scale(" + ratio + ")";
+                    clone.style.margin = "0";
+
+                    const frame = document.createElement("div");
+                    frame.className = "pagify-viewer-thumbnail-page";
+                    frame.style.width = thumbnailWidth + "px";
+                    frame.style.height = Math.round(source.offsetHeight * ratio) + "px";
+                    frame.appendChild(clone);
+
+                    const thumbnail = document.createElement("button");
+                    thumbnail.type = "button";
+                    thumbnail.className = "pagify-viewer-thumbnail";
+                    thumbnail.dataset.page = index + 1;
+                    thumbnail.append(frame, String(index + 1));
+                    thumbnail.addEventListener("click", () => goToPage(index + 1));
+                    sidebar.appendChild(thumbnail);
+                    return thumbnail;
+                });
+                document.body.appendChild(sidebar);
+
+                const report = () => postToHost({
+                    type: "VIEWER_STATE",
+                    page,
+                    totalPages: pages.length,
+                    zoom,
+                    scale: Math.round(scale * 100),
+                    thumbnails: showThumbnails,
+                });
+
+                // A scroll to where the window already is fires no scroll event, so only a real move
+                // sets the flag, and the next frame clears it in case the browser clamped the move away
+                const scrollToY = (y) => {
+                    if (Math.round(y) === Math.round(window.scrollY)) return;
+                    settling = true;
+                    window.scrollTo(window.scrollX, y);
+                    requestAnimationFrame(() => {
+                        settling = false;
+                    });
+                };
+
+                const setPage = (next) => {
+                    if (next === page && thumbnails[page - 1].hasAttribute("aria-current")) return false;
+                    thumbnails[page - 1].removeAttribute("aria-current");
+                    page = next;
+                    const current = thumbnails[page - 1];
+                    current.setAttribute("aria-current", "page");
+                    // Keep the current thumbnail in the sidebar's view, without scrolling the host page
+                    if (current.offsetTop < sidebar.scrollTop || current.offsetTop + current.offsetHeight > sidebar.scrollTop + sidebar.clientHeight) {
+                        sidebar.scrollTop = current.offsetTop - gutter;
+                    }
+                    return true;
+                };
+
+                // The last page whose top is above the upper third of the view; the last page at the very bottom
+                const visiblePage = () => {
+                    if (window.scrollY > 0 && window.scrollY + root.clientHeight >= root.scrollHeight - 1) return pages.length;
+                    const line = root.clientHeight / 3;
+                    let low = 0;
+                    let high = pages.length - 1;
+                    while (low < high) {
+                        const middle = Math.ceil((low + high) / 2);
+                        if (pages[middle].getBoundingClientRect().top <= line) {
+                            low = middle;
+                        } else {
+                            high = middle - 1;
+                        }
+                    }
+                    return low + 1;
+                };
+
+                const layout = () => {
+                    const anchor = pages[page - 1].getBoundingClientRect();
+                    const within = anchor.height ? -anchor.top / anchor.height : 0;
+
+                    sidebar.style.display = showThumbnails ? "" : "none";
+                    const sidebarWidth = showThumbnails ? sidebar.offsetWidth : 0;
+                    const width = Math.max(...pages.map((item) => item.offsetWidth)) || 1;
+                    const height = Math.max(...pages.map((item) => item.offsetHeight)) || 1;
+                    const available = root.clientWidth - sidebarWidth - 2 * gutter;
+                    const fitWidth = available / width;
+                    scale = zoom === "fit-width" ? fitWidth
+                        : zoom === "fit-page" ? Math.min(fitWidth, (root.clientHeight - 2 * gutter) / height)
+                        : zoom / 100;
+                    scale = Math.max(scale, ${MIN_ZOOM / 100});
+
+                    // A transform leaves the layout size alone, so margins make up the difference
+                    pagesArea.style.width = width + "px";
+                    pagesArea.style.transformOrigin = "0 0";
+                    pagesArea.style.transform = "scale(" + scale + ")";
+                    pagesArea.style.marginTop = gutter + "px";
+                    pagesArea.style.marginLeft = sidebarWidth + Math.max(gutter, (available + 2 * gutter - width * scale) / 2) + "px";
+                    pagesArea.style.marginRight = (scale - 1) * width + gutter + "px";
+                    pagesArea.style.marginBottom = (scale - 1) * pagesArea.offsetHeight + gutter + "px";
+
+                    // Stay at the same point of the current page
+                    const moved = pages[page - 1].getBoundingClientRect();
+                    scrollToY(window.scrollY + moved.top + within * moved.height);
+                };
+
+                const goToPage = (target) => {
+                    const next = Math.min(Math.max(Math.round(target) || 1, 1), pages.length);
+                    scrollToY(window.scrollY + pages[next - 1].getBoundingClientRect().top - gutter);
+                    setPage(next);
+                    report();
+                };
+
+                window.addEventListener("scroll", () => {
+                    if (settling) {
+                        settling = false;
+                        return;
+                    }
+                    if (setPage(visiblePage())) report();
+                }, { passive: true });
+
+                window.addEventListener("resize", () => {
+                    const before = scale;
+                    layout();
+                    if (scale !== before) report();
+                });
+
+                window.addEventListener("message", (event) => {
+                    if (event.source !== window.parent || event.data?.type !== ${JSON.stringify(VIEWER_COMMAND)}) return;
+                    const { action, value } = event.data;
+                    if (action === "zoom") {
+                        zoom = value;
+                        layout();
+                        report();
+                    } else if (action === "thumbnails") {
+                        showThumbnails = value ?? !showThumbnails;
+                        layout();
+                        report();
+                    } else if (action === "goToPage") {
+                        goToPage(value);
+                    } else if (action === "nextPage") {
+                        goToPage(page + 1);
+                    } else if (action === "previousPage") {
+                        goToPage(page - 1);
+                    }
+                });
+
+                root.classList.add("pagify-viewer");
+                setPage(1);
+                layout();
+                report();
+            }
+    `;
+}
@@ -0,0 +1,174 @@
+/**
+ * Watermarks and stamps ("DRAFT", "COPY", "VOID") laid over paginated pages.
+ *
+ * After Paged.js pagination, the render iframe adds a `.pagify-watermark`
+ * overlay to each selected `.pagedjs_page`, so the stamp shows in the preview
+ * and is captured by the raster engine. The vector engine skips the overlay in
+ * its DOM walk and draws it natively instead (see `drawVectorWatermark` in
+ * vectorEngine.js), because it does not render CSS transforms or opacity.
+ */
+
+import { inlineJson } from './assets.js';
+
+// Flex alignment ([vertical, horizontal]) of the stamp inside its page overlay
+export const WATERMARK_POSITIONS = {
+    center: ['center', 'center'],
+    top: ['flex-start', 'center'],
+    bottom: ['flex-end', 'center'],
+    left: ['center', 'flex-start'],
+    right: ['center', 'flex-end'],
+    'top-left': ['flex-start', 'flex-start'],
+    'top-right': ['flex-start', 'flex-end'],
+    'bottom-left': ['flex-end', 'flex-start'],
+    'bottom-right': ['flex-end', 'flex-end'],
+};
+
+export const DEFAULT_WATERMARK = {
+    text: null,
+    image: null,
+    opacity: 0.15,
+    rotation: -45,
+    position: 'center',
+    pages: 'all',
+    color: '#000000',
+    fontSize: '96px',
+    width: '60%',
+};
+
+function normalizePages(pages) {
+    if (pages === 'all' || pages === 'first' || pages === 'last') return pages;
+    if (pages && typeof pages === 'object' && !Array.isArray(pages)) {
+        const { from = 1, to = null } = pages;
+        if (!Number.isInteger(from) || from < 1 || (to !== null && (!Number.isInteger(to) || to < from))) {
+            throw new Error(`Invalid watermark page range { from: ${from}, to: ${to} }`);
+        }
+        return { from, to };
+    }
+    throw new Error(`Invalid watermark pages "${pages}", expected "all", "first", "last" or { from, to }`);
+}
+
+function normalizeWatermark(watermark) {
+    const options = typeof watermark === 'string' ? { text: watermark } : watermark;
+    if (!options || typeof options !== 'object') {
+        throw new Error('watermark must be a string, an object or an array of them');
+    }
+
+    const resolved = { ...DEFAULT_WATERMARK, ...options };
+    if (!resolved.text === !resolved.image) {
+        throw new Error('watermark needs either text or image');
+    }
+    if (typeof resolved.opacity !== 'number' || resolved.opacity < 0 || resolved.opacity > 1) {
+        throw new Error(`Invalid watermark opacity "${resolved.opacity}", expected a number from 0 to 1`);
+    }
+    if (typeof resolved.rotation !== 'number' || !isFinite(resolved.rotation)) {
+        throw new Error(`Invalid watermark rotation "${resolved.rotation}", expected degrees`);
+    }
+    if (!WATERMARK_POSITIONS[resolved.position]) {
+        throw new Error(`Unknown watermark position "${resolved.position}", expected one of: ${Object.keys(WATERMARK_POSITIONS).join(', ')}`);
+    }
+    resolved.pages = normalizePages(resolved.pages);
+    return resolved;
+}
+
+/**
+ * Normalise the `watermark` render option.
+ * @param {string|Object|Array<string|Object>|null} watermark - Text shorthand, options (see DEFAULT_WATERMARK) or a list of them
+ * @returns {Object[]} resolved watermarks, empty when disabled
+ * @throws {Error} on missing content, out-of-range opacity, unknown positions or bad page filters
+ */
+export function resolveWatermarks(watermark) {
+    if (!watermark) return [];
+    return (Array.isArray(watermark) ? watermark : [watermark]).map(normalizeWatermark);
+}
+
+/**
+ * CSS for the watermark overlays.
+ * @returns {string}
+ */
+export function getWatermarkCSS() {
+    return `
+                        .pagedjs_page {
+                            position: relative;
+                        }
+
+                        .pagify-watermark {
+                            position: absolute;
+                            inset: 0;
+                            z-index: 10;
+                            display: flex;
+                            flex-direction: column;
+                            padding: 15mm;
+                            box-sizing: border-box;
+                            overflow: hidden;
+                            pointer-events: none;
+                        }
+
+                        .pagify-watermark-content {
+                            font-family: Helvetica, Arial, sans-serif;
+                            font-weight: bold;
+                            line-height: 1;
+                            white-space: nowrap;
+                        }
+    `;
+}
+
+/**
+ * Script defining `applyWatermarks()`, which adds the overlays to the selected
+ * pages and resolves once image watermarks have loaded.
+ * @param {Object[]} watermarks - Resolved watermarks (see resolveWatermarks)
+ * @returns {string}
+ */
+export function getWatermarkScript(watermarks = []) {
+    return `
+            const watermarks = ${inlineJson(watermarks)};
+            const watermarkPositions = ${JSON.stringify(WATERMARK_POSITIONS)};
+
+            function watermarkOnPage(pages, pageNumber, total) {
+                if (pages === "all") return true;
+                if (pages === "first") return pageNumber === 1;
+                if (pages === "last") return pageNumber === total;
+                return pageNumber >= pages.from && (pages.to === null || pageNumber <= pages.to);
+            }
+
+            function createWatermark(watermark) {
+                const [vertical, horizontal] = watermarkPositions[watermark.position];
+                const overlay = document.createElement("div");
+                overlay.className = "pagify-watermark";
+                overlay.style.justifyContent = vertical;
+                overlay.style.alignItems = horizontal;
+
+                const content = document.createElement(watermark.image ? "img" : "div");
+                content.className = "pagify-watermark-content";
+                content.dataset.opacity = watermark.opacity;
+                content.dataset.rotation = watermark.rotation;
+                content.style.opacity = watermark.opacity;
+                content.style.transform = "rotate(" + watermark.rotation + "deg)";
+                if (watermark.image) {
+                    content.src = watermark.image;
+                    content.style.width = watermark.width;
+                } else {
+                    content.textContent = watermark.text;
+                    content.style.color = watermark.color;
+                    content.style.fontSize = watermark.fontSize;
+                }
+                overlay.appendChild(content);
+                return overlay;
+            }
+
+            async function applyWatermarks() {
+                const pages = Array.from(document.querySelectorAll(".pagedjs_page"));
+                const images = [];
+                pages.forEach((page, index) => {
+                    watermarks.forEach((watermark) => {
+                        if (!watermarkOnPage(watermark.pages, index + 1, pages.length)) return;
+                        const overlay = createWatermark(watermark);
+                        page.appendChild(overlay);
+                        if (watermark.image) images.push(overlay.firstChild);
+                    });
+                });
+                await Promise.all(images.map((image) => image.decode().catch((error) => {
+                    console.warn("Watermark image could not be loaded:", image.src, error);
+                })));
+            }
+    `;
+}
@@ -0,0 +1,62 @@
+/**
+ * Warm worker iframe for headless renders (the `worker` option).
+ *
+ * Without it every headless render gets a fresh iframe that loads Paged.js
+ * and the PDF library again and waits for its fonts. With it, the iframe of a
+ * successful render is kept, and the next render's document is posted to it.
+ * The iframe swaps its document in place with document.open(), which resets
+ * the DOM, styles and event listeners but keeps the window, so the libraries
+ * stay loaded and fonts come from the memory cache. A worker whose render
+ * fails, times out or is cancelled is removed; the next render starts a new one.
+ *
+ * Because the window outlives each document, the render script keeps its
+ * declarations inside a block, and Paged.js handlers registered by the last
+ * render are dropped before the next registers its own.
+ */
+
+import { DEFAULT_ASSET_URLS } from './assets.js';
+
+// Host -> worker: replace the document with `html`
+export const WORKER_LOAD = 'PAGIFY_WORKER_LOAD';
+
+/**
+ * State of one worker iframe. The iframe is created by its first render, in
+ * `container` (document.body when null), and loaded with that render's assets.
+ * @param {Element|null} [container]
+ * @returns {{iframe: HTMLIFrameElement|null, container: Element|null, assets: Object|null, libraries: Set<string>, jobId: string|null, retired: boolean}}
+ */
+export function createWorker(container = null) {
+    return { iframe: null, container, assets: null, libraries: new Set(), jobId: null, retired: false };
+}
+
+/**
+ * Whether two resolveAssets results load the same libraries, so a worker
+ * started with one can serve renders asking for the other.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameAssets(a, b) {
+    return Object.keys(DEFAULT_ASSET_URLS).every((name) => a[name]?.url === b[name]?.url && a[name]?.source === b[name]?.source);
+}
+
+/**
+ * Script for a worker document: waits for the next document from the host.
+ * Every worker document includes it, since document.open() removes the
+ * listener along with the rest of the page's.
+ * @returns {string}
+ */
+export function getWorkerScript() {
+    return `
+            // PDFs made here already reached the host as Blobs; their URLs go with the document
+            window.pagifyWorkerBlobUrls = window.pagifyWorkerBlobUrls || [];
+
+            window.addEventListener("message", (event) => {
+                if (event.source !== window.parent || event.data?.type !== ${JSON.stringify(WORKER_LOAD)}) return;
+                window.pagifyWorkerBlobUrls.splice(0).forEach((url) => URL.revokeObjectURL(url));
+                document.open();
+                document.write(event.data.html);
+                document.close();
+            });
+    `;
+}
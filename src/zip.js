@@ -0,0 +1,106 @@
+/**
+ * Minimal ZIP writer for batch output.
+ *
+ * Entries are stored without compression: PDFs are already compressed, so
+ * deflating them again costs time for almost no size gain.
+ */
+
+import { encodeUtf8 } from './bytes.js';
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 (as used by ZIP) of some bytes.
+ * @param {Uint8Array} bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields, in local time as ZIP tools expect
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Build a ZIP archive from in-memory files.
+ * @param {Array<{name: string, data: Uint8Array}>} files - Entry names (may contain "/" for folders) and contents
+ * @param {Date} [date] - Modification time written for every entry
+ * @returns {Uint8Array} archive bytes
+ */
+export function createZip(files, date = new Date()) {
+    const stamp = dosDateTime(date);
+    const entries = files.map(({ name, data }) => ({ name: encodeUtf8(name), data, crc: crc32(data) }));
+
+    const localSize = entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(output.buffer);
+    let offset = 0;
+
+    // Shared fields of local and central headers: version, UTF-8 flag, stored, time, date, crc, sizes, name length
+    const writeEntryFields = (entry) => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, stamp.time, true);
+        view.setUint16(offset + 8, stamp.date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        offset += 24;
+    };
+
+    entries.forEach((entry) => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        offset += 4;
+        writeEntryFields(entry);
+        // No extra field
+        offset += 2;
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+        output.set(entry.data, offset);
+        offset += entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach((entry) => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeEntryFields(entry);
+        // Extra and comment lengths, disk number, internal and external attributes stay zero
+        offset += 12;
+        view.setUint32(offset, entry.offset, true);
+        offset += 4;
+        output.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return output;
+}
@@ -0,0 +1,52 @@
+import { PagifyError, toPagifyError, reviveError, getErrorScript } from '../src/errors.js';
+import { TemplateError } from '../src/template.js';
+
+const loadScript = () => new Function(`${getErrorScript()}; return { pagifyFailure, describeElement, serializeFailure };`)();
+
+describe('Errors', () => {
+    test('should keep PagifyErrors and wrap anything else', () => {
+        const template = new TemplateError('Unclosed {{#if}}', { template: 'body', line: 2, column: 1 });
+        expect(template).toBeInstanceOf(PagifyError);
+        expect(toPagifyError(template, { code: 'INVALID_OPTIONS', jobId: 'job-1' })).toMatchObject({ code: 'TEMPLATE', stage: 'setup', jobId: 'job-1' });
+
+        const cause = new Error('Unknown margin box "middle"');
+        const wrapped = toPagifyError(cause, { code: 'INVALID_OPTIONS', stage: 'setup', jobId: 'job-2' });
+        expect(wrapped).toMatchObject({ name: 'PagifyError', message: cause.message, code: 'INVALID_OPTIONS', stage: 'setup', jobId: 'job-2' });
+        expect(wrapped.cause).toBe(cause);
+    });
+
+    test('should serialize iframe failures and revive them on the host', () => {
+        const { pagifyFailure, serializeFailure } = loadScript();
+        const page = document.createElement('div');
+        page.id = 'page-2';
+        page.className = 'pagedjs_page pagedjs_left_page pagedjs_named_page';
+
+        const payload = serializeFailure(
+            pagifyFailure('CANVAS', 'Could not capture page 2', { page: 2, element: page, cause: new TypeError('tainted') }),
+            'PDF_GENERATION',
+            'pdf',
+        );
+        expect(payload).toEqual({
+            code: 'CANVAS',
+            message: 'Could not capture page 2',
+            stage: 'pdf',
+            page: 2,
+            element: 'div#page-2.pagedjs_page.pagedjs_left_page',
+            cause: { name: 'TypeError', message: 'tainted' },
+        });
+
+        const error = reviveError(payload, 'job-3');
+        expect(error).toBeInstanceOf(PagifyError);
+        expect(error).toMatchObject({ code: 'CANVAS', stage: 'pdf', jobId: 'job-3', page: 2, element: payload.element });
+        expect(error.cause).toMatchObject({ name: 'TypeError', message: 'tainted' });
+    });
+
+    test('should fall back to the given code for unclassified failures', () => {
+        const { serializeFailure } = loadScript();
+
+        expect(serializeFailure(new Error('addImage failed'), 'PDF_GENERATION', 'pdf'))
+            .toMatchObject({ code: 'PDF_GENERATION', message: 'addImage failed', page: null, element: null, cause: null });
+        expect(reviveError('boom', 'job-4')).toMatchObject({ code: 'PDF_GENERATION', message: 'boom', jobId: 'job-4' });
+        expect(reviveError({ code: 'NOPE', message: 'x' }, 'job-5').code).toBe('PDF_GENERATION');
+    });
+});
@@ -0,0 +1,78 @@
+import { resolveHooks, mergeHooks, getHooksScript } from '../src/hooks.js';
+import { getErrorScript } from '../src/errors.js';
+
+const loadScript = (hooks) => new Function(`${getErrorScript()}${getHooksScript(hooks)}; return { pagifyHooks, runHooks };`)();
+
+describe('Hooks', () => {
+    test('should serialize functions, arrows, methods and source strings', () => {
+        const hooks = { afterRendered(pages) { return pages.length; } };
+        const resolved = resolveHooks({
+            afterRendered: hooks.afterRendered,
+            beforePdf: [
+                'async beforePdf(pages) { return pages; }',
+                'afterLayout(page) { return page; }',
+                (pages) => pages,
+                'function (pages) { return pages; }',
+            ],
+            beforeParsed: null,
+        });
+
+        expect(resolved.afterRendered[0].source).toMatch(/^function afterRendered\(pages\)/);
+        expect(resolved.beforePdf.slice(0, 2)).toEqual([
+            { source: 'async function beforePdf(pages) { return pages; }', plugin: null },
+            { source: 'function afterLayout(page) { return page; }', plugin: null },
+        ]);
+        expect(resolved.beforePdf).toHaveLength(4);
+        expect(resolved).not.toHaveProperty('beforeParsed');
+        expect(resolveHooks(null)).toEqual({});
+    });
+
+    test('should reject unknown hooks and values that are not functions', () => {
+        expect(() => resolveHooks({ afterPaginate() {} })).toThrow('Unknown hook "afterPaginate"');
+        expect(() => resolveHooks({ beforePdf: 42 })).toThrow('hooks.beforePdf must be a function');
+        expect(() => resolveHooks({ beforePdf: Math.max })).toThrow('cannot be a native or bound function');
+        expect(() => resolveHooks({ beforePdf: 'document.body.remove()' })).toThrow('hooks.beforePdf is not function source');
+        expect(() => resolveHooks([() => {}])).toThrow('hooks must be an object');
+        expect(() => resolveHooks({ afterLayout() {} }, 'signature')).toThrow('Plugin "signature": unknown hook "afterLayout"');
+    });
+
+    test('should merge hooks in order', () => {
+        const merged = mergeHooks([
+            resolveHooks({ afterPageLayout: 'function () {}' }, 'first'),
+            resolveHooks({ afterPageLayout: 'function () {}', beforePdf: 'function () {}' }),
+        ]);
+
+        expect(merged.afterPageLayout.map(({ plugin }) => plugin)).toEqual(['first', null]);
+        expect(merged.beforePdf).toHaveLength(1);
+    });
+
+    test('should run hooks in order and name the one that failed', async () => {
+        const { runHooks } = loadScript(resolveHooks({
+            beforePdf: [
+                (calls) => { calls.push('first'); },
+                async (calls) => { calls.push('second'); },
+            ],
+            afterRendered: () => { throw new Error('no signature block'); },
+        }));
+        const calls = [];
+
+        await runHooks('beforePdf', calls);
+        await runHooks('afterParsed', calls);
+        expect(calls).toEqual(['first', 'second']);
+        await expect(runHooks('afterRendered', [])).rejects.toMatchObject({
+            code: 'HOOK',
+            message: 'afterRendered hook failed: no signature block',
+        });
+
+        const plugins = loadScript(resolveHooks({ beforePdf: () => { throw new Error('x'); } }, 'signature'));
+        await expect(plugins.runHooks('beforePdf', [])).rejects.toThrow('signature plugin beforePdf hook failed: x');
+    });
+
+    test('should keep script-closing text in hook source inert', () => {
+        const script = getHooksScript(resolveHooks({ beforePdf: () => '</script>' }));
+        expect(script).not.toContain('</script>');
+
+        const named = getHooksScript({ beforePdf: [{ source: '() => {}', plugin: '</script><script>window.pwned = 1</script>' }] });
+        expect(named).not.toContain('</script>');
+    });
+});
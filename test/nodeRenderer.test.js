@@ -0,0 +1,157 @@
+import { createNodeRenderer, toPageOptions } from '../src/nodeRenderer.js';
+import { PagifyError } from '../src/errors.js';
+
+// Stands in for the browser SDK loaded into the page
+const sdks = [];
+class FakeSDK {
+    constructor(config) {
+        this.config = config;
+        this.used = [];
+        this.calls = [];
+        this.respond = async () => ({ blob: new Blob(['%PDF-1.4 test']), blobUrl: null, totalPages: 2, durationMs: 5, filename: 'report.pdf' });
+        sdks.push(this);
+    }
+
+    use(plugin, options) {
+        this.used.push([plugin, options]);
+    }
+
+    renderHeadless(options, control) {
+        this.calls.push(options);
+        return this.respond(options, control);
+    }
+}
+
+// A puppeteer-like browser whose page runs evaluated functions in this (jsdom) window,
+// with arguments and results crossing as JSON as they would over the DevTools protocol
+const createFakeBrowser = () => {
+    const page = {
+        setContent: jest.fn(async () => {}),
+        addScriptTag: jest.fn(async () => {}),
+        exposeFunction: jest.fn(async (name, fn) => {
+            window[name] = fn;
+        }),
+        evaluate: jest.fn(async (fn, arg) => JSON.parse(JSON.stringify(await fn(JSON.parse(JSON.stringify(arg))) ?? null))),
+        close: jest.fn(async () => {}),
+    };
+    return { page, newPage: jest.fn(async () => page), close: jest.fn(async () => {}) };
+};
+
+describe('Node renderer', () => {
+    beforeEach(() => {
+        sdks.length = 0;
+        window.Pagify = { PagifySDK: FakeSDK };
+    });
+
+    test('should render in the page and resolve with a Buffer', async () => {
+        const browser = createFakeBrowser();
+        const renderer = createNodeRenderer({ browser, sdkSource: '/* sdk */', config: { timeoutMs: 1000 } });
+
+        const result = await renderer.render({ body_html: '<p>Hi</p>', filename: 'report.pdf' });
+
+        expect(Buffer.isBuffer(result.pdf)).toBe(true);
+        expect(result.pdf.toString()).toBe('%PDF-1.4 test');
+        expect(result).toMatchObject({ filename: 'report.pdf', totalPages: 2, durationMs: 5 });
+        expect(browser.page.addScriptTag).toHaveBeenCalledWith({ content: '/* sdk */' });
+        expect(sdks[0].config).toEqual({ timeoutMs: 1000 });
+        expect(sdks[0].calls[0]).toEqual({ body_html: '<p>Hi</p>', filename: 'report.pdf' });
+
+        const pdf = await renderer.generatePDF({ body_html: '<p>Again</p>' });
+        expect(pdf.toString()).toBe('%PDF-1.4 test');
+        expect(browser.newPage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send hooks and plugins as source and keep callbacks in Node', () => {
+        const pageOptions = toPageOptions({
+            body_html: 'x',
+            hooks: { beforePdf: (pages) => pages.length },
+            plugins: ['overflowContent', { name: 'stamp', hooks: { afterRendered: 'function () {}' }, css: '.a {}' }],
+            onPdfReady: () => {},
+            signal: new AbortController().signal,
+            containerSelector: '#preview',
+        });
+
+        expect(Object.keys(pageOptions)).toEqual(['body_html', 'hooks', 'plugins']);
+        expect(pageOptions.hooks.beforePdf).toEqual([expect.stringMatching(/pages\.length/)]);
+        expect(pageOptions.plugins).toEqual(['overflowContent', { name: 'stamp', hooks: { afterRendered: ['function () {}'] }, css: '.a {}' }]);
+    });
+
+    test('should reject bad options before starting the browser', async () => {
+        const browser = createFakeBrowser();
+        const renderer = createNodeRenderer({ browser, sdkSource: '' });
+
+        await expect(renderer.render({ hooks: { beforeRender: () => {} } }))
+            .rejects.toMatchObject({ name: 'PagifyError', code: 'INVALID_OPTIONS', stage: 'setup' });
+        expect(browser.newPage).not.toHaveBeenCalled();
+    });
+
+    test('should deliver progress from the page', async () => {
+        const browser = createFakeBrowser();
+        const renderer = createNodeRenderer({ browser, sdkSource: '' });
+        await renderer.render({});
+        sdks[0].respond = async (options) => {
+            options.onProgress({ jobId: 'job-1', stage: 'fonts', page: null, total: null });
+            return { blob: new Blob(['%PDF']), blobUrl: null, totalPages: 1, durationMs: 1, filename: 'document.pdf' };
+        };
+
+        const onProgress = jest.fn();
+        await renderer.render({ onProgress });
+
+        expect(onProgress).toHaveBeenCalledWith({ jobId: 'job-1', stage: 'fonts', page: null, total: null });
+    });
+
+    test('should rebuild page failures as PagifyErrors', async () => {
+        const renderer = createNodeRenderer({ browser: createFakeBrowser(), sdkSource: '' });
+        await renderer.render({});
+        sdks[0].respond = async () => {
+            const error = new PagifyError('afterRendered hook failed: boom', { code: 'HOOK', stage: 'pagination', jobId: 'job-2', cause: new TypeError('boom') });
+            error.page = 3;
+            throw error;
+        };
+
+        const error = await renderer.render({}).catch((err) => err);
+
+        expect(error).toBeInstanceOf(PagifyError);
+        expect(error).toMatchObject({ message: 'afterRendered hook failed: boom', code: 'HOOK', stage: 'pagination', jobId: 'job-2', page: 3 });
+        expect(error.cause).toMatchObject({ name: 'TypeError', message: 'boom' });
+    });
+
+    test('should cancel the page render when the signal aborts', async () => {
+        const renderer = createNodeRenderer({ browser: createFakeBrowser(), sdkSource: '' });
+        await renderer.render({});
+        sdks[0].respond = (options, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('Render cancelled'), { name: 'AbortError' })));
+        });
+
+        const controller = new AbortController();
+        const done = renderer.render({ signal: controller.signal });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        controller.abort();
+
+        await expect(done).rejects.toMatchObject({ name: 'AbortError' });
+        await expect(renderer.render({ signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should register plugins in the page', async () => {
+        const renderer = createNodeRenderer({ browser: createFakeBrowser(), sdkSource: '' });
+        renderer.use({ name: 'stamp', hooks: { beforePdf: () => {} } }, { enabled: false });
+
+        expect(() => renderer.use({ name: 'stamp' })).toThrow('Plugin "stamp" is already registered');
+        expect(() => renderer.use({ name: 'overflowContent' })).toThrow('already registered');
+
+        await renderer.render({});
+        expect(sdks[0].used).toEqual([[{ name: 'stamp', hooks: { beforePdf: [expect.any(String)] } }, { enabled: false }]]);
+    });
+
+    test('should close its page but leave a passed browser open', async () => {
+        const browser = createFakeBrowser();
+        const renderer = createNodeRenderer({ browser, sdkSource: '' });
+        await renderer.render({});
+
+        await renderer.close();
+
+        expect(browser.page.close).toHaveBeenCalled();
+        expect(browser.close).not.toHaveBeenCalled();
+        await expect(renderer.render({})).rejects.toThrow('Renderer is closed');
+    });
+});
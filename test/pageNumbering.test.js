@@ -0,0 +1,90 @@
+import { getPageNumberingScript, validatePageNumbering, DEFAULT_PAGE_NUMBER_TEMPLATE } from '../src/pageNumbering.js';
+
+// Evaluate the iframe script against the current document
+function loadNumbering(options) {
+    const script = getPageNumberingScript({ format: 'decimal', template: DEFAULT_PAGE_NUMBER_TEMPLATE, start: 1, ...options });
+    return new Function(`${script}; return { fillPagePlaceholders, getPageNumbers: () => pageNumbers };`)();
+}
+
+function buildPages(contents) {
+    document.body.innerHTML = contents.map((content) => `
+        <div class="pagedjs_page">
+            <div class="pagedjs_margin-bottom-center">
+                <span class="pageNumber"></span>/<span class="totalPages"></span> <span class="pageLabel"></span>
+            </div>
+            <div class="pagedjs_page_content">${content}</div>
+        </div>
+    `).join('');
+    return Array.from(document.querySelectorAll('.pagedjs_page'));
+}
+
+const footerText = (page) => page.querySelector('.pagedjs_margin-bottom-center').textContent.replace(/\s+/g, ' ').trim();
+
+describe('Page numbering', () => {
+    test('should fill placeholders on every page', () => {
+        const pages = buildPages(['a', 'b', 'c']);
+        loadNumbering().fillPagePlaceholders();
+
+        expect(pages.map(footerText)).toEqual(['1/3 Page 1 of 3', '2/3 Page 2 of 3', '3/3 Page 3 of 3']);
+    });
+
+    test('should apply format, template and start offset', () => {
+        const pages = buildPages(['a', 'b']);
+        loadNumbering({ format: 'upper-roman', template: 'Página {page} de {total}', start: 4 }).fillPagePlaceholders();
+
+        expect(pages.map(footerText)).toEqual(['IV/V Página IV de V', 'V/V Página V de V']);
+    });
+
+    test('should restart numbering and change format per section', () => {
+        const pages = buildPages([
+            '<section data-pagify-page-format="lower-roman">Preface</section>',
+            'more preface',
+            '<section data-pagify-page-start="1" data-pagify-page-format="decimal">Chapter</section>',
+            '<section data-split-from="x" data-pagify-page-start="1">continued</section>',
+        ]);
+        const numbering = loadNumbering();
+        numbering.fillPagePlaceholders();
+
+        expect(pages.map((page) => page.querySelector('.pageNumber').textContent)).toEqual(['i', 'ii', '1', '2']);
+        expect(pages.map((page) => page.querySelector('.totalPages').textContent)).toEqual(['ii', 'ii', '2', '2']);
+        expect(numbering.getPageNumbers()[2]).toEqual({ number: '1', total: '2', label: 'Page 1 of 2' });
+    });
+
+    test('should show an overridden total for documents that continue another', () => {
+        const pages = buildPages(['a', 'b', '<section data-pagify-page-start="1">Appendix</section>']);
+        loadNumbering({ start: 4, total: 9 }).fillPagePlaceholders();
+
+        expect(pages.map(footerText)).toEqual(['4/9 Page 4 of 9', '5/9 Page 5 of 9', '1/1 Page 1 of 1']);
+    });
+
+    test('should format alphabetic numbers past z', () => {
+        const pages = buildPages(new Array(28).fill('x'));
+        loadNumbering({ format: 'lower-alpha' }).fillPagePlaceholders();
+
+        expect(pages.slice(24).map((page) => page.querySelector('.pageNumber').textContent)).toEqual(['y', 'z', 'aa', 'ab']);
+    });
+
+    test('should prepend a label to page_number_selector elements', () => {
+        const pages = buildPages(['<p class="count">of the report</p>']);
+        loadNumbering({ selector: '.count' }).fillPagePlaceholders();
+
+        expect(pages[0].querySelector('.count').textContent).toBe('Page 1 of 1 of the report');
+    });
+
+    test('should keep the template and selector from closing the iframe script', () => {
+        const payload = '</script><script>window.pwned = 1</script><!--';
+        const script = getPageNumberingScript({ format: 'decimal', template: `${payload} {page}`, start: 1, selector: `.count, ${payload}` });
+        expect(script).not.toMatch(/<\/script|<!--/i);
+
+        const pages = buildPages(['x']);
+        loadNumbering({ template: `${payload} {page}` }).fillPagePlaceholders();
+        expect(pages[0].querySelector('.pageLabel').textContent).toBe(`${payload} 1`);
+    });
+
+    test('should reject invalid options', () => {
+        expect(() => validatePageNumbering({ format: 'hex', template: '', start: 1 })).toThrow('Unknown page number format "hex"');
+        expect(() => validatePageNumbering({ format: 'decimal', template: null, start: 1 })).toThrow('page_number_template must be a string');
+        expect(() => validatePageNumbering({ format: 'decimal', template: '', start: 1.5 })).toThrow('page_number_start must be an integer');
+        expect(() => validatePageNumbering({ format: 'decimal', template: '', start: 1, total: '9' })).toThrow('page_number_total must be an integer');
+    });
+});
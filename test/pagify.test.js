@@ -1,4 +1,5 @@
-import pagify, { PagifySDK } from '../pagify.js';
+import { jsPDF } from 'jspdf';
+import pagify, { PagifySDK, PagifyError } from '../pagify.js';
 
 describe('Pagify SDK', () => {
     beforeEach(() => {
@@ -95,6 +96,253 @@ describe('Pagify SDK', () => {
         expect(html).toContain('margin-right: 10mm');
     });
 
+    test('should place first/left/right header and footer variants with @page selectors', () => {
+        const html = new PagifySDK().buildIframeHTML({
+            instanceId: 1,
+            body_html: '<p>Body</p>',
+            header_html: '<div>Header</div>',
+            footer_html: '<div>Footer</div>',
+            pageVariants: {
+                first: { header: '<div>Letterhead</div>', footer: null },
+                left: { header: null, footer: '' },
+                right: { header: null, footer: '<div>Odd</div>' }
+            }
+        });
+
+        expect(html).toMatch(/@page :first \{\s*@top-center \{\s*content: element\(pagify-header-first\);/);
+        expect(html).toMatch(/@page :left \{\s*@bottom-center \{\s*content: element\(pagify-footer-left\);/);
+        expect(html).toMatch(/@page :right \{\s*@bottom-center \{\s*content: element\(pagify-footer-right\);/);
+        expect(html).not.toContain('pagify-footer-first');
+        expect(html).toContain('<div class="pagify-header-first" style="width: 100%"><div>Letterhead</div></div>');
+        expect(html).toContain('<div class="pagify-footer-left" style="width: 100%"></div>');
+        // :first is declared after :left/:right so it wins on page 1
+        expect(html.indexOf('@page :first')).toBeGreaterThan(html.indexOf('@page :right'));
+    });
+
+    test('should apply last-page variants after pagination', () => {
+        const html = new PagifySDK().buildIframeHTML({
+            instanceId: 1,
+            body_html: '<p>Body</p>',
+            footer_html: '<div>Footer</div>',
+            pageVariants: { last: { header: null, footer: '<div>Signature</div>' } }
+        });
+
+        expect(html).toContain('<template data-pagify-last-page="bottom-center"><div style="width: 100%"><div>Signature</div></div></template>');
+        expect(html).not.toContain('data-pagify-last-page="top-center"');
+        expect(html).toMatch(/totalPages = result\.total;\s*if \(cancelled\) return;\s*applyLastPageVariants\(\);/);
+    });
+
+    test('should map footer_only_on_last_page to a last-page footer', () => {
+        const html = new PagifySDK().buildIframeHTML({
+            instanceId: 1,
+            body_html: '<p>Body</p>',
+            footer_html: '<div>Footer</div>',
+            footer_only_on_last_page: true
+        });
+
+        expect(html).toContain('<template data-pagify-last-page="bottom-center"><div style="width: 100%"><div>Footer</div></div></template>');
+        expect(html).toMatch(/<div class="footer" style="width: 100%">\s*<\/div>/);
+    });
+
+    test('should render page variants from template parts', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            template: { first_page_header: '<h2>{{ clinic }}</h2>' },
+            data: { clinic: 'Eka' }
+        });
+
+        expect(instance.jobs[handle.id].iframe.srcdoc).toContain('<div class="pagify-header-first" style="width: 100%"><h2>Eka</h2></div>');
+        handle.cleanup();
+    });
+
+    test('should give each margin box its own running element', () => {
+        const instance = new PagifySDK();
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<p>Body</p>',
+            margin_boxes: {
+                'top-left': '<img src="logo.png">',
+                'bottom-right': 'Page <span class="pageNumber"></span>'
+            }
+        });
+
+        expect(html).toMatch(/@page \{\s*@top-left \{\s*content: element\(pagify-box-top-left\);/);
+        expect(html).toMatch(/@page \{\s*@bottom-right \{\s*content: element\(pagify-box-bottom-right\);/);
+        expect(html).toContain('<div class="pagify-box-top-left" style="width: 100%"><img src="logo.png"></div>');
+        expect(html).toMatch(/applyLastPageVariants\(\);\s*fillPagePlaceholders\(\);/);
+        expect(() => instance.buildMarginBoxes({ 'top-middle': 'x' })).toThrow('Unknown margin box "top-middle"');
+    });
+
+    test('should embed page numbering options and validate them', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            footer_html: '<span class="pageLabel"></span>',
+            page_number_template: 'Página {page} de {total}',
+            page_number_format: 'upper-roman',
+            page_number_start: 3
+        });
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(html).toContain('"format":"upper-roman","template":"Página {page} de {total}","start":3');
+        expect(html).not.toContain('counter(pages)');
+        handle.cleanup();
+
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const invalid = await instance.render({ page_number_format: 'klingon' });
+        await expect(invalid.done).rejects.toThrow('Unknown page number format "klingon"');
+        consoleSpy.mockRestore();
+    });
+
+    test('should insert a table of contents and link its entries in the PDF', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            body_html: '<div data-pagify-toc></div><h1>Summary</h1>',
+            toc: { title: 'Index' },
+            links: false
+        });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(html).toContain('<h2 class="pagify-toc-title">Index</h2>');
+        expect(html).toContain('<h1 id="pagify-toc-1">Summary</h1>');
+        expect(html).toMatch(/fillPagePlaceholders\(\);\s*fillTocPageNumbers\(\);/);
+        expect(html).toContain('collectPdfLinks(".pagify-toc a[href^=\'#\']")');
+        handle.cleanup();
+    });
+
+    test('should link every anchor and collect the outline when enabled', async () => {
+        const instance = new PagifySDK();
+        const withOutline = await instance.render({ body_html: '<h1>A</h1>', outline: { selector: 'h1, .chapter' } });
+        const html = instance.jobs[withOutline.id].iframe.srcdoc;
+        expect(html).toContain('collectPdfLinks("a[href]")');
+        expect(html).toContain('collectPdfOutline("h1, .chapter")');
+        // addPdfLinks is the only source of link annotations
+        expect(html).toContain('enableLinks: false,');
+        withOutline.cleanup();
+
+        const plain = await instance.render({ body_html: '<h1>A</h1>' });
+        expect(instance.jobs[plain.id].iframe.srcdoc).toContain('const outline = [];');
+        plain.cleanup();
+    });
+
+    test('should pass metadata, filename and archival options to the PDF step', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            metadata: { title: 'Lab report', keywords: ['lab'] },
+            filename: 'lab-report',
+            archival: true
+        });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(html).toContain('const metadata = {"title":"Lab report","keywords":"lab"};');
+        expect(html).toContain('new File([archival ? outputArchivalPdf(pdf) : pdf.output("blob")], "lab-report.pdf"');
+        expect(html).toContain('const archival = {"fonts":{}};');
+        handle.cleanup();
+
+        const blob = new Blob(['pdf'], { type: 'application/pdf' });
+        const next = await instance.render({ filename: 'summary.pdf' });
+        postFromJob(instance, next, { type: 'PDF_READY', blob, totalPages: 1 });
+        await expect(next.done).resolves.toMatchObject({ filename: 'summary.pdf' });
+
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const vector = await instance.render({ engine: 'vector', archival: true });
+        await expect(vector.done).rejects.toThrow('needs an embedded font');
+        consoleSpy.mockRestore();
+    });
+
+    test('should keep metadata and filenames from closing the PDF script', async () => {
+        const instance = new PagifySDK();
+        const payload = '</script><script>window.pwned = 1</script><!--';
+        const handle = await instance.render({
+            metadata: { title: payload, author: payload, subject: payload },
+            filename: payload,
+            outline: { selector: `h1${payload}` },
+        });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        const scripts = inlineScripts(html);
+        expect(scripts.some((script) => script.trim() === 'window.pwned = 1')).toBe(false);
+        scripts.forEach((script) => expect(() => new Function(script)).not.toThrow());
+        expect(html).toContain('"title":"\\u003c/script>\\u003cscript>window.pwned = 1\\u003c/script>\\u003c!--"');
+        handle.cleanup();
+    });
+
+    test('should pass encryption options to the PDF step', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            security: { userPassword: 'open', ownerPassword: 'admin', permissions: ['print'] }
+        });
+
+        expect(instance.jobs[handle.id].iframe.srcdoc).toContain(
+            'const jsPDFOptions = { compress: true, encryption: {"userPassword":"open","ownerPassword":"admin","userPermissions":["print"]} };'
+        );
+        handle.cleanup();
+
+        const plain = await instance.render({});
+        expect(instance.jobs[plain.id].iframe.srcdoc).toContain('const jsPDFOptions = { compress: true };');
+        plain.cleanup();
+
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const archived = await instance.render({ archival: true, security: { userPassword: 'open' } });
+        await expect(archived.done).rejects.toThrow('archival and security cannot be combined');
+
+        // PDF/A-1 forbids transparency, which only the vector engine writes
+        const faded = await instance.render({ archival: { fonts: { normal: '/fonts/a.ttf' } }, engine: 'vector', watermark: 'DRAFT' });
+        await expect(faded.done).rejects.toThrow('archival cannot be combined with a semi-transparent watermark');
+        const opaque = await instance.render({ archival: { fonts: { normal: '/fonts/a.ttf' } }, engine: 'vector', watermark: { text: 'DRAFT', opacity: 1 } });
+        expect(instance.jobs[opaque.id]).toBeDefined();
+        opaque.cleanup();
+        const raster = await instance.render({ archival: true, watermark: 'DRAFT' });
+        expect(instance.jobs[raster.id]).toBeDefined();
+        raster.cleanup();
+        consoleSpy.mockRestore();
+    });
+
+    test('should stamp watermarks after pagination', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({ watermark: { text: 'DRAFT', pages: 'first' } });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(html).toContain('"text":"DRAFT"');
+        expect(html).toContain('.pagify-watermark {');
+        expect(html.indexOf('await applyWatermarks();')).toBeGreaterThan(html.indexOf('fillTocPageNumbers();'));
+        handle.cleanup();
+
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const invalid = await instance.render({ watermark: { text: 'VOID', position: 'middle' } });
+        await expect(invalid.done).rejects.toThrow('Unknown watermark position "middle"');
+        consoleSpy.mockRestore();
+    });
+
+    test('should map data-pagify-page sections onto named @page rules', () => {
+        const html = new PagifySDK().buildIframeHTML({
+            instanceId: 1,
+            body_html: '<section data-pagify-page="landscape-wide"></section>',
+            page_size: 'A4',
+            orientation: 'landscape',
+            named_pages: {
+                'landscape-wide': { orientation: 'landscape', margin_left: '10mm' },
+                letter: { page_size: 'Letter' }
+            }
+        });
+
+        expect(html).toContain('size: A4 landscape;');
+        expect(html).toMatch(/\[data-pagify-page="landscape-wide"\] \{\s*page: landscape-wide;/);
+        expect(html).toMatch(/@page landscape-wide \{\s*size: A4 landscape;\s*margin-left: 10mm;\s*\}/);
+        expect(html).toMatch(/@page letter \{\s*size: Letter;\s*\}/);
+        expect(html).not.toContain('orientation: "portrait"');
+    });
+
+    test('should reject invalid named pages and orientations', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const instance = new PagifySDK();
+
+        const badName = await instance.render({ named_pages: { 'wide page': {} } });
+        await expect(badName.done).rejects.toThrow('Invalid named page "wide page"');
+
+        const badOrientation = await instance.render({ orientation: 'sideways' });
+        await expect(badOrientation.done).rejects.toThrow('Invalid orientation "sideways"');
+        consoleSpy.mockRestore();
+    });
+
     test('should create iframe with correct styles', () => {
         const instance = new PagifySDK();
         
@@ -135,6 +383,833 @@ describe('Pagify SDK', () => {
         expect(defaultContainer).toBe(document.body);
     });
 
+    test('should load iframe libraries from unpkg by default', () => {
+        const instance = new PagifySDK();
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<h1>Test</h1>',
+            page_size: 'A4',
+            isViewOnlySkipMakingPDF: false
+        });
+
+        expect(html).toContain('src="https://unpkg.com/pagedjs@0.4.3/dist/paged.polyfill.js"');
+        expect(html).toContain('https://unpkg.com/html2pdf.js@0.10.1/dist/html2pdf.bundle.min.js');
+        expect(html).toContain('reportAssetError(&quot;pagedjs&quot;');
+    });
+
+    test('should load iframe libraries from assetBaseUrl', () => {
+        const instance = new PagifySDK({ assetBaseUrl: '/vendor/pagify/' });
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<h1>Test</h1>',
+            page_size: 'A4',
+            isViewOnlySkipMakingPDF: false
+        });
+
+        expect(html).toContain('src="/vendor/pagify/paged.polyfill.js"');
+        expect(html).toContain('"/vendor/pagify/html2pdf.bundle.min.js"');
+        expect(html).not.toContain('unpkg.com');
+    });
+
+    test('should inline bundled library sources', () => {
+        const instance = new PagifySDK().configure({
+            assets: {
+                pagedjs: { source: 'window.Paged = {}; "</script>";' },
+                html2pdf: { source: 'window.html2pdf = function () {};' }
+            }
+        });
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<h1>Test</h1>',
+            page_size: 'A4',
+            isViewOnlySkipMakingPDF: false
+        });
+
+        expect(html).not.toContain('unpkg.com');
+        expect(html).toContain('window.Paged = {}; "<\\/script>";');
+        expect(html).toContain('window.html2pdf = function () {};');
+        expect(html).toContain('<script>startPagination()</script>');
+    });
+
+    test('should keep a PDF library URL from closing the iframe script', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({ assets: { html2pdf: 'https://cdn.example.com/h.js#</script><script>window.pwned = 1</script>' } });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(inlineScripts(html).some((script) => script.trim() === 'window.pwned = 1')).toBe(false);
+        expect(html).toContain('await loadPdfLibrary("html2pdf", "https://cdn.example.com/h.js#\\u003c/script>');
+        handle.cleanup();
+    });
+
+    test('should prefer per-render assets over configured defaults', () => {
+        const instance = new PagifySDK({ assetBaseUrl: '/vendor' });
+        const assets = instance.resolveAssets({ assets: { pagedjs: 'https://cdn.example.com/paged.js' } });
+
+        expect(assets.pagedjs).toEqual({ url: 'https://cdn.example.com/paged.js' });
+        expect(assets.html2pdf).toEqual({ url: '/vendor/html2pdf.bundle.min.js' });
+        expect(() => instance.resolveAssets({ assets: { pagedjs: 42 } })).toThrow('Invalid asset "pagedjs"');
+    });
+
+    // Inline <script> bodies of a generated iframe document
+    const inlineScripts = (html) => Array.from(html.matchAll(/<script>([\s\S]*?)<\/script>/g), (m) => m[1]);
+
+    test.each(['raster', 'vector'])('should emit valid iframe scripts for the %s engine', (engine) => {
+        const instance = new PagifySDK();
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<h1>Test</h1>',
+            page_size: 'A4',
+            isViewOnlySkipMakingPDF: false,
+            engine
+        });
+
+        const scripts = inlineScripts(html);
+        expect(scripts.length).toBeGreaterThan(0);
+        scripts.forEach((script) => expect(() => new Function(script)).not.toThrow());
+    });
+
+    test('should load jsPDF instead of html2pdf for the vector engine', () => {
+        const instance = new PagifySDK();
+        const html = instance.buildIframeHTML({
+            instanceId: 1,
+            body_html: '<h1>Test</h1>',
+            page_size: 'A4',
+            isViewOnlySkipMakingPDF: false,
+            engine: 'vector'
+        });
+
+        expect(html).toContain('const pdfEngine = "vector"');
+        expect(html).toContain('https://unpkg.com/jspdf@3.0.1/dist/jspdf.umd.min.js');
+        expect(html).toContain('function renderVectorPdf(');
+    });
+
+    test('should reject an unknown PDF engine', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const onPdfError = jest.fn();
+        const handle = await new PagifySDK().render({ body_html: '<h1>Test</h1>', engine: 'svg', onPdfError });
+
+        expect(onPdfError).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'PagifyError',
+            code: 'INVALID_OPTIONS',
+            stage: 'setup',
+            jobId: handle.id,
+            message: 'Unknown PDF engine "svg", expected one of: raster, vector',
+        }));
+        await expect(handle.done).rejects.toThrow('Unknown PDF engine');
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+        consoleSpy.mockRestore();
+    });
+
+    test('should build iframe parts from a template and data', async () => {
+        const instance = new PagifySDK({ partials: { signature: '<p>{{ doctor }}</p>' } });
+        const handle = await instance.render({
+            template: {
+                body: '<h1>{{ patient }}</h1>{{> signature}}',
+                footer: '<small>{{ clinic }}</small>'
+            },
+            data: { patient: '<Ann>', doctor: 'Dr. Rao', clinic: 'Eka' },
+            footer_html: '<div>ignored</div>'
+        });
+
+        const html = instance.jobs[handle.id].iframe.srcdoc;
+        expect(html).toContain('<h1>&lt;Ann&gt;</h1><p>Dr. Rao</p>');
+        expect(html).toContain('<small>Eka</small>');
+        expect(html).not.toContain('ignored');
+        handle.cleanup();
+    });
+
+    test('should report template errors through onPdfError with line and column', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const onPdfError = jest.fn();
+        const handle = await new PagifySDK().render({
+            template: '<h1>{{ title }}</h1>\n{{#if x}}',
+            onPdfError
+        });
+
+        expect(onPdfError.mock.calls[0][0]).toBeInstanceOf(PagifyError);
+        expect(onPdfError.mock.calls[0][0].message).toBe('Template error in body at line 2, column 1: Unclosed {{#if}}');
+        await expect(handle.done).rejects.toMatchObject({ name: 'TemplateError', code: 'TEMPLATE', jobId: handle.id, line: 2, column: 1 });
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+        consoleSpy.mockRestore();
+    });
+
+    // Simulate a message posted by a job's iframe
+    const postFromJob = (instance, handle, data) => {
+        const { iframe, nonce, origin } = instance.jobs[handle.id];
+        window.dispatchEvent(new MessageEvent('message', {
+            data: { iter: handle.id, nonce, ...data },
+            source: iframe.contentWindow,
+            origin
+        }));
+    };
+
+    test('should ignore messages without the job\'s source, origin or nonce', async () => {
+        const instance = new PagifySDK();
+        const callback = jest.fn();
+        const onPdfReady = jest.fn();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', callback, onPdfReady });
+        const { iframe, nonce, origin } = instance.jobs[handle.id];
+        const html = iframe.srcdoc;
+        const spoof = (data, init) => window.dispatchEvent(new MessageEvent('message', {
+            data: { iter: handle.id, nonce, ...data },
+            source: iframe.contentWindow,
+            origin,
+            ...init,
+        }));
+
+        expect(html).toContain(`nonce: "${nonce}" }, "${window.location.origin}");`);
+        expect(html).not.toContain('"*")');
+
+        spoof({ type: 'renderpdf' }, { source: window });
+        spoof({ type: 'renderpdf' }, { origin: 'https://evil.example' });
+        spoof({ type: 'renderpdf', nonce: 'guess' });
+        spoof({ type: 'PDF_READY', blob: new Blob(['pdf']) }, { source: null });
+        await Promise.resolve();
+        expect(callback).not.toHaveBeenCalled();
+        expect(onPdfReady).not.toHaveBeenCalled();
+
+        postFromJob(instance, handle, { type: 'renderpdf' });
+        expect(callback).toHaveBeenCalledTimes(1);
+        handle.cleanup();
+    });
+
+    test('should sanitize untrusted HTML and sandbox the iframe', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({
+            template: '<p>{{{ note }}}</p>',
+            data: { note: '<img src="x" onerror="alert(1)">Fever<script>alert(2)<\/script>' },
+            header_html: '<a href="javascript:alert(3)">Clinic</a>',
+            head_html: '<style>h1 { color: red; }</style><meta http-equiv="refresh" content="0;url=https://evil.example">',
+            margin_boxes: { 'top-left': '<b onclick="x()">Logo</b>' },
+            sanitize: true,
+        });
+        const { iframe, origin } = instance.jobs[handle.id];
+        const html = iframe.srcdoc;
+
+        expect(iframe.getAttribute('sandbox')).toBe('allow-scripts');
+        expect(origin).toBe('null');
+        expect(html).toContain('<p><img src="x">Fever</p>');
+        expect(html).toContain('<a>Clinic</a>');
+        expect(html).toContain('<b>Logo</b>');
+        expect(html).toContain('h1 { color: red; }');
+        expect(html).not.toMatch(/onerror="alert|onclick=|alert\(2\)|javascript:alert|http-equiv/);
+        handle.cleanup();
+
+        const plain = await instance.render({ body_html: '<h1>Test</h1>' });
+        expect(instance.jobs[plain.id].iframe.hasAttribute('sandbox')).toBe(false);
+        plain.cleanup();
+    });
+
+    test('should resolve handle.done with the PDF result', async () => {
+        const instance = new PagifySDK();
+        const onPdfReady = jest.fn();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', onPdfReady });
+        const blob = new Blob(['pdf'], { type: 'application/pdf' });
+
+        postFromJob(instance, handle, { type: 'PDF_READY', blob, totalPages: 3 });
+        const result = await handle.done;
+
+        expect(onPdfReady).toHaveBeenCalledWith('blob:mock-url');
+        expect(result.blob).toBe(blob);
+        expect(result.blobUrl).toBe('blob:mock-url');
+        expect(result.totalPages).toBe(3);
+        expect(result.durationMs).toBeGreaterThanOrEqual(0);
+        expect(handle.isAlive()).toBe(false);
+    });
+
+    test('should route progress to onProgress, handle listeners and a window event', async () => {
+        const instance = new PagifySDK();
+        const onProgress = jest.fn();
+        const listener = jest.fn();
+        const removed = jest.fn();
+        const windowListener = jest.fn();
+        window.addEventListener('renderProgress', windowListener);
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', onProgress });
+
+        expect(handle.on('progress', listener).on('progress', removed).off('progress', removed)).toBe(handle);
+        expect(() => handle.on('finish', listener)).toThrow('Unknown handle event "finish", expected one of: progress');
+
+        postFromJob(instance, handle, { type: 'PROGRESS', stage: 'pagination', page: 3, total: null });
+        postFromJob(instance, handle, { type: 'PROGRESS', stage: 'rendering', page: 2, total: 5 });
+
+        const expected = { jobId: handle.id, stage: 'rendering', page: 2, total: 5 };
+        expect(onProgress).toHaveBeenCalledTimes(2);
+        expect(onProgress).toHaveBeenLastCalledWith(expected);
+        expect(listener).toHaveBeenLastCalledWith(expected);
+        expect(removed).not.toHaveBeenCalled();
+        expect(windowListener.mock.calls[0][0].detail).toEqual({ jobId: handle.id, stage: 'pagination', page: 3, total: null });
+        // Progress is not a result: the job is still running
+        expect(handle.isAlive()).toBe(true);
+
+        window.removeEventListener('renderProgress', windowListener);
+        handle.cleanup();
+    });
+
+    test('should report progress from the iframe at each stage', () => {
+        const html = new PagifySDK().buildIframeHTML({ instanceId: 1, body_html: '<p>a</p>', page_size: 'A4', isViewOnlySkipMakingPDF: false });
+
+        expect(html).toContain('reportProgress("fonts");');
+        expect(html).toContain('class PaginationProgress extends Handler');
+        expect(html).toContain('reportProgress("pagination", result.total, result.total);');
+        expect(html).toContain('pdfEngines[pdfEngine](jsPDFOptions, { fonts, onPage })');
+        expect(html).toContain('reportProgress("assembled", pageCount, pageCount);');
+    });
+
+    test('should reject handle.done on PDF_ERROR', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>' });
+
+        postFromJob(instance, handle, { type: 'PDF_ERROR', error: 'boom' });
+
+        await expect(handle.done).rejects.toThrow('boom');
+        consoleSpy.mockRestore();
+    });
+
+    test('should rebuild iframe failures as PagifyError', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const onPdfError = jest.fn();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', onPdfError });
+
+        postFromJob(instance, handle, {
+            type: 'PDF_ERROR',
+            error: {
+                code: 'CANVAS',
+                message: 'Could not capture page 3: tainted canvas',
+                stage: 'pdf',
+                page: 3,
+                element: 'div#page-3.pagedjs_page',
+                cause: { name: 'SecurityError', message: 'tainted canvas' },
+            },
+        });
+
+        const error = await handle.done.catch((reason) => reason);
+        expect(error).toBeInstanceOf(PagifyError);
+        expect(error).toMatchObject({ code: 'CANVAS', stage: 'pdf', jobId: handle.id, page: 3, element: 'div#page-3.pagedjs_page' });
+        expect(error.cause).toMatchObject({ name: 'SecurityError', message: 'tainted canvas' });
+        expect(onPdfError).toHaveBeenCalledWith(error);
+        consoleSpy.mockRestore();
+    });
+
+    test('should register caller hooks with Paged.js and run beforePdf before the engine', async () => {
+        const handle = await new PagifySDK().render({
+            body_html: '<h1>Test</h1>',
+            hooks: {
+                afterPageLayout: (pageElement) => pageElement.classList.add('checked'),
+                beforePdf: (pages) => pages.at(-1).classList.add('signed'),
+            },
+        });
+        const html = document.querySelector('iframe').srcdoc;
+
+        expect(html).toMatch(/\[null, \(\(?pageElement\)? => pageElement\.classList\.add\('checked'\)\)\]\]/);
+        expect(html).toContain('registerHandlers(CallerHooks);');
+        expect(html).toMatch(/await runHooks\("beforePdf", [^;]+;\s*if \(cancelled\) return;\s*\/\/ Measure links/);
+        handle.cleanup();
+
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const rejected = await new PagifySDK().render({ body_html: '<h1>Test</h1>', hooks: { afterLayout() {} } });
+        await expect(rejected.done).rejects.toMatchObject({ code: 'INVALID_OPTIONS', message: expect.stringContaining('Unknown hook "afterLayout"') });
+        consoleSpy.mockRestore();
+    });
+
+    test('should run built-in and registered plugins unless a render turns them off', async () => {
+        const instance = new PagifySDK().use({
+            name: 'signature',
+            hooks: { beforePdf: 'function (pages) { pages[pages.length - 1].classList.add("signed"); }' },
+            css: '.signed { outline: none; }',
+        });
+        expect(() => instance.use({ name: 'signature' })).toThrow('Plugin "signature" is already registered');
+
+        let handle = await instance.render({ body_html: '<h1>Test</h1>' });
+        let html = document.querySelector('iframe').srcdoc;
+        expect(html).toContain('["repeatTableHeaders", (function (pageElement, page, breakToken, chunker)');
+        expect(html).toContain('["hideEmptyTables", ');
+        expect(html).toContain('["signature", (function (pages)');
+        expect(html).toContain('.signed { outline: none; }');
+        handle.cleanup();
+
+        instance.configure({ plugins: { overflowContent: false } });
+        handle = await instance.render({ body_html: '<h1>Test</h1>', plugins: { hideEmptyTables: false, signature: false } });
+        html = document.querySelector('iframe').srcdoc;
+        expect(html).toContain('["repeatTableHeaders", ');
+        expect(html).not.toContain('["hideEmptyTables", ');
+        expect(html).not.toContain('["overflowContent", ');
+        expect(html).not.toContain('.signed { outline: none; }');
+        handle.cleanup();
+
+        handle = await instance.render({ body_html: '<h1>Test</h1>', plugins: [] });
+        expect(document.querySelector('iframe').srcdoc).toContain('const pagifyHooks = {  };');
+        handle.cleanup();
+    });
+
+    test('should classify failures inside the iframe', () => {
+        const html = new PagifySDK().buildIframeHTML({ instanceId: 1, body_html: '<p>a</p>', page_size: 'A4', isViewOnlySkipMakingPDF: false });
+
+        expect(html).toContain('pagifyFailure("PAGINATION", "Failed to initialize Paged.js: "');
+        expect(html).toContain('pagifyFailure("EMPTY_CONTENT"');
+        expect(html).toContain('pagifyFailure("CANVAS", "Could not capture page "');
+        expect(html).toContain('reportFailure(error, "ASSET_LOAD", "pdf");');
+        expect(html).toContain('reportFailure(error, "PDF_GENERATION", "pdf");');
+    });
+
+    test('should cancel a job with an AbortError', async () => {
+        const instance = new PagifySDK();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>' });
+        const post = jest.spyOn(instance.jobs[handle.id].iframe.contentWindow, 'postMessage');
+
+        expect(handle.cancel()).toBe(true);
+        expect(post).toHaveBeenCalledWith({ type: 'CANCEL', iter: handle.id }, window.location.origin);
+        await expect(handle.done).rejects.toMatchObject({ name: 'AbortError' });
+        expect(handle.isAlive()).toBe(false);
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+        expect(handle.cancel()).toBe(false);
+
+        // A sandboxed iframe's origin is opaque, so it can only be addressed with "*"
+        const sandboxed = await instance.render({ body_html: '<h1>Test</h1>', sanitize: true });
+        const sandboxedPost = jest.spyOn(instance.jobs[sandboxed.id].iframe.contentWindow, 'postMessage');
+        sandboxed.cancel();
+        expect(sandboxedPost).toHaveBeenCalledWith({ type: 'CANCEL', iter: sandboxed.id }, '*');
+        await expect(sandboxed.done).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should cancel a job through an AbortSignal', async () => {
+        const instance = new PagifySDK();
+        const controller = new AbortController();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', signal: controller.signal });
+
+        controller.abort();
+        await expect(handle.done).rejects.toMatchObject({ name: 'AbortError' });
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+
+        const aborted = await instance.render({ body_html: '<h1>Test</h1>', signal: controller.signal });
+        await expect(aborted.done).rejects.toMatchObject({ name: 'AbortError' });
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+    });
+
+    test('should resolve generatePDF with the blob from the job result', async () => {
+        const instance = new PagifySDK();
+        const blob = new Blob(['pdf'], { type: 'application/pdf' });
+        const pending = instance.generatePDF({ body_html: '<h1>Test</h1>' });
+
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        const jobId = Object.keys(instance.jobs)[0];
+        postFromJob(instance, { id: jobId }, { type: 'PDF_READY', blob, totalPages: 1 });
+
+        await expect(pending).resolves.toBe(blob);
+    });
+
+    test('should hand later headless renders to the warm worker iframe', async () => {
+        const instance = new PagifySDK({ worker: true });
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const first = await instance.render({ body_html: '<p>One</p>' });
+        const { iframe } = instance.jobs[first.id];
+        expect(iframe.getAttribute('data-pagify-worker')).toBe('true');
+        expect(iframe.srcdoc).toContain('PAGIFY_WORKER_LOAD');
+        expect(iframe.srcdoc).toContain('paged.polyfill.js');
+
+        postFromJob(instance, first, { type: 'PDF_READY', blob: new Blob(['pdf']), totalPages: 1 });
+        await first.done;
+        expect(iframe.isConnected).toBe(true);
+
+        const post = jest.spyOn(iframe.contentWindow, 'postMessage').mockImplementation(() => {});
+        const second = await instance.render({ body_html: '<p>Two</p>' });
+        const [message] = post.mock.calls[0];
+        expect(instance.jobs[second.id].iframe).toBe(iframe);
+        expect(message.type).toBe('PAGIFY_WORKER_LOAD');
+        expect(message.html).toContain('<p>Two</p>');
+        expect(message.html).not.toContain('paged.polyfill.js');
+        expect(message.html).toContain('<script>startPagination()</script>');
+
+        // Busy worker, container or sanitize: a fresh iframe
+        const busy = await instance.render({ body_html: '<p>Three</p>' });
+        const sanitized = await instance.render({ body_html: '<p>Four</p>', sanitize: true, worker: true });
+        expect(instance.jobs[busy.id].iframe).not.toBe(iframe);
+        expect(instance.jobs[sanitized.id].iframe.hasAttribute('data-pagify-worker')).toBe(false);
+        busy.cleanup();
+        sanitized.cleanup();
+
+        // A failed render takes the worker with it
+        postFromJob(instance, second, { type: 'PDF_ERROR', error: { code: 'PAGINATION', message: 'boom' } });
+        await expect(second.done).rejects.toMatchObject({ code: 'PAGINATION' });
+        expect(iframe.isConnected).toBe(false);
+        expect(instance.worker).toBeNull();
+        consoleSpy.mockRestore();
+    });
+
+    test('should remove an idle worker when the option is switched off', async () => {
+        const instance = new PagifySDK({ worker: true });
+        const handle = await instance.render({ body_html: '<p>One</p>', isViewOnlySkipMakingPDF: true });
+        const { iframe } = instance.jobs[handle.id];
+        postFromJob(instance, handle, { type: 'PREVIEW_READY', totalPages: 1 });
+        await handle.done;
+        expect(instance.worker.libraries).toEqual(new Set(['pagedjs']));
+
+        instance.configure({ worker: false });
+        expect(iframe.isConnected).toBe(false);
+        expect(instance.worker).toBeNull();
+    });
+
+    test('should drive the container viewer through the handle and emit pagechange', async () => {
+        const instance = new PagifySDK();
+        document.body.innerHTML = '<div id="viewer-preview"></div>';
+        const handle = await instance.render({
+            body_html: '<p>Report</p>',
+            containerSelector: '#viewer-preview',
+            isViewOnlySkipMakingPDF: true,
+            viewer: { zoom: 'fit-page' },
+        });
+        const { iframe } = instance.jobs[handle.id];
+        expect(iframe.srcdoc).toContain('if (!cancelled) startViewer();');
+        expect(iframe.srcdoc).toContain('"zoom":"fit-page","thumbnails":true');
+
+        // Commands wait for the viewer to start
+        const post = jest.spyOn(iframe.contentWindow, 'postMessage').mockImplementation(() => {});
+        expect(handle.getViewerState()).toBeNull();
+        expect(handle.zoom('150%')).toBe(true);
+        expect(handle.nextPage()).toBe(true);
+        expect(post).not.toHaveBeenCalled();
+        expect(() => handle.zoom('huge')).toThrow('Invalid viewer zoom "huge"');
+        expect(() => handle.goToPage(0)).toThrow('Invalid page "0"');
+
+        const pageChange = jest.fn();
+        handle.on('pagechange', pageChange);
+        postFromJob(instance, handle, { type: 'PREVIEW_READY', totalPages: 4 });
+        await handle.done;
+        postFromJob(instance, handle, { type: 'VIEWER_STATE', page: 1, totalPages: 4, zoom: 'fit-page', scale: 62, thumbnails: true });
+        expect(post.mock.calls.map(([command]) => command)).toEqual([
+            { type: 'PAGIFY_VIEWER', action: 'zoom', value: 150 },
+            { type: 'PAGIFY_VIEWER', action: 'nextPage', value: null },
+        ]);
+        expect(pageChange).toHaveBeenLastCalledWith({ jobId: handle.id, page: 1, totalPages: 4 });
+        expect(handle.getViewerState()).toEqual({ page: 1, totalPages: 4, zoom: 'fit-page', scale: 62, thumbnails: true });
+
+        // Only a new page is a pagechange
+        postFromJob(instance, handle, { type: 'VIEWER_STATE', page: 1, totalPages: 4, zoom: 150, scale: 150, thumbnails: true });
+        postFromJob(instance, handle, { type: 'VIEWER_STATE', page: 2, totalPages: 4, zoom: 150, scale: 150, thumbnails: true });
+        expect(pageChange).toHaveBeenCalledTimes(2);
+        expect(handle.getViewerState()).toMatchObject({ page: 2, zoom: 150 });
+
+        handle.goToPage(4);
+        handle.toggleThumbnails(false);
+        expect(post).toHaveBeenLastCalledWith({ type: 'PAGIFY_VIEWER', action: 'thumbnails', value: false }, window.location.origin);
+        handle.cleanup();
+        expect(handle.nextPage()).toBe(false);
+    });
+
+    test('should only add the viewer to container renders', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const headless = await instance.render({ body_html: '<p>Report</p>', viewer: true });
+        await expect(headless.done).rejects.toMatchObject({ code: 'INVALID_OPTIONS', message: expect.stringContaining('viewer needs a containerSelector') });
+
+        const plain = await instance.render({ body_html: '<p>Report</p>' });
+        expect(instance.jobs[plain.id].iframe.srcdoc).not.toContain('startViewer');
+        expect(plain.zoom('fit-width')).toBe(false);
+        expect(plain.getViewerState()).toBeNull();
+        plain.cleanup();
+        consoleSpy.mockRestore();
+    });
+
+    // Let a live preview's debounce timer fire and its render mount
+    const nextRender = async (instance) => {
+        const before = new Set(Object.keys(instance.jobs));
+        for (let i = 0; i < 10; i++) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            const id = Object.keys(instance.jobs).find((key) => !before.has(key));
+            if (id) return { id };
+        }
+        throw new Error('No render started');
+    };
+
+    test('should re-paginate a live preview in its hidden iframe and keep the scroll position', async () => {
+        const instance = new PagifySDK();
+        document.body.innerHTML = '<div id="editor-preview"></div>';
+        const onUpdate = jest.fn();
+        const preview = instance.createLivePreview('#editor-preview', { body_html: '<p>One</p>', debounceMs: 0, onUpdate });
+        const stage = document.querySelector('#editor-preview [data-pagify-live-preview]');
+
+        const first = await nextRender(instance);
+        const firstFrame = instance.jobs[first.id].iframe;
+        expect(firstFrame.parentNode).toBe(stage);
+        expect(firstFrame.style.visibility).toBe('hidden');
+        expect(preview.iframe).toBeNull();
+        postFromJob(instance, first, { type: 'PREVIEW_READY', totalPages: 2 });
+        await expect(preview.ready).resolves.toMatchObject({ totalPages: 2 });
+        expect(preview.iframe).toBe(firstFrame);
+        expect(firstFrame.style.visibility).toBe('visible');
+        expect(onUpdate).toHaveBeenLastCalledWith(expect.objectContaining({ totalPages: 2 }));
+
+        // Updates before the render starts are merged into one
+        preview.update({ body_html: '<p>Two</p>' });
+        const updated = preview.update({ header_html: '<p>Head</p>' });
+        const second = await nextRender(instance);
+        const secondFrame = instance.jobs[second.id].iframe;
+        expect(Object.keys(instance.jobs)).toEqual([second.id]);
+        expect(secondFrame).not.toBe(firstFrame);
+        expect(secondFrame.srcdoc).toContain('<p>Two</p>');
+        expect(secondFrame.srcdoc).toContain('<p>Head</p>');
+
+        Object.defineProperty(firstFrame.contentWindow, 'scrollY', { value: 420, configurable: true });
+        const scrollTo = jest.spyOn(secondFrame.contentWindow, 'scrollTo').mockImplementation(() => {});
+        postFromJob(instance, second, { type: 'PREVIEW_READY', totalPages: 3 });
+        await expect(updated).resolves.toMatchObject({ totalPages: 3 });
+        expect(scrollTo).toHaveBeenCalledWith(0, 420);
+        expect(preview.iframe).toBe(secondFrame);
+        expect(preview.totalPages).toBe(3);
+        expect(firstFrame.style.visibility).toBe('hidden');
+
+        // The next update goes back to the first iframe, which keeps its libraries
+        const post = jest.spyOn(firstFrame.contentWindow, 'postMessage').mockImplementation(() => {});
+        preview.update({ body_html: '<p>Three</p>' });
+        await nextRender(instance);
+        expect(post.mock.calls[0][0].html).toContain('<p>Three</p>');
+        expect(post.mock.calls[0][0].html).not.toContain('paged.polyfill.js');
+
+        preview.destroy();
+        expect(stage.isConnected).toBe(false);
+        expect(Object.keys(instance.jobs)).toEqual([]);
+        await expect(preview.update({})).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should keep the last live pagination on show when an update fails', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        const onError = jest.fn();
+        const preview = instance.createLivePreview(container, { body_html: '<p>One</p>', debounceMs: 0, onError });
+
+        const first = await nextRender(instance);
+        postFromJob(instance, first, { type: 'PREVIEW_READY', totalPages: 1 });
+        await preview.ready;
+        const shown = preview.iframe;
+
+        const updated = preview.update({ body_html: '<p>Two</p>' });
+        const second = await nextRender(instance);
+        const failed = instance.jobs[second.id].iframe;
+        postFromJob(instance, second, { type: 'PDF_ERROR', error: { code: 'PAGINATION', message: 'boom' } });
+        await expect(updated).rejects.toMatchObject({ code: 'PAGINATION' });
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'PAGINATION' }));
+        expect(failed.isConnected).toBe(false);
+        expect(preview.iframe).toBe(shown);
+        expect(shown.style.visibility).toBe('visible');
+        expect(preview.totalPages).toBe(1);
+
+        expect(() => instance.createLivePreview('#missing')).toThrow('not found');
+        preview.destroy();
+        consoleSpy.mockRestore();
+    });
+
+    test('should pass what onUpdate throws to onError', async () => {
+        const instance = new PagifySDK();
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        const thrown = new Error('listener failed');
+        const onError = jest.fn();
+        const preview = instance.createLivePreview(container, { body_html: '<p>One</p>', debounceMs: 0, onUpdate: () => { throw thrown; }, onError });
+
+        const first = await nextRender(instance);
+        postFromJob(instance, first, { type: 'PREVIEW_READY', totalPages: 1 });
+        await expect(preview.ready).resolves.toMatchObject({ totalPages: 1 });
+        expect(onError).toHaveBeenCalledWith(thrown);
+
+        preview.destroy();
+        await expect(preview.update({})).rejects.toMatchObject({ name: 'AbortError', message: 'Live preview destroyed' });
+    });
+
+    // Answer every live job of a batch until it finishes; tracks the most iframes seen at once
+    const driveBatch = async (instance, pending, respond) => {
+        let settled = false;
+        let peak = 0;
+        const finish = () => { settled = true; };
+        pending.then(finish, finish);
+        while (!settled) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            peak = Math.max(peak, document.querySelectorAll('iframe').length);
+            Object.keys(instance.jobs).forEach((id) => postFromJob(instance, { id }, respond(instance.jobs[id])));
+        }
+        return peak;
+    };
+
+    test('should render a batch through a pool of reused iframes and report each item', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const onProgress = jest.fn();
+        const items = Array.from({ length: 7 }, (_, i) => ({ body_html: `<p>${i}</p>`, filename: i === 3 ? 'broken' : 'invoice' }));
+        const frames = new Set();
+
+        const pending = instance.renderBatch(items, { concurrency: 2, onProgress });
+        const peak = await driveBatch(instance, pending, (job) => {
+            frames.add(job.iframe);
+            return job.filename === 'broken.pdf'
+                ? { type: 'PDF_ERROR', error: 'boom' }
+                : { type: 'PDF_READY', blob: new Blob(['pdf'], { type: 'application/pdf' }), totalPages: 1 };
+        });
+        const batch = await pending;
+
+        expect(peak).toBe(2);
+        // Two pool iframes, plus the one replacing the iframe whose item failed; none left afterwards
+        expect(frames.size).toBe(3);
+        frames.forEach((frame) => expect(frame.getAttribute('data-pagify-worker')).toBe('true'));
+        expect(document.querySelectorAll('iframe')).toHaveLength(0);
+        expect(batch).toMatchObject({ succeeded: 6, failed: 1, blob: null, filename: null });
+        expect(batch.results[3]).toMatchObject({ status: 'rejected', reason: expect.objectContaining({ message: 'boom' }) });
+        expect(batch.results[0]).toMatchObject({ status: 'fulfilled', value: expect.objectContaining({ filename: 'invoice.pdf' }) });
+        expect(onProgress).toHaveBeenCalledTimes(7);
+        expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 7, total: 7 }));
+        consoleSpy.mockRestore();
+    });
+
+    test('should combine batch results into a ZIP with unique names', async () => {
+        const instance = new PagifySDK();
+        URL.revokeObjectURL.mockClear();
+        const pending = instance.renderBatch([{ filename: 'invoice' }, { filename: 'invoice' }, { filename: 'summary' }], { combine: 'zip' });
+        await driveBatch(instance, pending, () => ({ type: 'PDF_READY', blob: new Blob(['%PDF'], { type: 'application/pdf' }), totalPages: 1 }));
+        const batch = await pending;
+
+        // The ZIP replaces the items' object URLs
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(3);
+        batch.results.forEach(({ value }) => {
+            expect(value.blobUrl).toBeNull();
+            expect(value.blob).toBeInstanceOf(Blob);
+        });
+
+        expect(batch.filename).toBe('documents.zip');
+        expect(batch.blob.type).toBe('application/zip');
+        const text = await new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(batch.blob);
+        });
+        expect(text).toContain('invoice.pdf');
+        expect(text).toContain('invoice (2).pdf');
+        expect(text).toContain('summary.pdf');
+    });
+
+    test('should give sanitized batch items an iframe of their own', async () => {
+        const instance = new PagifySDK();
+        const pooled = [];
+        const pending = instance.renderBatch([{ body_html: '<p>a</p>', sanitize: true }, { body_html: '<p>b</p>', worker: false }], { concurrency: 1 });
+        await driveBatch(instance, pending, (job) => {
+            pooled.push(job.iframe.hasAttribute('data-pagify-worker'));
+            return { type: 'PDF_READY', blob: new Blob(['pdf'], { type: 'application/pdf' }), totalPages: 1 };
+        });
+
+        await expect(pending).resolves.toMatchObject({ succeeded: 2 });
+        expect(pooled).toEqual([false, false]);
+        expect(document.querySelectorAll('iframe')).toHaveLength(0);
+    });
+
+    test('should validate batch options and skip queued items after abort', async () => {
+        const instance = new PagifySDK();
+        await expect(instance.renderBatch({})).rejects.toThrow('renderBatch expects an array');
+        await expect(instance.renderBatch([], { concurrency: 0 })).rejects.toThrow('Invalid concurrency "0"');
+        await expect(instance.renderBatch([], { combine: 'tar' })).rejects.toThrow('Unknown combine "tar", expected one of: zip, pdf');
+
+        const controller = new AbortController();
+        const pending = instance.renderBatch([{}, {}, {}], { concurrency: 1, signal: controller.signal });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        controller.abort();
+        const batch = await pending;
+
+        expect(batch.failed).toBe(3);
+        batch.results.forEach((outcome) => expect(outcome.reason.name).toBe('AbortError'));
+        expect(Object.keys(instance.jobs)).toHaveLength(0);
+    });
+
+    test('should merge rendered parts and existing PDFs with continuous page numbers', async () => {
+        const instance = new PagifySDK();
+        const twoPagePdf = () => {
+            const pdf = new jsPDF();
+            pdf.addPage();
+            return new Blob([pdf.output('arraybuffer')], { type: 'application/pdf' });
+        };
+        const scan = new File([twoPagePdf()], 'scan.pdf', { type: 'application/pdf' });
+        const numbering = [];
+        let urls = 0;
+        URL.createObjectURL.mockImplementation(() => `blob:mock-url-${++urls}`);
+        URL.revokeObjectURL.mockClear();
+
+        const pending = instance.merge([
+            { body_html: '<p>Letter</p>', bookmark: 'Cover letter' },
+            scan,
+            { body_html: '<p>Labs</p>', metadata: { title: 'Lab report' } },
+        ], { continuousPageNumbers: true, filename: 'discharge-packet' });
+        await driveBatch(instance, pending, (job) => {
+            if (job.isViewOnly) return { type: 'PREVIEW_READY', totalPages: 2 };
+            numbering.push(/const pageNumberingOptions = (\{.*?\});/.exec(job.iframe.srcdoc)[1]);
+            return { type: 'PDF_READY', blob: twoPagePdf(), totalPages: 2 };
+        });
+        const merged = await pending;
+
+        expect(numbering).toEqual([
+            expect.stringContaining('"start":1,"total":6'),
+            expect.stringContaining('"start":5,"total":6'),
+        ]);
+        URL.createObjectURL.mockImplementation(() => 'blob:mock-url');
+
+        // The two rendered parts' URLs are released; the merged one is the caller's
+        expect(merged).toMatchObject({ filename: 'discharge-packet.pdf', totalPages: 6, blobUrl: 'blob:mock-url-3' });
+        expect(URL.revokeObjectURL.mock.calls.map(([url]) => url).sort()).toEqual(['blob:mock-url-1', 'blob:mock-url-2']);
+        expect(merged.parts).toEqual([
+            { bookmark: 'Cover letter', startPage: 1, pageCount: 2 },
+            { bookmark: 'scan', startPage: 3, pageCount: 2 },
+            { bookmark: 'Lab report', startPage: 5, pageCount: 2 },
+        ]);
+        expect(merged.blob.name).toBe('discharge-packet.pdf');
+    });
+
+    test('should name the merge part that failed', async () => {
+        const instance = new PagifySDK();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        await expect(instance.merge([])).rejects.toThrow('merge expects a non-empty array of parts');
+        await expect(instance.merge([{ security: { userPassword: 'x' } }])).rejects.toThrow('Merge part 1 sets security');
+
+        URL.revokeObjectURL.mockClear();
+        const pending = instance.merge([{ body_html: 'a' }, { body_html: 'b' }], { concurrency: 1 });
+        let calls = 0;
+        await driveBatch(instance, pending, () => (++calls === 2
+            ? { type: 'PDF_ERROR', error: 'No content found in body element' }
+            : { type: 'PDF_READY', blob: new Blob(['%PDF']), totalPages: 1 }));
+        await expect(pending).rejects.toThrow('Merge part 2 failed: No content found in body element');
+        // The part that did render is still released
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:mock-url');
+        await expect(pending).rejects.toBeInstanceOf(PagifyError);
+        consoleSpy.mockRestore();
+    });
+
+    test('should time out a stuck job and report the stage it hung in', async () => {
+        jest.useFakeTimers();
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const instance = new PagifySDK({ timeoutMs: 5000 });
+        const onPdfError = jest.fn();
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', onPdfError });
+
+        postFromJob(instance, handle, { type: 'STAGE', stage: 'pagination' });
+        jest.advanceTimersByTime(5000);
+
+        expect(onPdfError).toHaveBeenCalledWith(expect.objectContaining({ code: 'TIMEOUT', stage: 'pagination' }));
+        await expect(handle.done).rejects.toMatchObject({ code: 'TIMEOUT', stage: 'pagination' });
+        expect(handle.isAlive()).toBe(false);
+        expect(document.querySelectorAll('iframe').length).toBe(0);
+
+        consoleSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('should let a per-render timeout override the SDK default', async () => {
+        jest.useFakeTimers();
+        const instance = new PagifySDK({ timeoutMs: 1000 });
+        const handle = await instance.render({ body_html: '<h1>Test</h1>', timeoutMs: 0 });
+
+        jest.advanceTimersByTime(60000);
+        expect(handle.isAlive()).toBe(true);
+
+        handle.cleanup();
+        jest.useRealTimers();
+    });
+
     test('should handle errors gracefully', async () => {
         const mockOnError = jest.fn();
         
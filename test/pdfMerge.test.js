@@ -0,0 +1,60 @@
+import { jsPDF } from 'jspdf';
+import { PDFDocument, PDFName, PDFDict, PDFArray } from 'pdf-lib';
+import { mergePdfs, countPdfPages } from '../src/pdfMerge.js';
+import { readBytes } from '../src/bytes.js';
+
+const makePdf = (pages, outline = []) => {
+    const pdf = new jsPDF();
+    for (let i = 1; i < pages; i++) pdf.addPage();
+    outline.forEach(([title, pageNumber]) => pdf.outline.add(null, title, { pageNumber }));
+    return new Blob([pdf.output('arraybuffer')], { type: 'application/pdf' });
+};
+
+// [title, page index, children] for each outline item of a merged PDF
+function outlineOf(document) {
+    const pageIndexes = new Map(document.getPages().map((page, index) => [page.ref.toString(), index]));
+    const walk = (parent) => {
+        const items = [];
+        for (let item = parent.lookupMaybe(PDFName.of('First'), PDFDict); item; item = item.lookupMaybe(PDFName.of('Next'), PDFDict)) {
+            const destination = item.lookup(PDFName.of('Dest'), PDFArray);
+            items.push([item.lookup(PDFName.of('Title')).decodeText(), pageIndexes.get(destination.get(0).toString()), walk(item)]);
+        }
+        return items;
+    };
+    const root = document.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    return root ? walk(root) : [];
+}
+
+describe('PDF merge', () => {
+    test('should append the pages of each PDF in order', async () => {
+        // Blobs and raw bytes can be mixed
+        const { blob, pageCounts } = await mergePdfs([makePdf(2), await readBytes(makePdf(3))]);
+        const document = await PDFDocument.load(await readBytes(blob));
+
+        expect(blob.type).toBe('application/pdf');
+        expect(pageCounts).toEqual([2, 3]);
+        expect(document.getPageCount()).toBe(5);
+        expect(outlineOf(document)).toEqual([]);
+    });
+
+    test('should add a bookmark per source and nest the source outlines under it', async () => {
+        const { blob } = await mergePdfs(
+            [makePdf(1), makePdf(3, [['Findings', 2], ['Plan', 3]]), makePdf(1, [['Scan notes', 1]])],
+            { bookmarks: ['Cover letter', 'Lab report', null] }
+        );
+        const document = await PDFDocument.load(await readBytes(blob));
+
+        expect(outlineOf(document)).toEqual([
+            ['Cover letter', 0, []],
+            ['Lab report', 1, [['Findings', 2, []], ['Plan', 3, []]]],
+            ['Scan notes', 4, []],
+        ]);
+        expect(document.catalog.get(PDFName.of('PageMode'))).toBe(PDFName.of('UseOutlines'));
+    });
+
+    test('should count pages and name unreadable sources', async () => {
+        await expect(countPdfPages(makePdf(4))).resolves.toBe(4);
+        await expect(countPdfPages(new Blob(['nope']))).rejects.toThrow('Could not read PDF');
+        await expect(mergePdfs([makePdf(1), new Blob(['not a pdf'])])).rejects.toThrow('Could not read PDF 2 for merging');
+    });
+});
@@ -0,0 +1,100 @@
+import { jsPDF } from 'jspdf';
+import {
+    normalizeMetadata,
+    normalizeFilename,
+    resolveArchivalOptions,
+    getPdfMetadataScript,
+} from '../src/pdfMetadata.js';
+
+const loadScript = () => new Function(`${getPdfMetadataScript()}; return { applyPdfMetadata, applyArchivalProfile, outputArchivalPdf, buildSrgbIccProfile };`)();
+
+const readU32 = (binary, offset) => ((binary.charCodeAt(offset) << 24) >>> 0)
+    + (binary.charCodeAt(offset + 1) << 16) + (binary.charCodeAt(offset + 2) << 8) + binary.charCodeAt(offset + 3);
+
+describe('PDF metadata', () => {
+    test('should normalize metadata fields', () => {
+        expect(normalizeMetadata({
+            title: 'Lab report',
+            keywords: ['lab', 'cbc'],
+            creationDate: new Date('2026-01-02T03:04:05Z'),
+            author: '',
+        })).toEqual({ title: 'Lab report', keywords: 'lab, cbc', creationDate: '2026-01-02T03:04:05.000Z' });
+
+        expect(() => normalizeMetadata({ producer: 'x' })).toThrow('Unknown metadata field "producer"');
+        expect(() => normalizeMetadata({ creationDate: 'yesterday' })).toThrow('Invalid metadata creationDate');
+    });
+
+    test('should normalize filenames', () => {
+        expect(normalizeFilename('report')).toBe('report.pdf');
+        expect(normalizeFilename('Lab/Report:2026.PDF')).toBe('Lab-Report-2026.PDF');
+        expect(normalizeFilename('  ')).toBe('document.pdf');
+    });
+
+    test('should resolve archival options', () => {
+        expect(resolveArchivalOptions(false, 'raster')).toBeNull();
+        expect(resolveArchivalOptions(true, 'raster')).toEqual({ fonts: {} });
+        expect(resolveArchivalOptions({ fonts: { normal: '/fonts/a.ttf', bold: { source: 'AAA=' } } }, 'vector'))
+            .toEqual({ fonts: { normal: { url: '/fonts/a.ttf' }, bold: { source: 'AAA=' } } });
+
+        expect(() => resolveArchivalOptions(true, 'vector')).toThrow('needs an embedded font');
+        expect(() => resolveArchivalOptions({ fonts: { light: 'a.ttf' } }, 'raster')).toThrow('Unknown archival font variant "light"');
+    });
+
+    test('should write document info and language', () => {
+        const { applyPdfMetadata } = loadScript();
+        const pdf = new jsPDF();
+        applyPdfMetadata(pdf, {
+            title: 'Lab report',
+            author: 'Eka Care',
+            keywords: 'lab, cbc',
+            creationDate: '2026-01-02T03:04:05.000Z',
+            language: 'en-US',
+        });
+
+        const output = pdf.output();
+        expect(output).toContain('/Title (Lab report)');
+        expect(output).toContain('/Author (Eka Care)');
+        expect(output).toContain('/Keywords (lab, cbc)');
+        expect(output).toContain('/Lang (en-US)');
+        expect(pdf.getCreationDate('jsDate').getTime()).toBe(new Date('2026-01-02T03:04:05.000Z').getTime());
+    });
+
+    test('should build a well-formed ICC profile', () => {
+        const profile = loadScript().buildSrgbIccProfile();
+
+        expect(readU32(profile, 0)).toBe(profile.length);
+        expect(profile.slice(12, 24)).toBe('mntrRGB XYZ ');
+        expect(profile.slice(36, 40)).toBe('acsp');
+        expect(readU32(profile, 128)).toBe(9);
+        const tags = Array.from({ length: 9 }, (_, i) => profile.slice(132 + i * 12, 136 + i * 12));
+        expect(tags).toEqual(['desc', 'cprt', 'wtpt', 'rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC']);
+    });
+
+    test('should add XMP metadata and an OutputIntent for archival output', () => {
+        const { applyPdfMetadata, applyArchivalProfile, outputArchivalPdf } = loadScript();
+        const pdf = new jsPDF();
+        const metadata = { title: 'Discharge <summary>', author: 'Dr. Rao', creator: 'HIS', language: 'en' };
+        const outputSpy = jest.spyOn(pdf, 'output');
+        applyPdfMetadata(pdf, metadata);
+        applyArchivalProfile(pdf, metadata);
+        expect(outputSpy).not.toHaveBeenCalled();
+
+        const bytes = outputArchivalPdf(pdf);
+        expect(outputSpy).toHaveBeenCalledTimes(1);
+        // Filled in place: same length, and the cross-reference offsets still point at objects
+        expect(bytes).toHaveLength(outputSpy.mock.results[0].value.length);
+        const output = Buffer.from(bytes).toString('latin1');
+        const offset = Number(/startxref\n(\d+)/.exec(output)[1]);
+        expect(output.slice(offset, offset + 4)).toBe('xref');
+        const producer = /\/Producer \(([^)]*)\)/.exec(output)[1];
+        expect(producer).toBe(`jsPDF ${jsPDF.version}`);
+        expect(output).toMatch(/\/Metadata \d+ 0 R/);
+        expect(output).toMatch(/\/OutputIntents \[\d+ 0 R\]/);
+        expect(output).toContain('/S /GTS_PDFA1');
+        expect(output).toContain('<pdfaid:part>1</pdfaid:part><pdfaid:conformance>B</pdfaid:conformance>');
+        expect(output).toContain('<rdf:li xml:lang="x-default">Discharge &lt;summary&gt;</rdf:li>');
+        expect(output).toContain(`<pdf:Producer>${producer}</pdf:Producer>`);
+        expect(output).toContain('<xmp:CreatorTool>HIS</xmp:CreatorTool>');
+        expect(output).toMatch(/<xmp:CreateDate>\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}<\/xmp:CreateDate>/);
+    });
+});
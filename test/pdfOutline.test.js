@@ -0,0 +1,102 @@
+import { jsPDF } from 'jspdf';
+import { getPdfOutlineScript, resolveOutlineSelector, DEFAULT_OUTLINE_SELECTOR } from '../src/pdfOutline.js';
+import { getPdfLinksScript } from '../src/pdfLinks.js';
+
+const loadScript = (script, names) => new Function(`const PX_TO_MM = 25.4 / 96; ${script}; return { ${names} };`)();
+
+// jsdom has no layout; give an element a fixed box
+function placeAt(element, { left, top, width, height }) {
+    const rect = { left, top, width, height, right: left + width, bottom: top + height };
+    element.getBoundingClientRect = () => rect;
+    element.getClientRects = () => [rect];
+}
+
+describe('PDF outline and links', () => {
+    test('should resolve outline options', () => {
+        expect(resolveOutlineSelector(false)).toBeNull();
+        expect(resolveOutlineSelector(true)).toBe(DEFAULT_OUTLINE_SELECTOR);
+        expect(resolveOutlineSelector({ selector: '.chapter' })).toBe('.chapter');
+        expect(() => resolveOutlineSelector({})).toThrow('outline must be true or { selector }');
+    });
+
+    test('should collect outline entries from page content only', () => {
+        document.body.innerHTML = `
+            <div class="pagedjs_page">
+                <div class="pagedjs_margin-top-center"><h1>Running header</h1></div>
+                <div class="pagedjs_page_content">
+                    <nav class="pagify-toc"><h2>Contents</h2></nav>
+                    <h1>Summary</h1>
+                    <h2>Findings</h2>
+                </div>
+            </div>
+            <div class="pagedjs_page">
+                <div class="pagedjs_page_content">
+                    <h2 data-split-from="x">Findings</h2>
+                    <section data-pagify-outline data-pagify-outline-level="2" data-pagify-outline-title="Labs">...</section>
+                    <h1>Plan</h1>
+                </div>
+            </div>
+        `;
+        const { collectPdfOutline } = loadScript(getPdfOutlineScript(), 'collectPdfOutline');
+
+        expect(collectPdfOutline(DEFAULT_OUTLINE_SELECTOR)).toEqual([
+            { title: 'Summary', level: 1, pageNumber: 1 },
+            { title: 'Findings', level: 2, pageNumber: 1 },
+            { title: 'Labs', level: 2, pageNumber: 2 },
+            { title: 'Plan', level: 1, pageNumber: 2 },
+        ]);
+    });
+
+    test('should nest outline entries in the PDF', () => {
+        const { addPdfOutline } = loadScript(getPdfOutlineScript(), 'addPdfOutline');
+        const pdf = new jsPDF();
+        pdf.addPage();
+
+        addPdfOutline(pdf, [
+            { title: 'Summary', level: 1, pageNumber: 1 },
+            { title: 'Findings', level: 2, pageNumber: 1 },
+            { title: 'Plan', level: 1, pageNumber: 2 },
+            { title: 'Beyond the end', level: 1, pageNumber: 5 },
+        ]);
+
+        const [summary, plan] = pdf.outline.root.children;
+        expect(pdf.outline.root.children).toHaveLength(2);
+        expect(summary.children.map((item) => item.title)).toEqual(['Findings']);
+        expect(plan.options).toEqual({ pageNumber: 2 });
+        expect(pdf.output()).toContain('/Title (Findings)');
+    });
+
+    test('should collect internal and external link regions', () => {
+        document.body.innerHTML = `
+            <div class="pagedjs_page">
+                <a id="site" href="https://example.com/report">site</a>
+                <a id="jump" href="#target">jump</a>
+                <a id="relative" href="report.html">relative</a>
+            </div>
+            <div class="pagedjs_page"><h2 id="target">Target</h2></div>
+        `;
+        const [first, second] = document.querySelectorAll('.pagedjs_page');
+        placeAt(first, { left: 0, top: 0, width: 794, height: 1123 });
+        placeAt(second, { left: 0, top: 1123, width: 794, height: 1123 });
+        placeAt(document.getElementById('site'), { left: 96, top: 96, width: 96, height: 24 });
+        placeAt(document.getElementById('jump'), { left: 96, top: 192, width: 48, height: 24 });
+        placeAt(document.getElementById('relative'), { left: 96, top: 288, width: 48, height: 24 });
+        placeAt(document.getElementById('target'), { left: 0, top: 1123 + 96, width: 794, height: 30 });
+
+        const { collectPdfLinks } = loadScript(getPdfLinksScript(), 'collectPdfLinks');
+        const links = collectPdfLinks('a[href]');
+
+        expect(links).toHaveLength(2);
+        expect(links[0]).toMatchObject({ pageIndex: 0, x: 25.4, y: 25.4, w: 25.4, destination: { url: 'https://example.com/report' } });
+        expect(links[1].destination).toEqual({ pageNumber: 2, top: 25.4 });
+    });
+
+    test('should write URL link annotations', () => {
+        const { addPdfLinks } = loadScript(getPdfLinksScript(), 'addPdfLinks');
+        const pdf = new jsPDF({ unit: 'mm' });
+
+        addPdfLinks(pdf, [{ pageIndex: 0, x: 10, y: 10, w: 20, h: 5, destination: { url: 'https://example.com' } }]);
+
+        expect(pdf.output()).toContain('/S /URI /URI (https://example.com)');
+    });
+});
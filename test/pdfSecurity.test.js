@@ -0,0 +1,64 @@
+import { jsPDF } from 'jspdf';
+import { resolveSecurityOptions, PDF_PERMISSIONS } from '../src/pdfSecurity.js';
+import { getPdfOutlineScript } from '../src/pdfOutline.js';
+
+describe('PDF security', () => {
+    test('should resolve security options', () => {
+        expect(resolveSecurityOptions(null)).toBeNull();
+        expect(resolveSecurityOptions({ userPassword: 'open', ownerPassword: 'admin', permissions: ['print', 'print'] }))
+            .toEqual({ userPassword: 'open', ownerPassword: 'admin', userPermissions: ['print'] });
+
+        const defaults = resolveSecurityOptions({ userPassword: 'open' });
+        expect(defaults.userPermissions).toEqual(PDF_PERMISSIONS);
+        expect(defaults.ownerPassword).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    test('should reject invalid security options', () => {
+        expect(() => resolveSecurityOptions({})).toThrow('security needs a userPassword, an ownerPassword or both');
+        expect(() => resolveSecurityOptions({ userPassword: 1234 })).toThrow('must be strings');
+        expect(() => resolveSecurityOptions({ ownerPassword: 'x', permissions: 'print' })).toThrow('security.permissions must be an array');
+        expect(() => resolveSecurityOptions({ ownerPassword: 'x', permissions: ['save'] })).toThrow('Unknown PDF permission "save"');
+    });
+
+    test('should write an encryption dictionary with the permission flags', () => {
+        const encryption = resolveSecurityOptions({ userPassword: 'open', ownerPassword: 'admin', permissions: ['print'] });
+        const output = new jsPDF({ encryption }).output();
+
+        expect(output).toMatch(/\/Encrypt \d+ 0 R/);
+        expect(output).toContain('/Filter /Standard');
+        // Revision 2 flags: all high bits set, print (bit 3) is the only permission granted
+        expect(output).toContain('/P -60');
+    });
+
+    test('should encrypt outline titles', () => {
+        const { addPdfOutline } = new Function(`${getPdfOutlineScript()}; return { addPdfOutline };`)();
+        const encryption = resolveSecurityOptions({ ownerPassword: 'admin' });
+        const pdf = new jsPDF({ encryption });
+        addPdfOutline(pdf, [{ title: 'Confidential findings', level: 1, pageNumber: 1 }]);
+
+        const output = pdf.output();
+        expect(output).toContain('/Outlines');
+        expect(output).not.toContain('Confidential findings');
+
+        // RC4 is symmetric: the title decrypts with its own object's key
+        const [, id, title] = /\n(\d+) 0 obj\n<<\n\/Title \(((?:\\.|[^\\)])*)\)/.exec(output);
+        const cipher = title.replace(/\\([\\()])/g, '$1');
+        expect(pdf.internal.getEncryptor(Number(id))(cipher)).toBe('Confidential findings');
+    });
+
+    test('should leave outline titles alone when unencrypted or unsupported', () => {
+        const { addPdfOutline } = new Function(`${getPdfOutlineScript()}; return { addPdfOutline };`)();
+        const plain = new jsPDF();
+        const { makeString } = plain.outline;
+        addPdfOutline(plain, [{ title: 'Findings', level: 1, pageNumber: 1 }]);
+        expect(plain.outline.makeString).toBe(makeString);
+        expect(plain.output()).toContain('/Title (Findings)');
+
+        const warn = jest.spyOn(console, 'warn').mockImplementation();
+        const encrypted = new jsPDF({ encryption: resolveSecurityOptions({ ownerPassword: 'admin' }) });
+        delete encrypted.outline.objStart;
+        addPdfOutline(encrypted, [{ title: 'Findings', level: 1, pageNumber: 1 }]);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('cannot encrypt bookmark titles'));
+        warn.mockRestore();
+    });
+});
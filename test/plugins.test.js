@@ -0,0 +1,61 @@
+import { BUILT_IN_PLUGINS, normalizePlugin, selectPlugins } from '../src/plugins.js';
+import { getHooksScript } from '../src/hooks.js';
+import { getErrorScript } from '../src/errors.js';
+
+const builtIns = BUILT_IN_PLUGINS.map(normalizePlugin);
+const registry = new Map(builtIns.map((plugin) => [plugin.name, plugin]));
+const names = (plugins) => plugins.map((plugin) => plugin.name);
+
+// Run one built-in plugin's afterPageLayout on a laid-out page
+const runAfterPageLayout = (name, pageElement, chunker) => {
+    const { runHooks } = new Function(`${getErrorScript()}${getHooksScript(registry.get(name).hooks)}; return { runHooks };`)();
+    return runHooks('afterPageLayout', pageElement, {}, null, chunker);
+};
+
+describe('Plugins', () => {
+    test('should validate plugins', () => {
+        expect(normalizePlugin({ name: 'signature', hooks: { beforePdf: 'function (pages) {}' }, css: '.sig { width: 40mm; }' }))
+            .toEqual({ name: 'signature', hooks: { beforePdf: [{ source: 'function (pages) {}', plugin: 'signature' }] }, css: '.sig { width: 40mm; }' });
+
+        expect(() => normalizePlugin(null)).toThrow('A plugin must be an object');
+        expect(() => normalizePlugin({ name: '1st' })).toThrow('Invalid plugin name "1st"');
+        expect(() => normalizePlugin({ name: 'x', css: 1 })).toThrow('Plugin "x" css must be a string');
+    });
+
+    test('should select plugins by list or by switches', () => {
+        const inline = { name: 'signature', hooks: { beforePdf: 'function () {}' } };
+
+        expect(names(selectPlugins(null, builtIns, registry))).toEqual(['repeatTableHeaders', 'hideEmptyTables', 'overflowContent']);
+        expect(names(selectPlugins(['overflowContent', inline], builtIns, registry))).toEqual(['overflowContent', 'signature']);
+        expect(names(selectPlugins({ hideEmptyTables: false, repeatTableHeaders: true }, builtIns, registry)))
+            .toEqual(['repeatTableHeaders', 'overflowContent']);
+        expect(names(selectPlugins({ overflowContent: true }, [], registry))).toEqual(['overflowContent']);
+
+        expect(() => selectPlugins(['tableOfContents'], builtIns, registry)).toThrow('Unknown plugin "tableOfContents"');
+        expect(() => selectPlugins('all', builtIns, registry)).toThrow('plugins must be an array');
+    });
+
+    test('should repeat the source header in split tables', async () => {
+        const source = document.createElement('div');
+        source.innerHTML = '<table data-ref="t1"><thead><tr><th>Test</th></tr></thead><tbody><tr><td>a</td></tr></tbody></table>';
+        const page = document.createElement('div');
+        page.innerHTML = '<table data-ref="t1" data-split-from="t1"><tbody><tr><td>b</td></tr></tbody></table>';
+
+        await runAfterPageLayout('repeatTableHeaders', page, { source });
+
+        expect(page.querySelector('table').firstChild.tagName).toBe('THEAD');
+        expect(page.querySelector('th').textContent).toBe('Test');
+    });
+
+    test('should hide tables without body rows and the element after them', async () => {
+        const page = document.createElement('div');
+        page.innerHTML = '<table><thead><tr><th>Empty</th></tr></thead><tbody></tbody></table><hr><table><tbody><tr><td>a</td></tr></tbody></table>';
+
+        await runAfterPageLayout('hideEmptyTables', page);
+
+        const [empty, full] = page.querySelectorAll('table');
+        expect(empty.style.visibility).toBe('hidden');
+        expect(page.querySelector('hr').style.position).toBe('absolute');
+        expect(full.style.visibility).toBe('');
+    });
+});
@@ -0,0 +1,43 @@
+import { resolveSanitizeOptions, sanitizeHtml } from '../src/sanitize.js';
+
+const { body, head } = resolveSanitizeOptions(true);
+
+describe('Sanitize', () => {
+    test('should drop scripting elements and unwrap unknown ones', () => {
+        expect(sanitizeHtml('<p>Note<script>alert(1)</script></p><iframe src="x"></iframe>', body)).toBe('<p>Note</p>');
+        expect(sanitizeHtml('<form><input value="x"><label>BP</label> 120/80</form>', body)).toBe('');
+        expect(sanitizeHtml('<custom-tag><b>Stable</b></custom-tag><font color="red">ok</font>', body)).toBe('<b>Stable</b>ok');
+        expect(sanitizeHtml('<svg><script>alert(1)</script></svg><!-- note --><p>a</p>', body)).toBe('<p>a</p>');
+    });
+
+    test('should remove event handlers, unknown attributes and unsafe URLs', () => {
+        expect(sanitizeHtml('<img src="scan.png" onerror="alert(1)" alt="scan" srcset="a.png 2x">', body))
+            .toBe('<img src="scan.png" alt="scan">');
+        expect(sanitizeHtml('<a href="java\tscript:alert(1)">x</a><a href="/labs?at=10:00">y</a><a href="mailto:a@b.c">z</a>', body))
+            .toBe('<a>x</a><a href="/labs?at=10:00">y</a><a href="mailto:a@b.c">z</a>');
+        expect(sanitizeHtml('<img src="data:image/png;base64,AAAA"><a href="data:text/html,x">d</a>', body))
+            .toBe('<img src="data:image/png;base64,AAAA"><a>d</a>');
+        expect(sanitizeHtml('<td colspan="2" data-pagify-page="scan" aria-label="x" style="color: red; background: url(javascript:x)">1</td>', {
+            ...body,
+            tags: new Set(['td']),
+        })).toBe('<td colspan="2" data-pagify-page="scan" aria-label="x" style="color: red">1</td>');
+    });
+
+    test('should keep stylesheets in head markup only', () => {
+        expect(sanitizeHtml('<style>h1 { color: red; }</style><p>x</p>', body)).toBe('<p>x</p>');
+        expect(sanitizeHtml('<style>h1 { color: red; }</style><link rel="stylesheet" href="/print.css"><link rel="import" href="/x.html">', head))
+            .toBe('<style>h1 { color: red; }</style><link rel="stylesheet" href="/print.css">');
+        expect(sanitizeHtml('<style>p { width: expression(alert(1)); }</style><meta charset="utf-8">', head)).toBe('<meta charset="utf-8">');
+    });
+
+    test('should validate options', () => {
+        const extended = resolveSanitizeOptions({ addTags: ['Font'], addAttributes: ['color'] });
+        expect(sanitizeHtml('<font color="red">ok</font>', extended.body)).toBe('<font color="red">ok</font>');
+
+        expect(resolveSanitizeOptions(false)).toBeNull();
+        expect(() => resolveSanitizeOptions({ addTags: ['script'] })).toThrow('sanitize.addTags cannot include "script"');
+        expect(() => resolveSanitizeOptions({ addAttributes: ['onload'] })).toThrow('cannot include "onload"');
+        expect(() => resolveSanitizeOptions({ allowedTags: [] })).toThrow('Unknown sanitize option "allowedTags"');
+        expect(() => resolveSanitizeOptions('strict')).toThrow('sanitize must be true or an object');
+    });
+});
@@ -40,8 +40,9 @@ global.mockHtml2pdf = {
     })
 };
 
-// Mock URL.createObjectURL
+// Mock URL.createObjectURL / revokeObjectURL
 global.URL.createObjectURL = jest.fn(() => 'blob:mock-url');
+global.URL.revokeObjectURL = jest.fn();
 
 // Mock dynamic imports
 jest.mock('pagedjs', () => global.mockPagedJS);
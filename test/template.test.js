@@ -0,0 +1,60 @@
+import { compileTemplate, renderTemplate, TemplateError } from '../src/template.js';
+
+describe('Template engine', () => {
+    test('should interpolate and HTML-escape values', () => {
+        const html = renderTemplate('<p>{{ patient.name }}</p>', { patient: { name: '<b>Ann & "Bo"</b>' } });
+        expect(html).toBe('<p>&lt;b&gt;Ann &amp; &quot;Bo&quot;&lt;/b&gt;</p>');
+    });
+
+    test('should output raw values with triple braces', () => {
+        expect(renderTemplate('{{{ note }}}', { note: '<em>ok</em>' })).toBe('<em>ok</em>');
+    });
+
+    test('should render missing values as empty strings', () => {
+        expect(renderTemplate('[{{ missing.deep }}]', {})).toBe('[]');
+    });
+
+    test('should loop with each and expose loop locals', () => {
+        const html = renderTemplate(
+            '{{#each items}}{{@index}}:{{ name }}{{#unless @last}}, {{/unless}}{{else}}none{{/each}}',
+            { items: [{ name: 'a' }, { name: 'b' }] }
+        );
+        expect(html).toBe('0:a, 1:b');
+        expect(renderTemplate('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+    });
+
+    test('should resolve names from enclosing contexts inside loops', () => {
+        const html = renderTemplate('{{#each rows}}{{ this }} {{ unit }};{{/each}}', { rows: [1, 2], unit: 'mg' });
+        expect(html).toBe('1 mg;2 mg;');
+    });
+
+    test('should render conditionals', () => {
+        const template = '{{#if paid}}PAID{{else}}DUE{{/if}}';
+        expect(renderTemplate(template, { paid: true })).toBe('PAID');
+        expect(renderTemplate(template, { paid: false })).toBe('DUE');
+    });
+
+    test('should render partials with the current or given context', () => {
+        const partials = { row: '<td>{{ name }}</td>' };
+        expect(renderTemplate('{{> row}}', { name: 'x' }, { partials })).toBe('<td>x</td>');
+        expect(renderTemplate('{{> row doctor}}', { doctor: { name: 'Dr. y' } }, { partials })).toBe('<td>Dr. y</td>');
+    });
+
+    test('should report syntax errors with line and column', () => {
+        expect.assertions(5);
+        try {
+            compileTemplate('<p>\n  {{#each items}}\n  {{ name }}\n</p>', { name: 'body' });
+        } catch (error) {
+            expect(error).toBeInstanceOf(TemplateError);
+            expect(error.template).toBe('body');
+            expect(error.line).toBe(2);
+            expect(error.column).toBe(3);
+            expect(error.message).toBe('Template error in body at line 2, column 3: Unclosed {{#each}}');
+        }
+    });
+
+    test('should report mismatched closing tags and unknown partials', () => {
+        expect(() => compileTemplate('{{#if a}}{{/each}}')).toThrow('Expected {{/if}} but found {{/each}}');
+        expect(() => renderTemplate('ok\n{{> missing}}', {})).toThrow('line 2, column 1: Unknown partial "missing"');
+    });
+});
@@ -0,0 +1,85 @@
+import { jsPDF } from 'jspdf';
+import { insertToc, resolveTocOptions, getTocScript } from '../src/toc.js';
+import { getPdfLinksScript } from '../src/pdfLinks.js';
+
+const parse = (html) => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container;
+};
+
+describe('Table of contents', () => {
+    test('should resolve toc options', () => {
+        expect(resolveTocOptions(false)).toBeNull();
+        expect(resolveTocOptions(true)).toEqual({ selector: 'h1, h2, h3', title: 'Contents', placeholder: '[data-pagify-toc]' });
+        expect(resolveTocOptions({ title: 'Índice' }).title).toBe('Índice');
+        expect(() => resolveTocOptions('yes')).toThrow('toc must be true or an object');
+    });
+
+    test('should replace the placeholder with linked entries', () => {
+        const body = parse(insertToc(
+            '<div data-pagify-toc></div><h1>Summary</h1><h2 id="labs">Lab <em>results</em></h2><h3 data-toc-text="Meds">Medication list</h3>',
+            resolveTocOptions(true)
+        ));
+
+        expect(body.querySelector('[data-pagify-toc]')).toBeNull();
+        expect(body.firstElementChild.className).toBe('pagify-toc');
+        expect(body.querySelector('h1').id).toBe('pagify-toc-1');
+        expect(Array.from(body.querySelectorAll('.pagify-toc a')).map((a) => [a.getAttribute('href'), a.textContent, a.parentElement.className]))
+            .toEqual([
+                ['#pagify-toc-1', 'Summary', 'pagify-toc-entry pagify-toc-level-1'],
+                ['#labs', 'Lab results', 'pagify-toc-entry pagify-toc-level-2'],
+                ['#pagify-toc-3', 'Meds', 'pagify-toc-entry pagify-toc-level-3'],
+            ]);
+    });
+
+    test('should not reuse ids the body already has', () => {
+        const body = parse(insertToc(
+            '<h1>Summary</h1><h2>Labs</h2><p><a href="#pagify-toc-1">see note</a></p><p id="pagify-toc-1">Note</p>',
+            resolveTocOptions(true)
+        ));
+
+        expect(Array.from(body.querySelectorAll(':scope > h1, :scope > h2'), (heading) => heading.id)).toEqual(['pagify-toc-2', 'pagify-toc-3']);
+        expect(body.querySelectorAll('#pagify-toc-1')).toHaveLength(1);
+        expect(body.querySelector('#pagify-toc-1').textContent).toBe('Note');
+    });
+
+    test('should prepend the TOC when there is no placeholder and escape entry text', () => {
+        const html = insertToc('<p>Intro</p><section class="chapter">A &lt;b&gt; c</section>', {
+            ...resolveTocOptions(true),
+            selector: '.chapter',
+            title: ''
+        });
+
+        expect(html.startsWith('<nav class="pagify-toc"><ol>')).toBe(true);
+        expect(html).toContain('<span class="pagify-toc-text">A &lt;b&gt; c</span>');
+    });
+
+    test('should fill TOC page numbers from the page numbering', () => {
+        document.body.innerHTML = `
+            <div class="pagedjs_page"><span data-pagify-toc-target="b"></span><span data-pagify-toc-target="missing"></span></div>
+            <div class="pagedjs_page"><h1 id="b">B</h1></div>
+        `;
+        const pageNumbers = [{ number: 'i' }, { number: 'ii' }];
+        new Function('pageNumbers', `${getTocScript()}; fillTocPageNumbers();`)(pageNumbers);
+
+        const [entry, missing] = document.querySelectorAll('[data-pagify-toc-target]');
+        expect(entry.textContent).toBe('ii');
+        expect(missing.textContent).toBe('');
+    });
+
+    test('should add internal link annotations to the PDF', () => {
+        const { addPdfLinks } = new Function(`const PX_TO_MM = 25.4 / 96; ${getPdfLinksScript()}; return { addPdfLinks };`)();
+        const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+        pdf.addPage();
+
+        addPdfLinks(pdf, [
+            { pageIndex: 0, x: 10, y: 20, w: 50, h: 5, destination: { pageNumber: 2, top: 30 } },
+            { pageIndex: 0, x: 10, y: 30, w: 50, h: 5, destination: { pageNumber: 9, top: 0 } },
+        ]);
+
+        const output = pdf.output();
+        expect(output.match(/\/Subtype \/Link/g)).toHaveLength(1);
+        expect(output).toMatch(/\/Dest \[\d+ 0 R \/XYZ 0 /);
+    });
+});
@@ -0,0 +1,111 @@
+import { jsPDF } from 'jspdf';
+import { getVectorEngineScript } from '../src/vectorEngine.js';
+
+describe('Vector engine', () => {
+    afterEach(() => {
+        delete window.jspdf;
+    });
+
+    test('should make one PDF page per laid-out page and report each one', async () => {
+        window.jspdf = { jsPDF };
+        document.body.innerHTML = '<div class="pagedjs_page"></div><div class="pagedjs_page"></div><div class="pagedjs_page"></div>';
+        document.querySelectorAll('.pagedjs_page').forEach((page) => {
+            page.getBoundingClientRect = () => ({ left: 0, top: 0, width: 794, height: 1123 });
+        });
+        const onPage = jest.fn();
+
+        const { renderVectorPdf } = new Function(`${getVectorEngineScript()}; return { renderVectorPdf };`)();
+        const pdf = await renderVectorPdf({ compress: true }, { onPage });
+
+        expect(pdf.internal.getNumberOfPages()).toBe(3);
+        expect(onPage.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+    });
+});
+
+describe('Vector engine drawing', () => {
+    const { drawVectorBox, drawVectorImage, drawVectorText } = new Function(
+        `${getVectorEngineScript()}; return { drawVectorBox, drawVectorImage, drawVectorText };`
+    )();
+    const mm = (px) => expect.closeTo(px * 25.4 / 96, 5);
+    const origin = { left: 10, top: 20 };
+    const at = (left, top, width, height) => ({ getBoundingClientRect: () => ({ left, top, width, height, right: left + width }) });
+    let pdf;
+
+    beforeEach(() => {
+        pdf = new jsPDF({ unit: 'mm', format: 'a4', compress: false });
+        ['rect', 'line', 'setFillColor', 'setDrawColor', 'setLineWidth', 'setLineDashPattern', 'text', 'setFont', 'setFontSize', 'setTextColor']
+            .forEach((method) => jest.spyOn(pdf, method));
+    });
+
+    test('should fill backgrounds and draw each visible border side', () => {
+        drawVectorBox(pdf, at(106, 68, 96, 48), {
+            backgroundColor: 'rgb(255, 0, 0)',
+            borderTopWidth: '2px', borderTopStyle: 'solid', borderTopColor: 'rgb(0, 0, 255)',
+            borderBottomWidth: '1px', borderBottomStyle: 'dashed', borderBottomColor: 'rgb(0, 128, 0)',
+            borderLeftWidth: '1px', borderLeftStyle: 'none', borderLeftColor: 'rgb(0, 0, 0)',
+            borderRightWidth: '0px', borderRightStyle: 'solid', borderRightColor: 'rgb(0, 0, 0)',
+        }, origin);
+
+        expect(pdf.setFillColor).toHaveBeenCalledWith(255, 0, 0);
+        expect(pdf.rect).toHaveBeenCalledWith(mm(96), mm(48), mm(96), mm(48), 'F');
+        expect(pdf.line.mock.calls).toEqual([
+            [mm(96), mm(48), mm(192), mm(48)],
+            [mm(96), mm(96), mm(192), mm(96)],
+        ]);
+        expect(pdf.setDrawColor.mock.calls).toEqual([[0, 0, 255], [0, 128, 0]]);
+        expect(pdf.setLineWidth.mock.calls).toEqual([[mm(2)], [mm(1)]]);
+        expect(pdf.setLineDashPattern.mock.calls).toEqual([[[], 0], [[2, 1], 0], [[], 0]]);
+
+        pdf.rect.mockClear();
+        drawVectorBox(pdf, at(0, 0, 0, 10), { backgroundColor: 'rgb(255, 0, 0)' }, origin);
+        drawVectorBox(pdf, at(0, 0, 10, 10), { backgroundColor: 'rgba(0, 0, 0, 0)' }, origin);
+        expect(pdf.rect).not.toHaveBeenCalled();
+    });
+
+    test('should embed images at their laid-out box in the matching format', () => {
+        const addImage = jest.spyOn(pdf, 'addImage').mockImplementation(() => pdf);
+        const photo = { ...at(106, 116, 192, 96), src: 'data:image/jpeg;base64,AAAA', tagName: 'IMG' };
+        const chart = { ...at(10, 20, 96, 96), src: 'https://example.com/chart.png?v=2', tagName: 'IMG' };
+        drawVectorImage(pdf, photo, origin);
+        drawVectorImage(pdf, chart, origin);
+
+        expect(addImage.mock.calls).toEqual([
+            [photo, 'JPEG', mm(96), mm(96), mm(192), mm(96), undefined, 'FAST'],
+            [chart, 'PNG', 0, 0, mm(96), mm(96), undefined, 'FAST'],
+        ]);
+
+        const warn = jest.spyOn(console, 'warn').mockImplementation();
+        addImage.mockImplementation(() => { throw new Error('tainted'); });
+        expect(() => drawVectorImage(pdf, photo, origin)).not.toThrow();
+        expect(warn).toHaveBeenCalledWith('Vector engine could not embed image:', photo.src, expect.any(Error));
+        warn.mockRestore();
+    });
+
+    test('should draw text lines in the mapped font, colour and position', () => {
+        document.body.innerHTML = '<p style="color: rgb(10, 20, 30); font-size: 16px; font-weight: bold; font-family: Georgia; text-transform: uppercase; text-decoration: underline">Hello big world</p>';
+        const node = document.querySelector('p').firstChild;
+        // "Hello big" on one line, "world" wrapped onto the next
+        const words = { 0: [10, 100, 40], 6: [54, 100, 24], 10: [10, 124, 44] };
+        // jsdom has no layout, so ranges get the word boxes above
+        Range.prototype.getBoundingClientRect = function () {
+            const [left, top, width] = words[this.startOffset];
+            return { left, top, width, height: 20, right: left + width };
+        };
+
+        drawVectorText(pdf, node, origin);
+        delete Range.prototype.getBoundingClientRect;
+
+        expect(pdf.setFont).toHaveBeenCalledWith('times', 'bold');
+        expect(pdf.setFontSize).toHaveBeenCalledWith(12);
+        expect(pdf.setTextColor).toHaveBeenCalledWith(10, 20, 30);
+        expect(pdf.text.mock.calls).toEqual([
+            ['HELLO BIG', 0, mm(90), expect.objectContaining({ baseline: 'middle', horizontalScale: expect.any(Number) })],
+            ['WORLD', 0, mm(114), expect.objectContaining({ baseline: 'middle', horizontalScale: expect.any(Number) })],
+        ]);
+        // One underline per line, as wide as the measured line
+        expect(pdf.line.mock.calls).toEqual([
+            [0, expect.any(Number), mm(68), expect.any(Number)],
+            [0, expect.any(Number), mm(44), expect.any(Number)],
+        ]);
+    });
+});
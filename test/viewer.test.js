@@ -0,0 +1,124 @@
+import { resolveViewerOptions, resolveZoom, getViewerScript, VIEWER_COMMAND } from '../src/viewer.js';
+
+const pagesHtml = (count) => `<div class="pagedjs_pages">${
+    Array.from({ length: count }, (_, i) => `<div class="pagedjs_page" id="page-${i + 1}"><p id="heading-${i + 1}">Page ${i + 1}</p></div>`).join('')
+}</div>`;
+
+// Run startViewer() with postToHost recording what it reports
+const startViewer = (viewer) => {
+    const posted = [];
+    new Function('postToHost', `${getViewerScript(resolveViewerOptions(viewer))}; startViewer();`)((message) => posted.push(message));
+    return posted;
+};
+
+const command = (action, value = null) => window.dispatchEvent(new MessageEvent('message', {
+    data: { type: VIEWER_COMMAND, action, value },
+    source: window,
+}));
+
+describe('Viewer', () => {
+    let scrollTo;
+
+    beforeEach(() => {
+        scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        scrollTo.mockRestore();
+        document.documentElement.className = '';
+    });
+
+    test('should resolve viewer options and zoom levels', () => {
+        expect(resolveViewerOptions(false)).toBeNull();
+        expect(resolveViewerOptions(true)).toEqual({ zoom: 'fit-width', thumbnails: true });
+        expect(resolveViewerOptions({ zoom: '150%', thumbnails: false })).toEqual({ zoom: 150, thumbnails: false });
+        expect(resolveZoom('fit-page')).toBe('fit-page');
+        expect(resolveZoom(75)).toBe(75);
+
+        expect(() => resolveZoom('fit')).toThrow('Invalid viewer zoom "fit"');
+        expect(() => resolveZoom(5)).toThrow('a percentage from 10 to 400');
+        expect(() => resolveViewerOptions('yes')).toThrow('viewer must be true or an object');
+    });
+
+    test('should add thumbnails and report the initial state', () => {
+        document.body.innerHTML = pagesHtml(3);
+        const posted = startViewer({ zoom: 120 });
+
+        const thumbnails = document.querySelectorAll('.pagify-viewer-thumbnails .pagify-viewer-thumbnail');
+        expect(thumbnails).toHaveLength(3);
+        expect(thumbnails[0].getAttribute('aria-current')).toBe('page');
+        expect(thumbnails[2].textContent).toContain('Page 3');
+        // Clones must not steal the pages' anchors, nor count as pages
+        expect(document.querySelectorAll('#page-2, #heading-2')).toHaveLength(2);
+        expect(document.querySelectorAll('.pagedjs_pages')).toHaveLength(1);
+        expect(document.querySelectorAll('.pagedjs_pages .pagedjs_page')).toHaveLength(3);
+        expect(document.querySelector('.pagify-viewer-thumbnails').style.getPropertyValue('--pagedjs-page-count')).toBe('3');
+        expect(document.querySelector('.pagedjs_pages').style.transform).toBe('scale(1.2)');
+        expect(document.documentElement.classList.contains('pagify-viewer')).toBe(true);
+        expect(posted).toEqual([{ type: 'VIEWER_STATE', page: 1, totalPages: 3, zoom: 120, scale: 120, thumbnails: true }]);
+    });
+
+    test('should follow navigation, zoom and sidebar commands from the host', () => {
+        document.body.innerHTML = pagesHtml(3);
+        const posted = startViewer(true);
+        const last = () => posted[posted.length - 1];
+
+        command('goToPage', 3);
+        expect(last()).toMatchObject({ page: 3 });
+        command('nextPage');
+        expect(last()).toMatchObject({ page: 3 });
+        command('previousPage');
+        expect(last()).toMatchObject({ page: 2 });
+        expect(document.querySelectorAll('[aria-current="page"]')).toHaveLength(1);
+        expect(document.querySelector('[aria-current="page"]').dataset.page).toBe('2');
+
+        command('zoom', 50);
+        expect(last()).toMatchObject({ zoom: 50, scale: 50, page: 2 });
+        command('thumbnails', null);
+        expect(last()).toMatchObject({ thumbnails: false });
+        expect(document.querySelector('.pagify-viewer-thumbnails').style.display).toBe('none');
+
+        // Other windows cannot drive it
+        const count = posted.length;
+        window.dispatchEvent(new MessageEvent('message', { data: { type: VIEWER_COMMAND, action: 'nextPage' }, source: null }));
+        expect(posted).toHaveLength(count);
+    });
+
+    test('should report the page scrolled into view', () => {
+        document.body.innerHTML = pagesHtml(3);
+        const posted = startViewer(true);
+        const pages = document.querySelectorAll('.pagedjs_pages > .pagedjs_page');
+        const scrollBy = (offset) => {
+            pages.forEach((page, i) => {
+                page.getBoundingClientRect = () => ({ top: i * 1000 - offset, height: 1000 });
+            });
+            window.dispatchEvent(new Event('scroll'));
+        };
+
+        // The first scroll is the one layout() caused
+        scrollBy(0);
+        scrollBy(1200);
+        expect(posted[posted.length - 1]).toMatchObject({ page: 2 });
+        const count = posted.length;
+        scrollBy(1300);
+        expect(posted).toHaveLength(count);
+    });
+
+    test('should follow a scroll after navigating to where the window already is', () => {
+        document.body.innerHTML = pagesHtml(3);
+        const posted = startViewer(true);
+        const pages = document.querySelectorAll('.pagedjs_pages > .pagedjs_page');
+        const place = (offset) => pages.forEach((page, i) => {
+            page.getBoundingClientRect = () => ({ top: i * 1000 - offset, height: 1000 });
+        });
+
+        // Page 1 already sits at the gutter, so goToPage(1) does not move and fires no scroll event
+        place(-16);
+        command('goToPage', 1);
+        expect(posted[posted.length - 1]).toMatchObject({ page: 1 });
+
+        place(1200);
+        window.dispatchEvent(new Event('scroll'));
+        expect(posted[posted.length - 1]).toMatchObject({ page: 2 });
+    });
+});
@@ -0,0 +1,77 @@
+import { jsPDF } from 'jspdf';
+import { resolveWatermarks, getWatermarkScript, DEFAULT_WATERMARK } from '../src/watermark.js';
+import { getVectorEngineScript } from '../src/vectorEngine.js';
+
+const pagesHtml = (count) => Array.from({ length: count }, () => '<div class="pagedjs_page"></div>').join('');
+
+describe('Watermarks', () => {
+    test('should resolve watermark options', () => {
+        expect(resolveWatermarks(null)).toEqual([]);
+        expect(resolveWatermarks('DRAFT')).toEqual([{ ...DEFAULT_WATERMARK, text: 'DRAFT' }]);
+
+        const [stamp, logo] = resolveWatermarks([
+            { text: 'VOID', pages: 'first', position: 'top-right', rotation: 15 },
+            { image: 'data:image/png;base64,AAA=', pages: { from: 2 }, opacity: 0.05 },
+        ]);
+        expect(stamp).toMatchObject({ text: 'VOID', pages: 'first', position: 'top-right', rotation: 15 });
+        expect(logo).toMatchObject({ image: 'data:image/png;base64,AAA=', pages: { from: 2, to: null }, opacity: 0.05 });
+    });
+
+    test('should reject invalid watermark options', () => {
+        expect(() => resolveWatermarks({})).toThrow('watermark needs either text or image');
+        expect(() => resolveWatermarks({ text: 'A', image: 'a.png' })).toThrow('watermark needs either text or image');
+        expect(() => resolveWatermarks({ text: 'A', opacity: 2 })).toThrow('Invalid watermark opacity "2"');
+        expect(() => resolveWatermarks({ text: 'A', position: 'middle' })).toThrow('Unknown watermark position "middle"');
+        expect(() => resolveWatermarks({ text: 'A', pages: { from: 3, to: 2 } })).toThrow('Invalid watermark page range');
+        expect(() => resolveWatermarks({ text: 'A', pages: 'odd' })).toThrow('Invalid watermark pages "odd"');
+        expect(() => resolveWatermarks(42)).toThrow('watermark must be a string, an object or an array of them');
+    });
+
+    test('should add overlays to the selected pages', async () => {
+        document.body.innerHTML = pagesHtml(4);
+        const watermarks = resolveWatermarks([
+            { text: 'DRAFT', opacity: 0.2 },
+            { text: 'VOID', pages: { from: 2, to: 3 }, position: 'bottom-left', rotation: 0 },
+            { text: 'END', pages: 'last' },
+        ]);
+        await new Function(`${getWatermarkScript(watermarks)}; return applyWatermarks();`)();
+
+        const stamps = Array.from(document.querySelectorAll('.pagedjs_page'), (page) => (
+            Array.from(page.querySelectorAll('.pagify-watermark-content'), (content) => content.textContent)
+        ));
+        expect(stamps).toEqual([['DRAFT'], ['DRAFT', 'VOID'], ['DRAFT', 'VOID'], ['DRAFT', 'END']]);
+
+        const [draft, voidStamp] = document.querySelectorAll('.pagedjs_page')[1].querySelectorAll('.pagify-watermark-content');
+        expect(draft.style.transform).toBe('rotate(-45deg)');
+        expect(draft.style.opacity).toBe('0.2');
+        expect(voidStamp.parentElement.style.justifyContent).toBe('flex-end');
+        expect(voidStamp.parentElement.style.alignItems).toBe('flex-start');
+    });
+
+    test('should keep watermark text from closing the iframe script', async () => {
+        const text = '</script><script>window.pwned = 1</script><!--';
+        const script = getWatermarkScript(resolveWatermarks(text));
+        expect(script).not.toMatch(/<\/script|<!--/i);
+
+        document.body.innerHTML = pagesHtml(1);
+        await new Function(`${script}; return applyWatermarks();`)();
+        expect(document.querySelector('.pagify-watermark-content').textContent).toBe(text);
+    });
+
+    test('should draw text watermarks natively in the vector engine', async () => {
+        document.body.innerHTML = pagesHtml(1);
+        await new Function(`${getWatermarkScript(resolveWatermarks({ text: 'DRAFT', opacity: 0.2 }))}; return applyWatermarks();`)();
+
+        const page = document.querySelector('.pagedjs_page');
+        page.getBoundingClientRect = () => ({ left: 0, top: 0, width: 794, height: 1123 });
+        page.querySelector('.pagify-watermark-content').getBoundingClientRect = () => ({ left: 200, top: 400, width: 300, height: 300 });
+
+        const { drawVectorPage } = new Function(`${getVectorEngineScript()}; return { drawVectorPage };`)();
+        const pdf = new jsPDF({ unit: 'mm', format: 'a4', compress: false });
+        drawVectorPage(pdf, page, page.getBoundingClientRect());
+
+        const output = pdf.output();
+        expect(output).toContain('/ca 0.2');
+        expect(output).toMatch(/0\.70\d* 0\.70\d* -0\.70\d* 0\.70\d* [\d.]+ [\d.]+ Tm\s*\n?\(DRAFT\) Tj/);
+    });
+});
@@ -0,0 +1,45 @@
+import { createZip, crc32 } from '../src/zip.js';
+import { encodeUtf8 } from '../src/bytes.js';
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+
+describe('ZIP writer', () => {
+    test('should compute CRC-32 checksums', () => {
+        expect(crc32(encodeUtf8('123456789'))).toBe(0xcbf43926);
+        expect(crc32(new Uint8Array())).toBe(0);
+    });
+
+    test('should encode UTF-8 names', () => {
+        expect(Array.from(encodeUtf8('aé€😀'))).toEqual([0x61, 0xc3, 0xa9, 0xe2, 0x82, 0xac, 0xf0, 0x9f, 0x98, 0x80]);
+    });
+
+    test('should write stored entries and a central directory', () => {
+        const data = encodeUtf8('%PDF-1.3');
+        const zip = createZip([{ name: 'a.pdf', data }, { name: 'b/ü.pdf', data }], new Date(2026, 0, 2, 3, 4, 6));
+        const view = new DataView(zip.buffer);
+
+        expect(view.getUint32(0, true)).toBe(0x04034b50);
+        expect(view.getUint16(6, true)).toBe(0x0800);
+        expect(view.getUint16(8, true)).toBe(0);
+        expect(view.getUint16(10, true)).toBe((3 << 11) | (4 << 5) | 3);
+        expect(view.getUint16(12, true)).toBe((46 << 9) | (1 << 5) | 2);
+        expect(view.getUint32(14, true)).toBe(crc32(data));
+        expect(view.getUint32(18, true)).toBe(data.length);
+        expect(ascii(zip.subarray(30, 35))).toBe('a.pdf');
+        expect(ascii(zip.subarray(35, 43))).toBe('%PDF-1.3');
+
+        const end = zip.length - 22;
+        expect(view.getUint32(end, true)).toBe(0x06054b50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+        const centralOffset = view.getUint32(end + 16, true);
+        expect(view.getUint32(end + 12, true)).toBe(end - centralOffset);
+
+        // Second central entry points back at the second local header
+        const secondCentral = centralOffset + 46 + 5;
+        expect(view.getUint32(secondCentral, true)).toBe(0x02014b50);
+        const secondLocal = view.getUint32(secondCentral + 42, true);
+        expect(secondLocal).toBe(30 + 5 + data.length);
+        expect(view.getUint32(secondLocal, true)).toBe(0x04034b50);
+        expect(Array.from(zip.subarray(secondLocal + 30, secondLocal + 38))).toEqual(Array.from(encodeUtf8('b/ü.pdf')));
+    });
+});